@@ -4,9 +4,32 @@ const fs = require('fs');
 const https = require('https');
 const crypto = require('crypto');
 const { spawn } = require('child_process');
+const salesReports = require('./src/utils/salesReports');
+const paymentTender = require('./src/utils/paymentTender');
+const tableLayout = require('./src/utils/tableLayout');
+const billHistory = require('./src/utils/billHistory');
+const creditNotes = require('./src/utils/creditNotes');
+const auditLog = require('./src/utils/auditLog');
+const staffAccess = require('./src/utils/staffAccess');
+const cashShifts = require('./src/utils/cashShifts');
 
 let mainWindow;
 
+// Shape of orders.json - the sales ledger plus the last issued bill and credit note numbers
+// and the cash shift open on the drawer. billSeries keeps where each other reset policy's
+// series stopped: { daily: { billPeriod, lastBillNumber }, ... }
+const DEFAULT_ORDERS_DATA = {
+  orders: [],
+  lastBillNumber: 1000,
+  lastCreditNoteNumber: 0,
+  lastShiftNumber: 0,
+  openShift: null,
+  billPeriod: null,
+  billSeries: {},
+  billNumbering: { prefix: '', resetPolicy: 'never' }
+};
+const BILL_RESET_POLICIES = ['never', 'daily', 'fiscal'];
+
 // Ensure data directories exist in production
 const ensureDataDirectories = () => {
   const userDataPath = app.getPath('userData');
@@ -32,7 +55,7 @@ const ensureDataDirectories = () => {
     // Create empty orders.json if it doesn't exist
     const userOrdersPath = path.join(appDataPath, 'orders.json');
     if (!fs.existsSync(userOrdersPath)) {
-      fs.writeFileSync(userOrdersPath, '[]', 'utf8');
+      fs.writeFileSync(userOrdersPath, JSON.stringify(DEFAULT_ORDERS_DATA, null, 2), 'utf8');
       console.log('Created empty orders.json in user data directory');
     }
   }
@@ -113,6 +136,40 @@ const getOrdersPath = () => {
   return path.join(userDataPath, 'storage', 'orders.json');
 };
 
+const getZReportsPath = () => {
+  const userDataPath = app.getPath('userData');
+  return path.join(userDataPath, 'storage', 'z-reports.json');
+};
+
+const getTablesPath = () => {
+  const userDataPath = app.getPath('userData');
+  return path.join(userDataPath, 'storage', 'tables.json');
+};
+
+const getAuditLogPath = () => {
+  const userDataPath = app.getPath('userData');
+  return path.join(userDataPath, 'storage', 'audit-log.jsonl');
+};
+
+const getStaffPath = () => {
+  const userDataPath = app.getPath('userData');
+  return path.join(userDataPath, 'storage', 'staff.json');
+};
+
+const getShiftsPath = () => {
+  const userDataPath = app.getPath('userData');
+  return path.join(userDataPath, 'storage', 'shifts.json');
+};
+
+// Write through a temp file and rename so a crash mid-write can't leave a truncated file
+const writeJsonFile = (filePath, data) => {
+  const tempPath = `${filePath}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
 // Provide data path to renderer process
 ipcMain.handle('get-data-path', () => {
   const userDataPath = app.getPath('userData');
@@ -514,25 +571,28 @@ ipcMain.handle('open-release-page', async () => {
 // ===========================
 
 // Get menu data
+const readMenuData = () => {
+  const menuPath = getMenuPath();
+  if (fs.existsSync(menuPath)) {
+    return JSON.parse(fs.readFileSync(menuPath, 'utf8'));
+  }
+  return { categories: [], items: [] };
+};
+
 ipcMain.handle('get-menu', async () => {
   try {
-    const menuPath = getMenuPath();
-    if (fs.existsSync(menuPath)) {
-      const menuData = fs.readFileSync(menuPath, 'utf8');
-      return JSON.parse(menuData);
-    }
-    return { categories: [], items: [] };
+    return readMenuData();
   } catch (error) {
     console.error('Error reading menu:', error);
     return { categories: [], items: [] };
   }
 });
 
-// Save menu data
+// Menu items from the Menu Manager - the settings kept in menu.json are left as they are
 ipcMain.handle('save-menu', async (event, menuData) => {
   try {
-    const menuPath = getMenuPath();
-    fs.writeFileSync(menuPath, JSON.stringify(menuData, null, 2));
+    requireStaffPermission('menu');
+    writeJsonFile(getMenuPath(), { ...readMenuData(), items: menuData.items || [] });
     return { success: true };
   } catch (error) {
     console.error('Error saving menu:', error);
@@ -540,29 +600,841 @@ ipcMain.handle('save-menu', async (event, menuData) => {
   }
 });
 
+// Restaurant details, settings and promotions - the menu items are left as they are
+ipcMain.handle('save-settings', async (event, settingsData) => {
+  try {
+    requireStaffPermission('settings');
+    const { restaurant, settings, promotions } = settingsData;
+    writeJsonFile(getMenuPath(), { ...readMenuData(), restaurant, settings, promotions });
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Get orders data
 ipcMain.handle('get-orders', async () => {
   try {
-    const ordersPath = getOrdersPath();
-    if (fs.existsSync(ordersPath)) {
-      const ordersData = fs.readFileSync(ordersPath, 'utf8');
-      return JSON.parse(ordersData);
-    }
-    return { orders: [] };
+    return readOrdersData();
   } catch (error) {
     console.error('Error reading orders:', error);
-    return { orders: [] };
+    return { ...DEFAULT_ORDERS_DATA, orders: [] };
+  }
+});
+
+// There is no save-orders: the ledger only changes through the handlers that add a bill,
+// payment, cancellation or credit note, so a printed bill is never rewritten from the renderer
+
+// ===========================
+// STAFF
+// ===========================
+
+// Whoever logged in with their PIN - null until someone does
+let currentStaff = null;
+
+const hashPin = (pin, salt) => crypto.scryptSync(String(pin), salt, 32).toString('hex');
+
+const createPinHash = (pin) => {
+  const pinSalt = crypto.randomBytes(16).toString('hex');
+  return { pinSalt, pinHash: hashPin(pin, pinSalt) };
+};
+
+const checkPin = (member, pin) => {
+  const expected = Buffer.from(member.pinHash, 'hex');
+  const actual = Buffer.from(hashPin(pin, member.pinSalt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// A 4-digit PIN can be guessed, so a member is locked out for a while after a run of wrong ones
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MINUTES = 5;
+const pinFailures = new Map(); // staff id -> { count, lockedUntil }
+
+// Returns why the PIN was refused, or null when it is right. Every wrong PIN is audited
+const verifyPin = (member, pin, after = null) => {
+  const failures = pinFailures.get(member.id) || { count: 0, lockedUntil: 0 };
+  if (failures.lockedUntil > Date.now()) {
+    const minutes = Math.ceil((failures.lockedUntil - Date.now()) / 60000);
+    return `Too many wrong PINs for ${member.name} - try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  if (checkPin(member, pin)) {
+    pinFailures.delete(member.id);
+    return null;
+  }
+
+  appendAuditEntry({ action: 'staff.login-failed', target: member.name, after });
+  const count = failures.count + 1;
+  if (count >= MAX_PIN_ATTEMPTS) {
+    pinFailures.set(member.id, { count: 0, lockedUntil: Date.now() + PIN_LOCKOUT_MINUTES * 60000 });
+    console.log(`🔒 ${member.name} locked out after ${count} wrong PINs`);
+    return `Wrong PIN - ${member.name} is locked out for ${PIN_LOCKOUT_MINUTES} minutes`;
+  }
+  pinFailures.set(member.id, { count, lockedUntil: 0 });
+  return `Wrong PIN for ${member.name}`;
+};
+
+// Privileged handlers check the login here too - the renderer's check only hides the screens
+const requireStaffPermission = (permission) => {
+  if (!staffAccess.can(readStaffData().permissions, currentStaff, permission)) {
+    throw new Error(`Your login is not allowed: ${staffAccess.getPermissionLabel(permission)}`);
+  }
+};
+
+// First start: a single owner with the default PIN, written once so the salt stays put
+const readStaffData = () => {
+  const staffPath = getStaffPath();
+  if (!fs.existsSync(staffPath)) {
+    const staffData = {
+      staff: [{ ...staffAccess.DEFAULT_OWNER, ...createPinHash(staffAccess.DEFAULT_PIN) }],
+      permissions: staffAccess.getDefaultPermissions()
+    };
+    writeStaffData(staffData);
+    return staffData;
+  }
+
+  const staffData = JSON.parse(fs.readFileSync(staffPath, 'utf8'));
+  return {
+    staff: staffData.staff || [],
+    permissions: staffAccess.normalizePermissions(staffData.permissions)
+  };
+};
+
+const writeStaffData = (staffData) => {
+  writeJsonFile(getStaffPath(), staffData);
+};
+
+// Staff names and roles for the login screen - never the PIN hashes
+ipcMain.handle('get-staff', async () => {
+  try {
+    const staffData = readStaffData();
+    return {
+      success: true,
+      staff: staffData.staff.map(staffAccess.toPublic),
+      permissions: staffData.permissions,
+      currentStaff: staffAccess.toPublic(currentStaff),
+      // Shown on the login screen until the owner changes the first-start PIN
+      usingDefaultPin: staffData.staff.some(member => member.role === 'owner' && checkPin(member, staffAccess.DEFAULT_PIN))
+    };
+  } catch (error) {
+    console.error('Error reading staff:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('staff-login', async (event, staffId, pin) => {
+  try {
+    const member = readStaffData().staff.find(candidate => candidate.id === staffId);
+    if (!member) {
+      return { success: false, error: 'Choose who is logging in' };
+    }
+    const pinError = verifyPin(member, pin);
+    if (pinError) {
+      return { success: false, error: pinError };
+    }
+
+    if (currentStaff && currentStaff.id !== member.id) {
+      appendAuditEntry({ action: 'staff.logout', target: currentStaff.name });
+    }
+    currentStaff = staffAccess.toPublic(member);
+    appendAuditEntry({ action: 'staff.login', target: member.name });
+
+    console.log(`👤 ${member.name} (${member.role}) logged in`);
+    return { success: true, staff: currentStaff };
+  } catch (error) {
+    console.error('Error logging in:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('staff-logout', async () => {
+  try {
+    if (currentStaff) {
+      appendAuditEntry({ action: 'staff.logout', target: currentStaff.name });
+      console.log(`👤 ${currentStaff.name} logged out`);
+    }
+    currentStaff = null;
+    return { success: true };
+  } catch (error) {
+    console.error('Error logging out:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Owner only. An empty PIN keeps the member's current one
+ipcMain.handle('save-staff', async (event, staffList, permissions) => {
+  try {
+    if (!currentStaff || currentStaff.role !== 'owner') {
+      return { success: false, error: 'Only an owner can change staff and permissions' };
+    }
+
+    const staffData = readStaffData();
+    const existing = new Map(staffData.staff.map(member => [member.id, member]));
+    const staff = staffAccess.normalizeStaff(staffList, id => existing.has(id)).map(member => ({
+      id: member.id,
+      name: member.name,
+      role: member.role,
+      ...(member.pin ? createPinHash(member.pin) : { pinSalt: existing.get(member.id).pinSalt, pinHash: existing.get(member.id).pinHash })
+    }));
+    const saved = { staff, permissions: staffAccess.normalizePermissions(permissions) };
+
+    writeStaffData(saved);
+    appendAuditEntry({
+      action: 'settings.staff',
+      target: 'Staff',
+      before: { staff: staffData.staff.map(staffAccess.toPublic), permissions: staffData.permissions },
+      after: { staff: staff.map(staffAccess.toPublic), permissions: saved.permissions, pinsChanged: staffList.filter(member => member.pin).map(member => member.name) }
+    });
+
+    // Keep the session in step if the logged-in owner renamed themselves
+    currentStaff = staffAccess.toPublic(staff.find(member => member.id === currentStaff.id)) || currentStaff;
+
+    console.log(`👥 Saved ${staff.length} staff`);
+    return { success: true, staff: staff.map(staffAccess.toPublic), permissions: saved.permissions, currentStaff };
+  } catch (error) {
+    console.error('Error saving staff:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ===========================
+// AUDIT LOG
+// ===========================
+
+// Append-only: entries are only ever added to the end of audit-log.jsonl, never rewritten
+const AUDIT_LOG_LIMIT = 500;
+
+const hashAuditText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// A line that no longer parses is kept as an unreadable entry so verification flags it
+const readAuditLog = () => {
+  const auditLogPath = getAuditLogPath();
+  if (!fs.existsSync(auditLogPath)) {
+    return [];
+  }
+  return fs.readFileSync(auditLogPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { unreadable: line };
+      }
+    });
+};
+
+// Last entry written, so appending doesn't re-read the whole log
+let lastAuditEntry;
+
+// The actor is whoever is logged in here, not whatever the renderer claims
+const appendAuditEntry = (details) => {
+  if (lastAuditEntry === undefined) {
+    lastAuditEntry = readAuditLog().filter(entry => !entry.unreadable).pop() || null;
+  }
+
+  const entry = auditLog.createEntry(lastAuditEntry, { ...details, actor: staffAccess.toPublic(currentStaff) }, hashAuditText);
+  const auditLogPath = getAuditLogPath();
+  fs.mkdirSync(path.dirname(auditLogPath), { recursive: true });
+  fs.appendFileSync(auditLogPath, `${JSON.stringify(entry)}\n`);
+  lastAuditEntry = entry;
+
+  console.log(`🔐 Audit #${entry.sequence}: ${auditLog.getActionLabel(entry.action)} - ${entry.target}`);
+  return entry;
+};
+
+// Actions the renderer reports - only what happened is taken from it, never who or when
+ipcMain.handle('record-audit', async (event, details) => {
+  try {
+    const { action, target, before, after } = details || {};
+    if (auditLog.RECORDED_BY_MAIN.includes(action)) {
+      return { success: false, error: `${auditLog.getActionLabel(action)} is recorded by the main process` };
+    }
+    appendAuditEntry({ action, target, before, after });
+    return { success: true };
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Matching entries (newest first) and whether the whole chain is still intact
+ipcMain.handle('get-audit-log', async (event, filters) => {
+  try {
+    requireStaffPermission('reports');
+    const entries = readAuditLog();
+    const matches = auditLog.filterEntries(entries.filter(entry => !entry.unreadable), filters || {});
+    return {
+      success: true,
+      entries: matches.slice(0, AUDIT_LOG_LIMIT),
+      totalMatches: matches.length,
+      verification: auditLog.verify(entries, hashAuditText)
+    };
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Whole log as CSV in the Downloads folder, hashes included
+ipcMain.handle('export-audit-log', async () => {
+  try {
+    requireStaffPermission('reports');
+    const entries = readAuditLog();
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+    const filePath = path.join(app.getPath('downloads'), `audit-log-${stamp}.csv`);
+
+    fs.writeFileSync(filePath, auditLog.toCsv(entries.filter(entry => !entry.unreadable)), 'utf8');
+
+    console.log(`🔐 Audit log exported to ${filePath}`);
+    return { success: true, filePath, verification: auditLog.verify(entries, hashAuditText) };
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ===========================
+// SALES LEDGER
+// ===========================
+
+// Read orders.json, upgrading the bare array written by older installs
+const readOrdersData = () => {
+  const ordersPath = getOrdersPath();
+  if (!fs.existsSync(ordersPath)) {
+    return { ...DEFAULT_ORDERS_DATA, orders: [] };
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(ordersPath, 'utf8'));
+  if (Array.isArray(parsed)) {
+    return { ...DEFAULT_ORDERS_DATA, orders: parsed };
+  }
+  return {
+    ...DEFAULT_ORDERS_DATA,
+    ...parsed,
+    orders: parsed.orders || [],
+    billNumbering: { ...DEFAULT_ORDERS_DATA.billNumbering, ...parsed.billNumbering }
+  };
+};
+
+// Written whole through a temp file, so a crash mid-write can't truncate the ledger
+const writeOrdersData = (ordersData) => {
+  writeJsonFile(getOrdersPath(), ordersData);
+};
+
+// Append a settled bill to the ledger
+ipcMain.handle('record-bill', async (event, billRecord) => {
+  try {
+    const ordersData = readOrdersData();
+    const record = {
+      ...billRecord,
+      recordedAt: new Date().toISOString()
+    };
+
+    ordersData.orders.push(record);
+    writeOrdersData(ordersData);
+
+    console.log(`🧾 Bill ${record.billNumber} recorded in sales ledger`);
+    return { success: true, bill: record };
+  } catch (error) {
+    console.error('Error recording bill:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Sent items taken off an order (CANCELLED KOT) are kept in the ledger with their reason
+ipcMain.handle('record-kot-cancellation', async (event, cancellation) => {
+  try {
+    if (!cancellation || !cancellation.reason || !cancellation.item) {
+      return { success: false, error: 'A cancellation needs an item and a reason' };
+    }
+
+    const ordersData = readOrdersData();
+    const record = {
+      ...cancellation,
+      type: 'kot-cancel',
+      recordedAt: new Date().toISOString()
+    };
+
+    ordersData.orders.push(record);
+    writeOrdersData(ordersData);
+
+    console.log(`🚫 KOT cancellation recorded: ${record.item.quantity} × ${record.item.name} (${record.reason})`);
+    return { success: true };
+  } catch (error) {
+    console.error('Error recording KOT cancellation:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Attach the tender (cash/UPI/card) to a bill already in the ledger
+// billRef: { billNumber, timestamp } - numbers restart with daily or yearly numbering
+ipcMain.handle('record-payment', async (event, billRef, tenders) => {
+  try {
+    const { billNumber } = billRef;
+    const ordersData = readOrdersData();
+    const bill = ordersData.orders.find(order => (!order.type || order.type === 'bill') &&
+      order.billNumber === billNumber && order.timestamp === billRef.timestamp);
+
+    if (!bill) {
+      return { success: false, error: `Bill ${billNumber} is not in the sales ledger` };
+    }
+    if (bill.payment) {
+      return { success: false, error: `Bill ${billNumber} is already settled` };
+    }
+
+    bill.payment = paymentTender.buildPayment(bill.total, tenders);
+    writeOrdersData(ordersData);
+
+    console.log(`💳 Bill ${billNumber} settled: ${paymentTender.describe(bill.payment)}`);
+    return { success: true, payment: bill.payment };
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Bill history - the most recent bills matching the filters, newest first
+const BILL_HISTORY_LIMIT = 200;
+
+ipcMain.handle('get-bill-history', async (event, filters) => {
+  try {
+    requireStaffPermission('reports');
+    const orders = readOrdersData().orders;
+    const bills = billHistory.filterBills(orders, filters || {});
+    return {
+      success: true,
+      bills: bills.slice(0, BILL_HISTORY_LIMIT).map(bill => ({ ...bill, credits: creditNotes.getCredits(orders, bill) })),
+      totalMatches: bills.length
+    };
+  } catch (error) {
+    console.error('Error reading bill history:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Void or refund a ledger bill. The credit note is checked again here against the stored
+// bill and its earlier credit notes, then appended - the bill itself is never changed.
+// approval: { staffId, pin } of whoever approves - a manager enters their PIN at the till
+ipcMain.handle('record-credit-note', async (event, billRef, request, approval) => {
+  try {
+    if (!currentStaff) {
+      return { success: false, error: 'Log in to void or refund a bill' };
+    }
+
+    const staffData = readStaffData();
+    const approver = staffData.staff.find(member => member.id === (approval && approval.staffId));
+    if (!approver) {
+      return { success: false, error: 'Choose who approves this' };
+    }
+    const pinError = verifyPin(approver, approval.pin || '', { approving: `Bill ${billRef.billNumber}` });
+    if (pinError) {
+      return { success: false, error: pinError };
+    }
+    if (!staffAccess.can(staffData.permissions, approver, 'voids')) {
+      return { success: false, error: `${approver.name} is not allowed to approve voids and refunds` };
+    }
+
+    const ordersData = readOrdersData();
+    const bill = ordersData.orders.find(order => (!order.type || order.type === 'bill') &&
+      order.billNumber === billRef.billNumber && order.timestamp === billRef.timestamp);
+
+    if (!bill) {
+      return { success: false, error: `Bill ${billRef.billNumber} is not in the sales ledger` };
+    }
+
+    const creditNote = creditNotes.build(bill, {
+      ...request,
+      requestedBy: staffAccess.toPublic(currentStaff),
+      approvedBy: staffAccess.toPublic(approver)
+    }, creditNotes.getCredits(ordersData.orders, bill));
+    ordersData.lastCreditNoteNumber = (ordersData.lastCreditNoteNumber || 0) + 1;
+    const record = {
+      ...creditNote,
+      creditNoteNumber: `${ordersData.billNumbering.prefix}CN-${String(ordersData.lastCreditNoteNumber).padStart(4, '0')}`,
+      recordedAt: new Date().toISOString()
+    };
+
+    ordersData.orders.push(record);
+    writeOrdersData(ordersData);
+    appendAuditEntry({
+      action: record.type === 'void' ? 'bill.voided' : 'bill.refunded',
+      target: `Bill ${bill.billNumber}`,
+      after: {
+        creditNoteNumber: record.creditNoteNumber,
+        total: record.total,
+        reason: creditNotes.describe(record),
+        approvedBy: record.approvedBy.name,
+        items: record.items.map(item => `${item.quantity} × ${item.name}`)
+      }
+    });
+
+    console.log(`↩️ ${record.creditNoteNumber}: ${creditNotes.describe(record)} of ₹${record.total.toFixed(2)} on bill ${bill.billNumber}, approved by ${approver.name}`);
+    return { success: true, creditNote: record };
+  } catch (error) {
+    console.error('Error recording credit note:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ===========================
+// SALES REPORTS
+// ===========================
+
+const readZReports = () => {
+  const zReportsPath = getZReportsPath();
+  if (!fs.existsSync(zReportsPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(zReportsPath, 'utf8'));
+};
+
+const buildOpenDayReport = (ordersData, reportType) => {
+  const lastZReport = ordersData.lastZReport || null;
+  const records = salesReports.getOpenDayRecords(ordersData.orders, lastZReport);
+
+  return salesReports.buildReport(records, {
+    reportType,
+    zNumber: (lastZReport ? lastZReport.zNumber : 0) + 1,
+    openedAt: lastZReport ? lastZReport.closedAt : null,
+    settlements: salesReports.getOpenDaySettlements(ordersData.orders, lastZReport)
+  });
+};
+
+// X-report: running totals for the open business day, nothing is reset
+ipcMain.handle('get-x-report', async () => {
+  try {
+    requireStaffPermission('reports');
+    const ordersData = readOrdersData();
+    return {
+      success: true,
+      report: buildOpenDayReport(ordersData, 'X'),
+      lastZReport: ordersData.lastZReport || null
+    };
+  } catch (error) {
+    console.error('Error building X-report:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Z-report: archive the open day's totals and start a new business day
+ipcMain.handle('close-business-day', async () => {
+  try {
+    requireStaffPermission('reports');
+    const ordersData = readOrdersData();
+    const report = buildOpenDayReport(ordersData, 'Z');
+
+    // Archived before orders.json moves on to the next day. If the app stops in between, the
+    // day is still open and closing it again replaces this Z-report rather than adding a second
+    const zReports = readZReports().filter(saved => saved.zNumber !== report.zNumber);
+    zReports.push(report);
+    writeJsonFile(getZReportsPath(), zReports);
+
+    ordersData.lastZReport = {
+      zNumber: report.zNumber,
+      closedAt: report.generatedAt,
+      billCount: report.billCount,
+      net: report.net
+    };
+    writeOrdersData(ordersData);
+
+    console.log(`📊 Z-report #${report.zNumber} archived (${report.billCount} bills)`);
+    return { success: true, report };
+  } catch (error) {
+    console.error('Error closing business day:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-z-reports', async () => {
+  try {
+    requireStaffPermission('reports');
+    return { success: true, reports: readZReports() };
+  } catch (error) {
+    console.error('Error reading Z-reports:', error);
+    return { success: false, error: error.message };
   }
 });
 
-// Save orders data
-ipcMain.handle('save-orders', async (event, ordersData) => {
+// ===========================
+// CASH SHIFTS
+// ===========================
+
+const readShifts = () => {
+  const shiftsPath = getShiftsPath();
+  if (!fs.existsSync(shiftsPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(shiftsPath, 'utf8'));
+};
+
+// The open shift without its expected cash - the close is counted blind
+ipcMain.handle('get-cash-shift', async () => {
   try {
-    const ordersPath = getOrdersPath();
-    fs.writeFileSync(ordersPath, JSON.stringify(ordersData, null, 2));
+    const shifts = readShifts();
+    return {
+      success: true,
+      shift: readOrdersData().openShift,
+      lastShift: shifts.length > 0 ? shifts[shifts.length - 1] : null
+    };
+  } catch (error) {
+    console.error('Error reading cash shift:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('open-cash-shift', async (event, openingFloat) => {
+  try {
+    requireStaffPermission('cash-drawer');
+    const ordersData = readOrdersData();
+    if (ordersData.openShift) {
+      return { success: false, error: `Shift #${ordersData.openShift.shiftNumber} is still open - close it first` };
+    }
+
+    const shift = cashShifts.open((ordersData.lastShiftNumber || 0) + 1, openingFloat, currentStaff);
+    ordersData.lastShiftNumber = shift.shiftNumber;
+    ordersData.openShift = shift;
+    writeOrdersData(ordersData);
+    appendAuditEntry({ action: 'shift.opened', target: `Shift #${shift.shiftNumber}`, after: { openingFloat: shift.openingFloat } });
+
+    console.log(`💵 Shift #${shift.shiftNumber} opened with a float of ₹${shift.openingFloat.toFixed(2)}`);
+    return { success: true, shift };
+  } catch (error) {
+    console.error('Error opening cash shift:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Pay-ins and pay-outs (petty cash, vendor payments, cash drops to the safe)
+ipcMain.handle('record-cash-movement', async (event, request) => {
+  try {
+    requireStaffPermission('cash-drawer');
+    const ordersData = readOrdersData();
+    if (!ordersData.openShift) {
+      return { success: false, error: 'Open a shift first' };
+    }
+
+    const movement = cashShifts.buildMovement(request || {}, currentStaff);
+    ordersData.openShift.movements.push(movement);
+    writeOrdersData(ordersData);
+    appendAuditEntry({
+      action: `shift.${movement.type}`,
+      target: `Shift #${ordersData.openShift.shiftNumber}`,
+      after: { amount: movement.amount, reason: movement.reason, note: movement.note }
+    });
+
+    console.log(`💵 ${cashShifts.MOVEMENT_LABELS[movement.type]} of ₹${movement.amount.toFixed(2)} (${movement.reason})`);
+    return { success: true, shift: ordersData.openShift };
+  } catch (error) {
+    console.error('Error recording cash movement:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Close with the counted notes; expected cash and the difference are only returned now
+ipcMain.handle('close-cash-shift', async (event, counts) => {
+  try {
+    requireStaffPermission('cash-drawer');
+    const ordersData = readOrdersData();
+    if (!ordersData.openShift) {
+      return { success: false, error: 'No shift is open' };
+    }
+
+    const shift = cashShifts.close(ordersData.openShift, ordersData.orders, counts, currentStaff);
+    // Archived before the shift is cleared from orders.json. If the app stops in between, the
+    // shift is still open and closing it again replaces this entry rather than adding a second
+    const shifts = readShifts().filter(saved => saved.shiftNumber !== shift.shiftNumber);
+    shifts.push(shift);
+    writeJsonFile(getShiftsPath(), shifts);
+
+    ordersData.openShift = null;
+    writeOrdersData(ordersData);
+    appendAuditEntry({
+      action: 'shift.closed',
+      target: `Shift #${shift.shiftNumber}`,
+      after: { expected: shift.cash.expected, counted: shift.count.total, difference: shift.difference }
+    });
+
+    console.log(`💵 Shift #${shift.shiftNumber} closed: ${cashShifts.describeDifference(shift.difference)}`);
+    return { success: true, shift };
+  } catch (error) {
+    console.error('Error closing cash shift:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ===========================
+// TABLE LAYOUT
+// ===========================
+
+// tables.json is only written once the layout is customised - until then the defaults apply
+const readTableLayout = () => {
+  const tablesPath = getTablesPath();
+  if (!fs.existsSync(tablesPath)) {
+    return tableLayout.getDefaultLayout();
+  }
+  return tableLayout.normalize(JSON.parse(fs.readFileSync(tablesPath, 'utf8')));
+};
+
+ipcMain.handle('get-table-layout', async () => {
+  try {
+    return { success: true, layout: readTableLayout() };
+  } catch (error) {
+    console.error('Error reading table layout:', error);
+    return { success: false, error: error.message, layout: tableLayout.getDefaultLayout() };
+  }
+});
+
+ipcMain.handle('save-table-layout', async (event, layout) => {
+  try {
+    requireStaffPermission('settings');
+    const normalized = tableLayout.normalize(layout);
+    writeJsonFile(getTablesPath(), normalized);
+
+    console.log(`🪑 Table layout saved: ${normalized.tables.length} tables, ${normalized.counters} counters`);
+    return { success: true, layout: normalized };
+  } catch (error) {
+    console.error('Error saving table layout:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// ===========================
+// BILL NUMBERING
+// ===========================
+
+// Period key for the reset policy - the counter restarts whenever this changes
+const getBillPeriod = (resetPolicy, date = new Date()) => {
+  const year = date.getFullYear();
+  const month = date.getMonth() + 1;
+
+  if (resetPolicy === 'daily') {
+    return `${year}${String(month).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+  }
+  if (resetPolicy === 'fiscal') {
+    // Indian fiscal year runs April to March
+    const startYear = month >= 4 ? year : year - 1;
+    return `${startYear}-${String(startYear + 1).slice(-2)}`;
+  }
+  return null;
+};
+
+const formatBillNumber = (billNumbering, period, sequence) => {
+  if (!period) {
+    return `${billNumbering.prefix}${sequence}`;
+  }
+  return `${billNumbering.prefix}${period}-${String(sequence).padStart(4, '0')}`;
+};
+
+// Sequence the next allocation will use, without reserving it
+const peekNextBill = (ordersData, date = new Date()) => {
+  const period = getBillPeriod(ordersData.billNumbering.resetPolicy, date);
+  const samePeriod = period === ordersData.billPeriod;
+  const sequence = samePeriod ? ordersData.lastBillNumber + 1 : 1;
+
+  return {
+    period,
+    sequence,
+    billNumber: formatBillNumber(ordersData.billNumbering, period, sequence)
+  };
+};
+
+ipcMain.handle('get-bill-numbering', async () => {
+  try {
+    const ordersData = readOrdersData();
+    return {
+      success: true,
+      billNumbering: ordersData.billNumbering,
+      nextBillNumber: peekNextBill(ordersData).billNumber
+    };
+  } catch (error) {
+    console.error('Error reading bill numbering:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-bill-numbering', async (event, billNumbering) => {
+  try {
+    requireStaffPermission('settings');
+    const prefix = String(billNumbering.prefix || '').trim();
+    if (!/^[A-Za-z0-9_-]{0,10}$/.test(prefix)) {
+      throw new Error('Prefix may only contain letters, numbers, - and _ (max 10)');
+    }
+    if (!BILL_RESET_POLICIES.includes(billNumbering.resetPolicy)) {
+      throw new Error(`Unknown reset policy: ${billNumbering.resetPolicy}`);
+    }
+
+    const ordersData = readOrdersData();
+    const previousPolicy = ordersData.billNumbering.resetPolicy;
+    const resetPolicy = billNumbering.resetPolicy;
+    ordersData.billNumbering = { prefix, resetPolicy };
+
+    if (previousPolicy !== resetPolicy) {
+      // Park the series being left and pick up where the new policy's series stopped, so going
+      // back to a policy within a day or year it already used never reissues its numbers
+      const billSeries = { ...ordersData.billSeries };
+      // Files saved before billSeries only kept where the continuous series stopped
+      if (!billSeries.never && ordersData.lastContinuousBillNumber) {
+        billSeries.never = { billPeriod: null, lastBillNumber: ordersData.lastContinuousBillNumber };
+      }
+      delete ordersData.lastContinuousBillNumber;
+
+      billSeries[previousPolicy] = { billPeriod: ordersData.billPeriod, lastBillNumber: ordersData.lastBillNumber };
+      const resumed = billSeries[resetPolicy] ||
+        { billPeriod: null, lastBillNumber: resetPolicy === 'never' ? DEFAULT_ORDERS_DATA.lastBillNumber : 0 };
+      delete billSeries[resetPolicy];
+
+      ordersData.billSeries = billSeries;
+      ordersData.billPeriod = resumed.billPeriod;
+      ordersData.lastBillNumber = resumed.lastBillNumber;
+    }
+    writeOrdersData(ordersData);
+
+    return { success: true, nextBillNumber: peekNextBill(ordersData).billNumber };
+  } catch (error) {
+    console.error('Error saving bill numbering:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Reserve the next bill number. All printer paths go through here so numbers never repeat.
+ipcMain.handle('allocate-bill-number', async () => {
+  try {
+    const ordersData = readOrdersData();
+    const next = peekNextBill(ordersData);
+
+    ordersData.billPeriod = next.period;
+    ordersData.lastBillNumber = next.sequence;
+    ordersData.lastAllocatedBill = next.billNumber;
+    writeOrdersData(ordersData);
+
+    console.log(`🔢 Allocated bill number ${next.billNumber}`);
+    return { success: true, billNumber: next.billNumber };
+  } catch (error) {
+    console.error('Error allocating bill number:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Give back a number whose bill never printed, keeping the series gap-free.
+// Only the most recent allocation can be returned, and only if it never reached the ledger.
+ipcMain.handle('release-bill-number', async (event, billNumber) => {
+  try {
+    const ordersData = readOrdersData();
+    const recorded = ordersData.orders.some(order => order.billNumber === billNumber);
+
+    if (ordersData.lastAllocatedBill !== billNumber || recorded) {
+      return { success: false, error: `Bill number ${billNumber} can no longer be released` };
+    }
+
+    ordersData.lastBillNumber -= 1;
+    ordersData.lastAllocatedBill = null;
+    writeOrdersData(ordersData);
+
+    console.log(`↩️ Released unused bill number ${billNumber}`);
     return { success: true };
   } catch (error) {
-    console.error('Error saving orders:', error);
+    console.error('Error releasing bill number:', error);
     return { success: false, error: error.message };
   }
 });
@@ -572,11 +1444,12 @@ ipcMain.handle('save-orders', async (event, ordersData) => {
 // ===========================
 
 // IPC handlers for silent printing functionality
-ipcMain.handle('silent-print-kot', async (event, kotContent) => {
+// deviceName is the kitchen station's printer; empty prints on the default printer
+ipcMain.handle('silent-print-kot', async (event, kotContent, deviceName = '') => {
   let printWindow = null;
   
   try {
-    console.log('🖨️ Starting KOT print process...');
+    console.log(`🖨️ Starting KOT print process (${deviceName || 'default printer'})...`);
     
     // Create a hidden window for printing KOT
     printWindow = new BrowserWindow({
@@ -641,7 +1514,8 @@ ipcMain.handle('silent-print-kot', async (event, kotContent) => {
             // Additional overrides for problematic printers
             pageRanges: {},
             headerFooterEnabled: false,
-            landscape: false
+            landscape: false,
+            ...(deviceName ? { deviceName } : {})
           }, (success, failureReason) => {
             if (!resolved) {
               resolved = true;
@@ -830,6 +1704,32 @@ ipcMain.handle('silent-print-bill', async (event, billContent) => {
   }
 });
 
+// Installed printers, for choosing a printer per kitchen station
+ipcMain.handle('get-printers', async () => {
+  try {
+    if (!mainWindow || mainWindow.isDestroyed() || !mainWindow.webContents) {
+      throw new Error('Main window is not available');
+    }
+
+    const printers = typeof mainWindow.webContents.getPrintersAsync === 'function'
+      ? await mainWindow.webContents.getPrintersAsync()
+      : mainWindow.webContents.getPrinters();
+
+    return {
+      success: true,
+      printers: printers.map(p => ({
+        name: p.name,
+        isDefault: p.isDefault,
+        status: p.status,
+        description: p.description
+      }))
+    };
+  } catch (error) {
+    console.error('Error listing printers:', error);
+    return { success: false, error: error.message, printers: [] };
+  }
+});
+
 // Check if default printer is available and get detailed printer info
 ipcMain.handle('check-printer-status', async () => {
   try {
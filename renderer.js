@@ -8,6 +8,25 @@ const fs = require('fs');
 
 // Import NEW Clean Printing System (main printing system - WORKING)
 const CleanPrintingSystem = require('./src/utils/cleanPrintingSystem');
+const billCalculator = require('./src/utils/billCalculator');
+const billSplitter = require('./src/utils/billSplitter');
+const paymentTender = require('./src/utils/paymentTender');
+const upiPayment = require('./src/utils/upiPayment');
+const tableLayout = require('./src/utils/tableLayout');
+const kitchenStations = require('./src/utils/kitchenStations');
+const orderModifiers = require('./src/utils/orderModifiers');
+const itemVariants = require('./src/utils/itemVariants');
+const comboItems = require('./src/utils/comboItems');
+const priceLists = require('./src/utils/priceLists');
+const discounts = require('./src/utils/discounts');
+const promotionEngine = require('./src/utils/promotionEngine');
+const chargeOptions = require('./src/utils/chargeOptions');
+const billHistory = require('./src/utils/billHistory');
+const creditNotes = require('./src/utils/creditNotes');
+const auditLog = require('./src/utils/auditLog');
+const staffAccess = require('./src/utils/staffAccess');
+const cashShifts = require('./src/utils/cashShifts');
+const salesReports = require('./src/utils/salesReports');
 
 // Import NEW ROBUST Printing System (testing new system)
 let NewPrintHandler = null;
@@ -90,11 +109,30 @@ class POSApp {
         this.currentTable = null;
         this.currentCounter = null;
         this.currentOrder = [];
+        this.modifierGroups = []; // From menu.json - see orderModifiers
+        this.promotions = []; // Happy hours and other scheduled offers, from menu.json - see promotionEngine
         this.billingMode = null; // 'table' or 'counter'
         this.currentLocation = null; // table number or counter number
         
         // Service fee functionality
-        this.serviceFeePercentage = 0; // Default: no service fee
+        this.serviceFeeOption = null; // Chosen service fee { id, type, value, minBill } - none by default
+        this.serviceMode = null; // 'dine-in', 'counter', 'takeaway' or 'delivery' - picks the price list
+        this.billDiscount = null; // { type, value, reason, note } on the whole bill
+        this.pendingDiscount = null; // Line (or bill) open in the discount modal
+        this.billHistoryResults = []; // Bills listed in the Bill History view
+        this.pendingCreditNote = null; // Bill open in the void / refund modal
+        this.auditedSettings = null; // Settings as last saved, diffed into the audit log
+        this.currentStaff = null; // { id, name, role } logged in with their PIN
+        this.staffList = []; // Names and roles for the login screen - PINs stay in the main process
+        this.staffPermissions = staffAccess.getDefaultPermissions();
+        this.loginStaffId = null; // Staff member picked on the login screen
+        this.lastCashShift = null; // Last closed shift, for the reprint button
+        
+        // Printed bills waiting for their tender to be captured
+        this.pendingSettlements = [];
+        
+        // Sent item waiting for a cancellation reason ({ lineId, newQuantity, quantity })
+        this.pendingKotCancel = null;
         
         // Search functionality variables
         this.searchDebounceTimer = null;
@@ -123,8 +161,15 @@ class POSApp {
                 contact: "+91 12345 67890",
                 address: "Bengaluru - Chennai Hwy, Konnappana Agrahara, Electronic City, Bengaluru, Karnataka - 560100",
                 gstin: "A unit of Salt and Pepper",
-                fssai: "12345678901234"
-            }
+                fssai: "12345678901234",
+                upiVpa: ""
+            },
+            tax: { ...billCalculator.DEFAULT_TAX_SETTINGS },
+            kitchenStations: kitchenStations.getDefaultStations(),
+            priceLists: priceLists.getDefaultPriceLists(),
+            discountLimits: discounts.getDefaultLimits(),
+            serviceFees: chargeOptions.getDefaultServiceFees(),
+            parcelCharges: chargeOptions.getDefaultParcelCharges()
         };
         
         // Don't call init() here - it will be called after DOM is ready
@@ -168,20 +213,31 @@ class POSApp {
         
         // Load service selector by default
         this.showServiceSelector();
+
+        // Nobody can use the till until they log in with their PIN
+        this.loadStaff().then(() => {
+            if (!this.currentStaff) {
+                this.openStaffLogin();
+            }
+        });
     }
 
     initTableSelector() {
         // Inline table selector functionality
-        this.totalTables = 14;
+        // Default layout until tables.json is loaded from the data directory
+        this.tableLayout = tableLayout.getDefaultLayout();
+        this.editingFloorPlan = false;
         this.activeTables = new Set();
         this.loadActiveTableData();
         this.refreshActiveTables(); // Check all tables for active orders
+        this.loadTableLayout();
+        this.startTableTimers();
     }
 
     initCounterSelector() {
         // Inline counter selector functionality
         // Initialize counter data even when disabled to preserve existing data
-        this.totalCounters = 6;
+        this.totalCounters = this.tableLayout.counters;
         this.activeCounters = new Set();
         
         if (ENABLE_COUNTERS) {
@@ -205,6 +261,8 @@ class POSApp {
             const menuPath = await dataPathManager.getMenuPath();
             const menuData = JSON.parse(fs.readFileSync(menuPath, 'utf8'));
             this.menuItems = menuData.items || [];
+            this.modifierGroups = orderModifiers.normalizeGroups(menuData.modifierGroups);
+            this.promotions = this.loadPromotions(menuData.promotions);
             
             // DEBUG: Check if kotGroup fields are present in loaded menu items
             console.log('🔍 MENU DEBUG: Total items loaded:', this.menuItems.length);
@@ -221,7 +279,10 @@ class POSApp {
             if (menuData.settings) {
                 this.settings = {
                     ...this.settings,
-                    ...menuData.settings
+                    ...menuData.settings,
+                    tax: { ...this.settings.tax, ...menuData.settings.tax },
+                    // Limits saved before a role existed fall back to its default
+                    discountLimits: { ...this.settings.discountLimits, ...menuData.settings.discountLimits }
                 };
             }
             
@@ -233,6 +294,9 @@ class POSApp {
                 };
             }
             
+            // Settings as saved, so the audit log can record what each save changes
+            this.auditedSettings = this.getAuditedSettings();
+
             // Update parcel charge display after loading settings
             this.updateSelectiveParcelChargeDisplay();
             
@@ -281,12 +345,7 @@ class POSApp {
             
             // Auto-save if we added enabled fields or applied default settings
             if (needsUpdate) {
-                const updatedMenuData = {
-                    restaurant: this.settings.restaurant,
-                    settings: this.settings,
-                    items: this.menuItems
-                };
-                fs.writeFileSync(menuPath, JSON.stringify(updatedMenuData, null, 2), 'utf8');
+                fs.writeFileSync(menuPath, JSON.stringify(this.buildMenuData(), null, 2), 'utf8');
                 console.log('📝 Menu file updated with kotGroup assignments');
             }
             
@@ -363,11 +422,31 @@ class POSApp {
             console.error('❌ Menu Manager Button not found!');
         }
 
+        document.getElementById('home-reports-btn').addEventListener('click', () => {
+            this.openReportsModal();
+        });
+
+        document.getElementById('home-cash-shift-btn').addEventListener('click', () => {
+            this.openCashShift();
+        });
+
+        document.getElementById('home-bill-history-btn').addEventListener('click', () => {
+            this.openBillHistory();
+        });
+
+        document.getElementById('home-audit-log-btn').addEventListener('click', () => {
+            this.openAuditLog();
+        });
+
         // Back buttons
         document.getElementById('back-to-service').addEventListener('click', () => {
             this.showServiceSelector();
         });
 
+        document.getElementById('edit-floor-plan').addEventListener('click', () => {
+            this.toggleFloorPlanEditing();
+        });
+
         document.getElementById('back-to-service-counter').addEventListener('click', () => {
             if (ENABLE_COUNTERS) {
                 this.showServiceSelector();
@@ -411,9 +490,29 @@ class POSApp {
             this.previewBill();
         });
 
+        // Send KOT - new items and quantity increases only
+        document.getElementById('send-kot').addEventListener('click', () => {
+            this.sendKot();
+        });
+
+        // Move / merge the open table into another table
+        document.getElementById('move-table').addEventListener('click', () => {
+            if (this.billingMode !== 'table') {
+                this.showMessage('Move / merge is only available for tables', 'info');
+                return;
+            }
+            this.showTableTransferPopup(this.currentTable);
+        });
+
+        // Service mode picks the price list
+        document.getElementById('service-mode-select').addEventListener('change', (e) => {
+            this.setServiceMode(e.target.value);
+        });
+
         // Service fee dropdown
         document.getElementById('service-fee-select').addEventListener('change', (e) => {
-            this.serviceFeePercentage = parseFloat(e.target.value);
+            this.serviceFeeOption = this.getServiceFeeChoice(e.target.value);
+            this.saveCurrentOrder();
             this.updateTotals();
         });
 
@@ -433,6 +532,22 @@ class POSApp {
         
         // Update modal event listeners
         this.setupUpdateModalListeners();
+
+        // Sales reports modal event listeners
+        this.setupReportsListeners();
+        this.setupCashShiftListeners();
+        this.setupBillHistoryListeners();
+        this.setupCreditNoteListeners();
+        this.setupAuditLogListeners();
+        this.setupStaffLoginListeners();
+
+        // Split bill modal event listeners
+        this.setupSplitBillListeners();
+
+        // Settle (payment tender) modal event listeners
+        this.setupSettleListeners();
+        this.setupKotCancelListeners();
+        this.setupDiscountListeners();
     }
 
     // Global keyboard shortcuts setup
@@ -448,6 +563,114 @@ class POSApp {
             const isInInput = e.target.matches('input, textarea, select');
             const isInMenuManager = document.getElementById('menu-manager-modal').classList.contains('active');
             const isInEditModal = document.getElementById('edit-item-modal').classList.contains('active');
+            const isInReports = document.getElementById('reports-modal').classList.contains('active');
+            const isInCashShift = document.getElementById('cash-shift-modal').classList.contains('active');
+            const isInBillHistory = document.getElementById('bill-history-modal').classList.contains('active');
+            const isInCreditNote = document.getElementById('credit-note-modal').classList.contains('active');
+            const isInAuditLog = document.getElementById('audit-log-modal').classList.contains('active');
+            const isInSplitBill = document.getElementById('split-bill-modal').classList.contains('active');
+            const isInSettle = document.getElementById('settle-modal').classList.contains('active');
+            const isInKotCancel = document.getElementById('kot-cancel-modal').classList.contains('active');
+            const isInDiscount = document.getElementById('discount-modal').classList.contains('active');
+            const isInStaffLogin = document.getElementById('staff-login-modal').classList.contains('active');
+
+            // Login sits above everything else - nothing else works until someone logs in
+            if (isInStaffLogin) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeStaffLogin();
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.loginStaff();
+                }
+                return;
+            }
+
+            if (isInDiscount) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeDiscount();
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.applyDiscount();
+                }
+                return;
+            }
+
+            if (isInKotCancel) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeKotCancellation();
+                }
+                return;
+            }
+
+            // Settle dialog sits above everything else (it opens straight after a print)
+            if (isInSettle) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.settleLater();
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.confirmSettlement();
+                }
+                return;
+            }
+
+            if (isInSplitBill) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeSplitBillModal();
+                }
+                return;
+            }
+
+            if (isInReports) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeReportsModal();
+                }
+                return;
+            }
+
+            if (isInCashShift) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeCashShiftModal();
+                }
+                return;
+            }
+
+            // Opened from Bill History, so it is checked first
+            if (isInCreditNote) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeCreditNote();
+                }
+                return;
+            }
+
+            if (isInAuditLog) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeAuditLog();
+                } else if (e.key === 'Enter' && isInInput) {
+                    e.preventDefault();
+                    this.searchAuditLog();
+                }
+                return;
+            }
+
+            if (isInBillHistory) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.closeBillHistory();
+                } else if (e.key === 'Enter' && isInInput) {
+                    e.preventDefault();
+                    this.searchBillHistory();
+                }
+                return;
+            }
 
             // Handle Menu Manager specific shortcuts
             if (isInMenuManager) {
@@ -498,6 +721,11 @@ class POSApp {
                         // Test print functionality
                         this.testPrint();
                         break;
+                    case 'F6':
+                        e.preventDefault();
+                        // Send KOT for items added since the last KOT
+                        this.sendKot();
+                        break;
                     case 'F9':
                         e.preventDefault();
                         // Test Enhanced Printing System
@@ -747,8 +975,8 @@ class POSApp {
 
         try {
             const resultsHTML = this.currentSearchResults.map((item, index) => {
-                // Apply discount for counter billing in search results
-                const finalPrice = (this.billingMode === 'counter') ? Math.max(0, item.price - 5) : item.price;
+                // Prices from the active price list
+                const finalPrice = itemVariants.getPriceLabel(item, (menuItem, variant) => this.getItemPrice(menuItem, variant));
                 
                 // Highlight matching text
                 const highlightedName = this.highlightSearchText(item.name, query);
@@ -760,7 +988,7 @@ class POSApp {
                             <div class="search-result-name">${highlightedName}</div>
                             <div class="search-result-category">${highlightedCategory}</div>
                         </div>
-                        <div class="search-result-price">₹${finalPrice}</div>
+                        <div class="search-result-price">${finalPrice}</div>
                     </div>
                 `;
             }).join('');
@@ -828,8 +1056,8 @@ class POSApp {
     selectSearchResult(index) {
         const selectedItem = this.currentSearchResults[index];
         if (selectedItem) {
-            // Add item to order using existing logic
-            this.addItemToOrder(selectedItem);
+            // Add item to order using existing logic (asks for the variant first if it has any)
+            this.selectMenuItem(selectedItem);
             
             // Clear search and hide results
             document.getElementById('menu-search').value = '';
@@ -881,6 +1109,8 @@ class POSApp {
             
             // Update the in-memory menu items array
             this.menuItems = menuData.items || [];
+            this.modifierGroups = orderModifiers.normalizeGroups(menuData.modifierGroups);
+            this.promotions = this.loadPromotions(menuData.promotions);
             
             const newCount = this.menuItems.length;
             const newEnabledCount = this.menuItems.filter(item => item.enabled !== false).length;
@@ -952,6 +1182,24 @@ class POSApp {
             this.clearAddItemForm();
         });
 
+        // Variant rows
+        document.getElementById('add-item-variant').addEventListener('click', () => {
+            this.addVariantRow('item-variants-list');
+        });
+
+        document.getElementById('add-edit-item-variant').addEventListener('click', () => {
+            this.addVariantRow('edit-item-variants-list');
+        });
+
+        // Combo component rows
+        document.getElementById('add-item-combo-component').addEventListener('click', () => {
+            this.addComboComponentRow('item-combo-list');
+        });
+
+        document.getElementById('add-edit-item-combo-component').addEventListener('click', () => {
+            this.addComboComponentRow('edit-item-combo-list');
+        });
+
         // Edit item form
         document.getElementById('save-edit').addEventListener('click', () => {
             this.saveEditedItem();
@@ -994,6 +1242,86 @@ class POSApp {
         document.getElementById('reset-restaurant-settings').addEventListener('click', () => {
             this.resetRestaurantSettings();
         });
+
+        document.getElementById('save-tax-settings').addEventListener('click', () => {
+            this.saveTaxSettings();
+        });
+
+        document.getElementById('save-bill-numbering').addEventListener('click', () => {
+            this.saveBillNumberingSettings();
+        });
+
+        document.getElementById('add-layout-table').addEventListener('click', () => {
+            this.addLayoutTableRow();
+        });
+
+        document.getElementById('save-table-layout').addEventListener('click', () => {
+            this.saveTableLayoutSettings();
+        });
+
+        document.getElementById('add-kitchen-station').addEventListener('click', () => {
+            this.addKitchenStationRow();
+        });
+
+        document.getElementById('save-kitchen-stations').addEventListener('click', () => {
+            this.saveKitchenStationSettings();
+        });
+
+        document.getElementById('price-list-select').addEventListener('change', (e) => {
+            this.showPriceListEditor(e.target.value);
+        });
+
+        document.getElementById('add-price-rule').addEventListener('click', () => {
+            this.addPriceRuleRow();
+        });
+
+        document.getElementById('add-price-override').addEventListener('click', () => {
+            this.addPriceOverrideRow();
+        });
+
+        document.getElementById('save-price-list').addEventListener('click', () => {
+            this.savePriceListSettings();
+        });
+
+        document.getElementById('save-discount-limits').addEventListener('click', () => {
+            this.saveDiscountLimitSettings();
+        });
+
+        document.getElementById('add-staff').addEventListener('click', () => {
+            this.addStaffRow();
+        });
+
+        document.getElementById('save-staff').addEventListener('click', () => {
+            this.saveStaffSettings();
+        });
+
+        document.getElementById('add-service-fee').addEventListener('click', () => {
+            this.addServiceFeeRow();
+        });
+
+        document.getElementById('parcel-mode').addEventListener('change', () => {
+            this.updateParcelModeFields();
+        });
+
+        document.getElementById('add-parcel-category').addEventListener('click', () => {
+            this.addParcelCategoryRow();
+        });
+
+        document.getElementById('save-charge-options').addEventListener('click', () => {
+            this.saveChargeSettings();
+        });
+
+        document.getElementById('add-promotion').addEventListener('click', () => {
+            this.addPromotionRow();
+        });
+
+        document.getElementById('test-promotions').addEventListener('click', () => {
+            this.testPromotions();
+        });
+
+        document.getElementById('save-promotions').addEventListener('click', () => {
+            this.savePromotionSettings();
+        });
     }
 
     setupUpdateModalListeners() {
@@ -1006,6 +1334,13 @@ class POSApp {
     }
 
     openMenuManager() {
+        const canEditMenu = this.can('menu');
+        const canEditSettings = this.can('settings');
+        if (!canEditMenu && !canEditSettings) {
+            this.requirePermission('menu');
+            return;
+        }
+
         // Backup current menu for rollback if needed
         this.menuBackup = JSON.parse(JSON.stringify(this.menuItems));
         
@@ -1018,8 +1353,12 @@ class POSApp {
         // Show modal
         document.getElementById('menu-manager-modal').classList.add('active');
         
+        // Tabs this login isn't allowed to use stay hidden
+        document.querySelector('[data-tab="menu-items"]').style.display = canEditMenu ? '' : 'none';
+        document.querySelector('[data-tab="settings"]').style.display = canEditSettings ? '' : 'none';
+
         // Switch to menu items tab by default
-        this.switchTab('menu-items');
+        this.switchTab(canEditMenu ? 'menu-items' : 'settings');
         
         // Load and display menu items
         this.displayMenuItems();
@@ -1028,9 +1367,11 @@ class POSApp {
         this.updateMenuStats();
         
         // Focus on first input
-        setTimeout(() => {
-            document.getElementById('item-name').focus();
-        }, 300);
+        if (canEditMenu) {
+            setTimeout(() => {
+                document.getElementById('item-name').focus();
+            }, 300);
+        }
     }
 
     closeMenuManager() {
@@ -1135,6 +1476,9 @@ class POSApp {
             editCategorySelect.appendChild(option);
         });
 
+        // Kitchen station dropdowns on the add and edit forms
+        this.populateStationOptions();
+
         // Populate filter dropdown
         const filterCategorySelect = document.getElementById('filter-category');
         filterCategorySelect.innerHTML = '<option value="all">All Categories</option>';
@@ -1162,8 +1506,11 @@ class POSApp {
 
         container.innerHTML = itemsToDisplay.map(item => `
             <div class="menu-item-row ${item.enabled === false ? 'disabled' : ''}" data-item-id="${item.id}">
-                <div class="menu-item-name">${this.escapeHtml(item.name)}</div>
-                <div class="menu-item-price">₹${item.price.toFixed(2)}</div>
+                <div class="menu-item-name">
+                    ${this.escapeHtml(item.name)}
+                    ${comboItems.isCombo(item) ? `<small class="menu-item-combo">${this.escapeHtml(comboItems.describe(item, this.menuItems))}</small>` : ''}
+                </div>
+                <div class="menu-item-price">${itemVariants.hasVariants(item) ? itemVariants.getPriceLabel(item) : `₹${item.price.toFixed(2)}`}</div>
                 <div class="menu-item-category">${this.escapeHtml(item.category)}</div>
                 <div class="menu-item-status">
                     <span class="${item.enabled !== false ? 'status-enabled' : 'status-disabled'}">
@@ -1238,6 +1585,19 @@ class POSApp {
     async addNewMenuItem() {
         const form = document.getElementById('add-item-form');
         const formData = new FormData(form);
+
+        let variants;
+        let components;
+        try {
+            variants = this.readVariantRows('item-variants-list');
+            components = this.readComboComponentRows('item-combo-list', null, variants);
+        } catch (error) {
+            this.showMessage(`❌ ${error.message}`, 'error');
+            return;
+        }
+        if (variants.length > 0) {
+            formData.set('price', variants[0].price);
+        }
         
         // Validate form
         const validation = this.validateItemForm(formData);
@@ -1254,8 +1614,15 @@ class POSApp {
                 price: parseFloat(formData.get('price')),
                 category: formData.get('category'),
                 enabled: formData.get('enabled') === 'true',
-                kotGroup: 'kitchen' // Default new items to kitchen group
+                kotGroup: formData.get('kotGroup') || this.settings.kitchenStations[0].id,
+                ...this.getItemTaxFields(formData)
             };
+            if (variants.length > 0) {
+                newItem.variants = variants;
+            }
+            if (components.length > 0) {
+                newItem.components = components;
+            }
 
             // Add to menu items array
             this.menuItems.push(newItem);
@@ -1288,7 +1655,7 @@ class POSApp {
             
         } catch (error) {
             console.error('Error adding new menu item:', error);
-            this.showMessage('❌ Failed to add item. Please try again.', 'error');
+            this.showMessage(`❌ Failed to add item: ${error.message}`, 'error');
         }
     }
 
@@ -1369,6 +1736,18 @@ class POSApp {
 
         // Set default values
         document.getElementById('item-enabled').value = 'true';
+        this.setVariantRows('item-variants-list', []);
+        this.setComboComponentRows('item-combo-list', []);
+    }
+
+    // Empty tax rate/HSN means "use the default from Settings"
+    getItemTaxFields(formData) {
+        const taxRate = formData.get('taxRate');
+        const hsnCode = (formData.get('hsnCode') || '').trim();
+        return {
+            taxRate: taxRate === '' || taxRate === null ? undefined : parseFloat(taxRate),
+            hsnCode: hsnCode || undefined
+        };
     }
 
     getNextMenuItemId() {
@@ -1389,6 +1768,12 @@ class POSApp {
         document.getElementById('edit-item-price').value = item.price;
         document.getElementById('edit-item-category').value = item.category;
         document.getElementById('edit-item-enabled').value = item.enabled !== false ? 'true' : 'false';
+        document.getElementById('edit-item-tax-rate').value = item.taxRate !== undefined ? String(item.taxRate) : '';
+        document.getElementById('edit-item-hsn').value = item.hsnCode || '';
+        document.getElementById('edit-item-kot-station').value =
+            kitchenStations.getStation(this.settings.kitchenStations, item.kotGroup || 'kitchen').id;
+        this.setVariantRows('edit-item-variants-list', item.variants);
+        this.setComboComponentRows('edit-item-combo-list', item.components, item.id);
 
         // Show edit modal
         document.getElementById('edit-item-modal').classList.add('active');
@@ -1402,6 +1787,22 @@ class POSApp {
     async saveEditedItem() {
         const form = document.getElementById('edit-item-form');
         const formData = new FormData(form);
+
+        const itemId = parseInt(formData.get('id'));
+
+        let variants;
+        let components;
+        try {
+            variants = this.readVariantRows('edit-item-variants-list');
+            components = this.readComboComponentRows('edit-item-combo-list', itemId, variants);
+            this.checkCombosStillValid(itemId, variants);
+        } catch (error) {
+            this.showMessage(`❌ ${error.message}`, 'error');
+            return;
+        }
+        if (variants.length > 0) {
+            formData.set('price', variants[0].price);
+        }
         
         // Validate form
         const validation = this.validateItemForm(formData, true);
@@ -1410,7 +1811,6 @@ class POSApp {
             return;
         }
 
-        const itemId = parseInt(formData.get('id'));
         const itemIndex = this.menuItems.findIndex(item => item.id === itemId);
         
         if (itemIndex === -1) {
@@ -1418,6 +1818,8 @@ class POSApp {
             return;
         }
 
+        const previousItem = this.menuItems[itemIndex];
+
         try {
             // Update menu item
             this.menuItems[itemIndex] = {
@@ -1425,13 +1827,21 @@ class POSApp {
                 name: formData.get('name').trim(),
                 price: parseFloat(formData.get('price')),
                 category: formData.get('category'),
-                enabled: formData.get('enabled') === 'true'
-                // kotGroup is preserved from the original item via spread operator
+                enabled: formData.get('enabled') === 'true',
+                kotGroup: formData.get('kotGroup') || this.menuItems[itemIndex].kotGroup,
+                variants: variants.length > 0 ? variants : undefined,
+                components: components.length > 0 ? components : undefined,
+                ...this.getItemTaxFields(formData)
             };
 
             // Immediately save changes to storage
             await this.saveMenuChangesToStorage();
 
+            const changes = auditLog.diff(previousItem, this.menuItems[itemIndex]);
+            if (changes) {
+                this.recordAudit('menu.item-edited', { target: previousItem.name, ...changes });
+            }
+
             // Close edit modal
             this.closeEditItemModal();
             
@@ -1452,7 +1862,7 @@ class POSApp {
             
         } catch (error) {
             console.error('Error saving edited item:', error);
-            this.showMessage('❌ Failed to save changes. Please try again.', 'error');
+            this.showMessage(`❌ Failed to save changes: ${error.message}`, 'error');
         }
     }
 
@@ -1490,6 +1900,11 @@ class POSApp {
             
             // Immediately save changes to storage
             await this.saveMenuChangesToStorage();
+            this.recordAudit(newStatus ? 'menu.item-enabled' : 'menu.item-disabled', {
+                target: item.name,
+                before: { enabled: !newStatus },
+                after: { enabled: newStatus }
+            });
             
             // Refresh display
             this.displayMenuItems();
@@ -1512,7 +1927,7 @@ class POSApp {
             
         } catch (error) {
             console.error('Error toggling menu item:', error);
-            this.showMessage('❌ Failed to save changes. Please try again.', 'error');
+            this.showMessage(`❌ Failed to save changes: ${error.message}`, 'error');
             // Revert the change
             this.menuItems[itemIndex].enabled = !newStatus;
             this.displayMenuItems();
@@ -1528,6 +1943,13 @@ class POSApp {
         }
 
         const item = this.menuItems[itemIndex];
+
+        // Combos list their components by id - take the item out of them first
+        const combos = this.getCombosUsing(itemId);
+        if (combos.length > 0) {
+            this.showMessage(`❌ "${item.name}" is part of ${combos.map(combo => combo.name).join(', ')} - remove it from the combo first`, 'error');
+            return;
+        }
         
         // Confirm deletion
         if (!confirm(`⚠️ Are you sure you want to permanently delete "${item.name}"?\n\nThis action cannot be undone.`)) {
@@ -1540,6 +1962,7 @@ class POSApp {
             
             // Immediately save changes to storage
             await this.saveMenuChangesToStorage();
+            this.recordAudit('menu.item-deleted', { target: item.name, before: item });
             
             // Refresh display
             this.populateCategories();
@@ -1558,7 +1981,7 @@ class POSApp {
             
         } catch (error) {
             console.error('Error deleting menu item:', error);
-            this.showMessage('❌ Failed to delete item. Please try again.', 'error');
+            this.showMessage(`❌ Failed to delete item: ${error.message}`, 'error');
             // Note: We can't easily revert the deletion here, so we'll reload from storage
             await this.reloadMenuItems();
         }
@@ -1607,26 +2030,27 @@ class POSApp {
         }
     }
 
-    // Core save functionality - used by both manual save and automatic saves
-    async saveMenuChangesToStorage() {
-        // Prepare menu data for saving
-        const menuData = {
+    // menu.json contents - items keep every field (tax, HSN, ...) and settings are preserved
+    buildMenuData() {
+        return {
             restaurant: this.settings.restaurant,
+            settings: this.settings,
+            modifierGroups: this.modifierGroups,
+            promotions: this.promotions,
             items: this.menuItems.map(item => ({
-                id: item.id,
-                name: item.name,
-                price: item.price,
-                category: item.category,
+                ...item,
                 enabled: item.enabled !== false, // Default to true if not set
                 kotGroup: item.kotGroup || 'kitchen' // Ensure kotGroup is preserved
             }))
         };
+    }
 
-        // Save to file
-        const fs = require('fs');
-        const menuPath = await dataPathManager.getMenuPath();
-        
-        fs.writeFileSync(menuPath, JSON.stringify(menuData, null, 2), 'utf8');
+    // Core save functionality - used by both manual save and automatic saves
+    async saveMenuChangesToStorage() {
+        const result = await ipcRenderer.invoke('save-menu', { items: this.buildMenuData().items });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
         console.log('✅ Menu changes saved to storage');
     }
 
@@ -1658,6 +2082,10 @@ class POSApp {
     // ===== TABS AND SETTINGS FUNCTIONALITY =====
 
     switchTab(tabName) {
+        if (!this.requirePermission(tabName === 'settings' ? 'settings' : 'menu')) {
+            return;
+        }
+
         // Update tab buttons
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.classList.remove('active');
@@ -1678,6 +2106,72 @@ class POSApp {
         document.getElementById('restaurant-address').value = this.settings.restaurant.address || '';
         document.getElementById('restaurant-gstin').value = this.settings.restaurant.gstin || '';
         document.getElementById('restaurant-fssai').value = this.settings.restaurant.fssai || '';
+        document.getElementById('restaurant-upi-vpa').value = this.settings.restaurant.upiVpa || '';
+
+        // Tax settings
+        document.getElementById('tax-prices-include').value = this.settings.tax.pricesIncludeTax ? 'true' : 'false';
+        document.getElementById('tax-default-rate').value = String(this.settings.tax.defaultRate);
+        document.getElementById('tax-default-hsn').value = this.settings.tax.defaultHsn || '';
+
+        // Bill numbering lives with the ledger in the main process
+        this.populateBillNumberingSettings();
+
+        // Table layout comes from tables.json
+        this.populateTableLayoutSettings();
+
+        this.populateKitchenStationSettings();
+        this.populatePriceListSettings();
+        this.populateDiscountLimitSettings();
+        this.populateStaffSettings();
+        this.populateChargeSettings();
+        this.populatePromotionSettings();
+    }
+
+    saveTaxSettings() {
+        this.settings.tax = {
+            pricesIncludeTax: document.getElementById('tax-prices-include').value === 'true',
+            defaultRate: parseFloat(document.getElementById('tax-default-rate').value),
+            defaultHsn: document.getElementById('tax-default-hsn').value.trim()
+        };
+
+        this.saveSettingsToFile();
+        this.updateTotals();
+        this.showMessage('✅ Tax settings saved successfully!', 'success');
+    }
+
+    async populateBillNumberingSettings() {
+        const result = await ipcRenderer.invoke('get-bill-numbering');
+        if (!result.success) {
+            console.error('Error loading bill numbering:', result.error);
+            return;
+        }
+
+        this.billNumbering = result.billNumbering;
+        document.getElementById('bill-number-prefix').value = result.billNumbering.prefix || '';
+        document.getElementById('bill-number-reset').value = result.billNumbering.resetPolicy;
+        document.getElementById('next-bill-number').textContent = `Next bill number: ${result.nextBillNumber}`;
+    }
+
+    async saveBillNumberingSettings() {
+        const billNumbering = {
+            prefix: document.getElementById('bill-number-prefix').value.trim(),
+            resetPolicy: document.getElementById('bill-number-reset').value
+        };
+
+        const result = await ipcRenderer.invoke('save-bill-numbering', billNumbering);
+        if (!result.success) {
+            this.showMessage(`❌ ${result.error}`, 'error');
+            return;
+        }
+
+        const changes = auditLog.diff(this.billNumbering, billNumbering);
+        if (changes) {
+            this.recordAudit('settings.bill-numbering', { target: 'Bill numbering', ...changes });
+        }
+        this.billNumbering = billNumbering;
+
+        document.getElementById('next-bill-number').textContent = `Next bill number: ${result.nextBillNumber}`;
+        this.showMessage('✅ Bill numbering saved successfully!', 'success');
     }
 
     saveRestaurantSettings() {
@@ -1687,6 +2181,7 @@ class POSApp {
         const address = document.getElementById('restaurant-address').value.trim();
         const gstin = document.getElementById('restaurant-gstin').value.trim();
         const fssai = document.getElementById('restaurant-fssai').value.trim();
+        const upiVpa = document.getElementById('restaurant-upi-vpa').value.trim();
 
         // Validate required fields
         if (!name) {
@@ -1695,13 +2190,20 @@ class POSApp {
             return;
         }
 
+        if (upiVpa && !upiPayment.isValidVpa(upiVpa)) {
+            this.showMessage('❌ UPI ID should look like name@bank', 'error');
+            document.getElementById('restaurant-upi-vpa').focus();
+            return;
+        }
+
         // Update settings
         this.settings.restaurant = {
             name,
             contact,
             address,
             gstin,
-            fssai
+            fssai,
+            upiVpa
         };
 
         // Save to file
@@ -1716,7 +2218,8 @@ class POSApp {
             contact: "+91 12345 67890",
             address: "Bengaluru - Chennai Hwy, Konnappana Agrahara, Electronic City, Bengaluru, Karnataka - 560100",
             gstin: "A unit of Salt and Pepper",
-            fssai: "12345678901234"
+            fssai: "12345678901234",
+            upiVpa: ""
         };
 
         this.settings.restaurant = { ...defaults };
@@ -1726,27 +2229,22 @@ class POSApp {
 
     async saveSettingsToFile() {
         try {
-            // Prepare menu data with settings
-            const menuData = {
-                restaurant: this.settings.restaurant,
-                items: this.menuItems.map(item => ({
-                    id: item.id,
-                    name: item.name,
-                    price: item.price,
-                    category: item.category,
-                    enabled: item.enabled !== false
-                }))
-            };
+            const { restaurant, settings: savedSettings, promotions } = this.buildMenuData();
+            const result = await ipcRenderer.invoke('save-settings', { restaurant, settings: savedSettings, promotions });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
 
-            // Save to file
-            const fs = require('fs');
-            const menuPath = await dataPathManager.getMenuPath();
-            
-            fs.writeFileSync(menuPath, JSON.stringify(menuData, null, 2), 'utf8');
+            const settings = this.getAuditedSettings();
+            const changes = auditLog.diff(this.auditedSettings, settings);
+            if (changes) {
+                this.recordAudit('settings.changed', { target: Object.keys(changes.after).join(', '), ...changes });
+            }
+            this.auditedSettings = settings;
             
         } catch (error) {
             console.error('Error saving settings:', error);
-            this.showMessage('❌ Failed to save settings. Please try again.', 'error');
+            this.showMessage(`❌ Failed to save settings: ${error.message}`, 'error');
         }
     }
 
@@ -1875,7 +2373,7 @@ class POSApp {
         
         // Update header based on billing mode
         if (this.billingMode === 'table') {
-            document.getElementById('current-location').textContent = `Table ${this.currentLocation}`;
+            document.getElementById('current-location').textContent = this.getTableName(this.currentLocation);
             document.getElementById('billing-mode-text').textContent = 'Table Service';
             document.getElementById('back-to-tables').textContent = '← Back to Tables';
         } else if (this.billingMode === 'counter' && ENABLE_COUNTERS) {
@@ -1964,53 +2462,140 @@ class POSApp {
         const tablesGrid = document.getElementById('tables-grid');
         tablesGrid.innerHTML = '';
 
-        for (let i = 1; i <= this.totalTables; i++) {
-            const tableDiv = document.createElement('div');
-            tableDiv.className = 'table-card';
-            tableDiv.dataset.tableNumber = i;
-            
-            // Check if table has orders and get order details
-            const tableOrder = this.getTableOrderInfo(i);
-            const hasOrders = tableOrder.itemCount > 0;
-            
-            if (hasOrders) {
-                tableDiv.classList.add('active');
-            }
-
-            tableDiv.innerHTML = `
-                <div class="table-number">Table ${i}</div>
-                <div class="table-status">
-                    ${hasOrders ? 
-                        `<span class="status-occupied">• Active Bill</span>
-                         <div class="order-summary">
-                             <small>${tableOrder.itemCount} items • ₹${tableOrder.total.toFixed(2)}</small>
-                         </div>` : 
-                        '<span class="status-available">Available</span>'
-                    }
-                </div>
-            `;
-
-            tableDiv.addEventListener('click', () => {
-                tableDiv.classList.add('selected');
-                setTimeout(() => this.onTableSelect(i), 150);
+        const isFloorPlan = this.tableLayout.view === 'floor';
+        const sections = tableLayout.groupBySection(this.tableLayout.tables);
+
+        tablesGrid.classList.toggle('floor-plan', isFloorPlan);
+        tablesGrid.classList.toggle('editing', isFloorPlan && this.editingFloorPlan);
+        tablesGrid.classList.toggle('sectioned', !isFloorPlan && sections.length > 1);
+        document.getElementById('edit-floor-plan').style.display = isFloorPlan ? '' : 'none';
+        document.getElementById('edit-floor-plan').textContent = this.editingFloorPlan ? '✅ Done' : '✏️ Arrange Tables';
+
+        if (isFloorPlan) {
+            this.tableLayout.tables.forEach((table, index) => {
+                const tableDiv = this.createTableCard(table);
+                const position = this.getFloorPosition(table, index);
+                tableDiv.style.left = `${position.x}%`;
+                tableDiv.style.top = `${position.y}%`;
+                tablesGrid.appendChild(tableDiv);
             });
+            return;
+        }
 
-            tablesGrid.appendChild(tableDiv);
+        // Grid view - one block per section (a single section renders as the plain grid)
+        if (sections.length === 1) {
+            sections[0].tables.forEach(table => tablesGrid.appendChild(this.createTableCard(table)));
+            return;
         }
-    }
 
-    getTableOrderInfo(tableNumber) {
-        try {
+        sections.forEach(section => {
+            const sectionDiv = document.createElement('div');
+            sectionDiv.className = 'table-section';
+            sectionDiv.innerHTML = `<h3 class="table-section-title">${this.escapeHtml(section.name)}</h3>`;
+
+            const sectionGrid = document.createElement('div');
+            sectionGrid.className = 'tables-grid';
+            section.tables.forEach(table => sectionGrid.appendChild(this.createTableCard(table)));
+
+            sectionDiv.appendChild(sectionGrid);
+            tablesGrid.appendChild(sectionDiv);
+        });
+    }
+
+    createTableCard(table) {
+        const tableDiv = document.createElement('div');
+        tableDiv.className = 'table-card';
+        tableDiv.dataset.tableNumber = table.id;
+
+        // Check if table has orders and get order details
+        const tableOrder = this.getTableOrderInfo(table.id);
+        const hasOrders = tableOrder.itemCount > 0;
+        const status = this.getTableStatus(tableOrder);
+        const awaitingTotal = status.awaitingPayment.reduce((sum, bill) => sum + bill.total, 0);
+
+        if (hasOrders) {
+            tableDiv.classList.add('active');
+        }
+        if (status.state === 'idle') {
+            tableDiv.classList.add('idle');
+        }
+        if (status.awaitingPayment.length > 0) {
+            tableDiv.classList.add('awaiting-payment');
+        }
+
+        tableDiv.innerHTML = `
+            <div class="table-number">${this.escapeHtml(table.name)}</div>
+            <div class="table-seats">${table.seats} seats${this.tableLayout.view === 'floor' ? ` • ${this.escapeHtml(table.section)}` : ''}</div>
+            <div class="table-status">
+                ${hasOrders ? 
+                    `<span class="status-occupied">• ${status.state === 'idle' ? 'Idle too long' : 'Active Bill'}</span>
+                     <div class="order-summary">
+                         <small>${tableOrder.itemCount} items • ₹${tableOrder.total.toFixed(2)}</small>
+                     </div>
+                     <div class="table-timer">
+                         ${status.elapsedMinutes !== null ? `⏱ ${this.formatElapsed(status.elapsedMinutes)}` : ''}
+                         ${status.kotMinutes !== null ? ` • KOT ${this.formatElapsed(status.kotMinutes)} ago` : ''}
+                     </div>
+                     <button class="table-transfer-btn" title="Move or merge this table">🔀 Move / Merge</button>` : 
+                    (status.awaitingPayment.length > 0 ? '' : '<span class="status-available">Available</span>')
+                }
+                ${status.awaitingPayment.length > 0 ? 
+                    `<div class="status-awaiting">🧾 Bill printed • ₹${awaitingTotal.toFixed(2)} due</div>
+                     <button class="table-settle-btn" title="Record payment">💳 Settle</button>` : ''
+                }
+            </div>
+        `;
+
+        const transferButton = tableDiv.querySelector('.table-transfer-btn');
+        if (transferButton) {
+            transferButton.addEventListener('click', (e) => {
+                e.stopPropagation(); // Don't open the table
+                this.showTableTransferPopup(table.id);
+            });
+        }
+
+        const settleButton = tableDiv.querySelector('.table-settle-btn');
+        if (settleButton) {
+            settleButton.addEventListener('click', (e) => {
+                e.stopPropagation(); // Don't open the table
+                this.settleTableBills(table.id);
+            });
+        }
+
+        if (this.tableLayout.view === 'floor' && this.editingFloorPlan) {
+            tableDiv.addEventListener('mousedown', (e) => this.startTableDrag(e, tableDiv, table));
+            return tableDiv;
+        }
+
+        tableDiv.addEventListener('click', () => {
+            tableDiv.classList.add('selected');
+            setTimeout(() => this.onTableSelect(table.id), 150);
+        });
+
+        return tableDiv;
+    }
+
+    getTableOrderInfo(tableNumber) {
+        try {
             const savedOrder = localStorage.getItem(`table_${tableNumber}_order`);
             const orderItems = savedOrder ? JSON.parse(savedOrder) : [];
             
             const itemCount = orderItems.reduce((sum, item) => sum + item.quantity, 0);
             const total = orderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+            const meta = this.getTableMeta(tableNumber);
             
-            return { itemCount, subtotal: total, tax: 0, total };
+            return {
+                itemCount,
+                subtotal: total,
+                tax: 0,
+                total,
+                openedAt: meta.openedAt || null,
+                lastKotAt: meta.lastKotAt || null,
+                awaitingPayment: meta.awaitingPayment || []
+            };
         } catch (error) {
             console.error('Error getting table order info:', error);
-            return { itemCount: 0, subtotal: 0, tax: 0, total: 0 };
+            return { itemCount: 0, subtotal: 0, tax: 0, total: 0, openedAt: null, lastKotAt: null, awaitingPayment: [] };
         }
     }
 
@@ -2025,19 +2610,18 @@ class POSApp {
             const itemDiv = document.createElement('div');
             itemDiv.className = 'menu-item';
             
-            // Calculate discounted price for counter billing
-            const isCounterMode = this.billingMode === 'counter';
-            const discountedPrice = isCounterMode ? Math.max(0, item.price - 5) : item.price;
+            // Price from the active price list (dine-in, counter, takeaway or delivery)
+            const listPrice = itemVariants.getPriceLabel(item, (menuItem, variant) => this.getItemPrice(menuItem, variant));
             
             itemDiv.innerHTML = `
                 <div class="menu-item-name">${item.name}</div>
                 <div class="menu-item-price">
-                    ₹${discountedPrice}
+                    ${listPrice}
                 </div>
                 <div class="menu-item-category">${item.category}</div>
             `;
 
-            itemDiv.addEventListener('click', () => this.addItemToOrder(item));
+            itemDiv.addEventListener('click', () => this.selectMenuItem(item));
             menuGrid.appendChild(itemDiv);
         });
 
@@ -2053,22 +2637,52 @@ class POSApp {
         }
     }
 
-    addItemToOrder(item) {
-        // Apply discount for counter billing when adding item
-        const finalPrice = (this.billingMode === 'counter') ? Math.max(0, item.price - 5) : item.price;
+    // Menu tile / search result - items with variants ask which one first
+    selectMenuItem(item) {
+        if (itemVariants.hasVariants(item)) {
+            this.showVariantPopup(item);
+        } else {
+            this.addItemToOrder(item);
+        }
+    }
+
+    addItemToOrder(item, variant = null) {
+        if (this.billingMode === 'table' && this.currentOrder.length === 0) {
+            this.markTableOpened(this.currentTable);
+        }
+
+        // Menu price, and the price on the active price list for this service mode,
+        // less any promotion running right now
+        const listPrice = variant ? variant.price : item.price;
+        const { price: finalPrice, promotion } = promotionEngine.getPrice(
+            this.promotions, item, this.getItemPrice(item, variant), new Date());
+        const variantName = variant ? variant.name : null;
         
-        const existingItem = this.currentOrder.find(orderItem => orderItem.id === item.id);
+        // Lines with modifiers or notes stay separate - a repeat tap adds to the plain line
+        // at the same price, so a happy hour ending starts a new line
+        const existingItem = this.currentOrder.find(orderItem =>
+            orderItem.id === item.id && (orderItem.variant || null) === variantName &&
+            orderItem.price === finalPrice && orderModifiers.isPlain(orderItem));
         
         if (existingItem) {
             existingItem.quantity += 1;
         } else {
+            const { variants, ...menuFields } = item;
             const newOrderItem = { 
-                ...item, 
-                price: finalPrice, // Store the final price (with discount if applicable)
-                originalPrice: item.price, // Keep original price for reference
+                ...menuFields, 
+                lineId: this.createLineId(),
+                name: itemVariants.getLineName(item, variant),
+                variant: variantName,
+                kotGroup: (variant && variant.kotGroup) || item.kotGroup,
+                price: finalPrice, // Price on the active price list, after any promotion
+                originalPrice: listPrice, // Menu price for reference
+                promotion, // { id, name, saving } when added during a promotion
                 quantity: 1,
-                parcelCharge: 0, // Individual parcel charge (0, 5, or 10)
-                parcelType: null // null, '5', or '10'
+                parcelCharge: 0, // Per-unit parcel charge - see getParcelChoices
+                parcelType: null, // null, the charge picked ('5', '10'...), 'category' or 'bill'
+                kotSentQty: 0, // Quantity already sent to the kitchen
+                modifiers: [], // Chosen modifiers [{ group, name, price }]
+                notes: '' // Free-text cooking instructions
             };
             
             // Debug: Check if kotGroup is preserved
@@ -2091,6 +2705,16 @@ class POSApp {
         this.updateTotals();
     }
 
+    // Order lines are addressed by lineId - the same item can be on several lines with different modifiers
+    createLineId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Orders saved before lines had ids
+    withLineIds(items) {
+        return items.map(item => (item.lineId ? item : { ...item, lineId: this.createLineId() }));
+    }
+
     renderOrder() {
         const orderItemsContainer = document.getElementById('order-items');
         orderItemsContainer.innerHTML = '';
@@ -2113,22 +2737,34 @@ class POSApp {
                     <div class="order-item-info">
                         <div class="order-item-name">
                             ${item.name}
-                            ${item.parcelType ? `<span class="parcel-label">Parcel ₹${item.parcelCharge}</span>` : ''}
+                            ${item.parcelType ? `<span class="parcel-label">${item.parcelCharge > 0 ? `Parcel ₹${item.parcelCharge}` : 'Parcel'}</span>` : ''}
                         </div>
+                        ${orderModifiers.isPlain(item) ? '' : `<div class="order-item-modifiers">${this.escapeHtml(orderModifiers.describe(item))}</div>`}
+                        ${item.promotion ? `<div class="order-item-promotion">🎉 ${this.escapeHtml(item.promotion.name)} (-₹${item.promotion.saving.toFixed(2)} each)</div>` : ''}
+                        ${item.discount ? `<div class="order-item-discount">🏷️ ${this.escapeHtml(discounts.describe(item.discount))}</div>` : ''}
                         <div class="order-item-price-info">
                             <div class="base-price">₹${item.price.toFixed(2)} × ${item.quantity} = ₹${itemBaseTotal.toFixed(2)}</div>
-                            ${item.parcelType ? `<div class="parcel-charge">Parcel: ₹${item.parcelCharge.toFixed(2)} × ${item.quantity} = ₹${itemParcelTotal.toFixed(2)}</div>` : ''}
+                            ${item.parcelCharge > 0 ? `<div class="parcel-charge">Parcel: ₹${item.parcelCharge.toFixed(2)} × ${item.quantity} = ₹${itemParcelTotal.toFixed(2)}</div>` : ''}
                             <div class="total-price">Total: ₹${itemTotalWithParcel.toFixed(2)}</div>
+                            ${item.quantity > (item.kotSentQty || 0) ? 
+                                `<div class="kot-pending">🍳 ${item.quantity - (item.kotSentQty || 0)} not sent to kitchen</div>` : 
+                                '<div class="kot-sent">✓ Sent to kitchen</div>'}
                         </div>
                     </div>
                     <div class="order-item-controls">
-                        <button class="qty-btn minus" onclick="posApp.updateItemQuantity(${item.id}, ${item.quantity - 1})">-</button>
+                        <button class="qty-btn minus" onclick="posApp.updateItemQuantity('${item.lineId}', ${item.quantity - 1})">-</button>
                         <span class="quantity">${item.quantity}</span>
-                        <button class="qty-btn plus" onclick="posApp.updateItemQuantity(${item.id}, ${item.quantity + 1})">+</button>
-                        <button class="parcel-btn" onclick="posApp.showParcelPopup(${item.id})" title="Set parcel charge">
+                        <button class="qty-btn plus" onclick="posApp.updateItemQuantity('${item.lineId}', ${item.quantity + 1})">+</button>
+                        <button class="modifier-btn" onclick="posApp.showModifierPopup('${item.lineId}')" title="Modifiers and cooking instructions">
+                            ✏️
+                        </button>
+                        <button class="discount-btn" onclick="posApp.openDiscount('${item.lineId}')" title="Discount this item">
+                            🏷️
+                        </button>
+                        <button class="parcel-btn" onclick="posApp.showParcelPopup('${item.lineId}')" title="Set parcel charge">
                             📦
                         </button>
-                        <button class="remove-btn" onclick="posApp.removeItemFromOrder(${item.id})" title="Remove item">×</button>
+                        <button class="remove-btn" onclick="posApp.removeItemFromOrder('${item.lineId}')" title="Remove item">×</button>
                     </div>
                 </div>
             `;
@@ -2137,13 +2773,21 @@ class POSApp {
         });
     }
 
-    updateItemQuantity(itemId, newQuantity) {
-        const item = this.currentOrder.find(orderItem => orderItem.id === itemId);
+    updateItemQuantity(lineId, newQuantity) {
+        const item = this.currentOrder.find(orderItem => orderItem.lineId === lineId);
         if (item) {
+            // Going below what the kitchen already has needs a CANCELLED KOT first
+            if ((item.kotSentQty || 0) > Math.max(newQuantity, 0)) {
+                this.openKotCancellation(item, Math.max(newQuantity, 0));
+                return;
+            }
+
             if (newQuantity <= 0) {
-                this.removeItemFromOrder(itemId);
+                this.removeItemFromOrder(lineId);
             } else {
                 item.quantity = newQuantity;
+                item.kotSentQty = Math.min(item.kotSentQty || 0, newQuantity);
+                this.enforceDiscountLimits();
                 this.saveCurrentOrder();
                 this.renderOrder();
                 this.updateTotals();
@@ -2151,15 +2795,26 @@ class POSApp {
         }
     }
 
-    removeItemFromOrder(itemId) {
-        const itemIndex = this.currentOrder.findIndex(item => item.id === itemId);
+    removeItemFromOrder(lineId) {
+        const itemIndex = this.currentOrder.findIndex(item => item.lineId === lineId);
+        if (itemIndex > -1 && (this.currentOrder[itemIndex].kotSentQty || 0) > 0) {
+            this.openKotCancellation(this.currentOrder[itemIndex], 0);
+            return;
+        }
         if (itemIndex > -1) {
-            this.currentOrder.splice(itemIndex, 1);
+            const [removedItem] = this.currentOrder.splice(itemIndex, 1);
+            const locationLabel = salesReports.getLocationLabel(this.getCurrentLocationInfo());
+            this.recordAudit('order.item-removed', {
+                target: locationLabel,
+                before: { name: removedItem.name, quantity: removedItem.quantity, price: removedItem.price }
+            });
+            this.enforceDiscountLimits();
             this.saveCurrentOrder();
             this.renderOrder();
             this.updateTotals();
             
             if (this.currentOrder.length === 0) {
+                this.recordAudit('order.cleared', { target: locationLabel });
                 if (this.billingMode === 'table') {
                     this.activeTables.delete(this.currentTable);
                     this.saveActiveTableData();
@@ -2171,10 +2826,322 @@ class POSApp {
         }
     }
 
+    // ===== ITEM VARIANTS =====
+
+    showVariantPopup(item) {
+        this.hideVariantPopup();
+
+        const popup = document.createElement('div');
+        popup.id = 'variant-popup';
+        popup.className = 'parcel-popup';
+        popup.innerHTML = `
+            <div class="parcel-popup-content">
+                <div class="parcel-popup-header">
+                    <h3>${this.escapeHtml(item.name)}</h3>
+                    <button class="close-popup" onclick="posApp.hideVariantPopup()">×</button>
+                </div>
+                <div class="parcel-popup-options">
+                    ${item.variants.map((variant, index) => `
+                        <button class="parcel-option" onclick="posApp.addVariantToOrder(${item.id}, ${index})">
+                            ${index + 1}. ${this.escapeHtml(variant.name)} - ₹${this.getItemPrice(item, variant)}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="parcel-popup-backdrop" onclick="posApp.hideVariantPopup()"></div>
+        `;
+
+        document.body.appendChild(popup);
+        this.addParcelPopupStyles();
+
+        // Number keys pick a variant, Escape closes - keeps keyboard billing fast
+        this.variantKeyHandler = (e) => {
+            const index = parseInt(e.key) - 1;
+            if (index >= 0 && index < item.variants.length) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.addVariantToOrder(item.id, index);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.hideVariantPopup();
+            }
+        };
+        document.addEventListener('keydown', this.variantKeyHandler, true);
+    }
+
+    hideVariantPopup() {
+        const popup = document.getElementById('variant-popup');
+        if (popup) {
+            popup.remove();
+        }
+        if (this.variantKeyHandler) {
+            document.removeEventListener('keydown', this.variantKeyHandler, true);
+            this.variantKeyHandler = null;
+        }
+    }
+
+    addVariantToOrder(itemId, variantIndex) {
+        const item = this.menuItems.find(menuItem => menuItem.id === itemId);
+        this.hideVariantPopup();
+        if (item && item.variants[variantIndex]) {
+            this.addItemToOrder(item, item.variants[variantIndex]);
+        }
+    }
+
+    // Item pickers list each variant as its own choice - value "168|Small", label "Filter Coffee (Small)"
+    getMenuItemChoices(filter = () => true) {
+        const choices = [];
+        this.menuItems.filter(filter).forEach(item => {
+            if (itemVariants.hasVariants(item)) {
+                item.variants.forEach(variant => choices.push({
+                    value: `${item.id}|${variant.name}`,
+                    label: itemVariants.getLineName(item, variant)
+                }));
+            } else {
+                choices.push({ value: String(item.id), label: item.name });
+            }
+        });
+        return choices;
+    }
+
+    // Variant rows in the add/edit item forms (listId: item-variants-list or edit-item-variants-list)
+    addVariantRow(listId, variant = null) {
+        const list = document.getElementById(listId);
+        const row = document.createElement('div');
+        row.className = 'form-row variant-row';
+        row.innerHTML = `
+            <input type="text" data-field="name" maxlength="20" placeholder="Variant (e.g. Half)">
+            <input type="number" data-field="price" min="1" max="9999" step="0.01" placeholder="Price">
+            <select data-field="kotGroup"></select>
+            <button type="button" class="btn btn-secondary variant-remove" title="Remove variant">×</button>
+        `;
+
+        const stationSelect = row.querySelector('[data-field="kotGroup"]');
+        [{ id: '', name: 'Item\'s station' }, ...this.settings.kitchenStations].forEach(station => {
+            const option = document.createElement('option');
+            option.value = station.id;
+            option.textContent = station.name;
+            stationSelect.appendChild(option);
+        });
+
+        row.querySelector('[data-field="name"]').value = variant ? variant.name : '';
+        row.querySelector('[data-field="price"]').value = variant ? variant.price : '';
+        stationSelect.value = variant && variant.kotGroup ? variant.kotGroup : '';
+        row.querySelector('.variant-remove').addEventListener('click', () => row.remove());
+        list.appendChild(row);
+    }
+
+    setVariantRows(listId, variants) {
+        document.getElementById(listId).innerHTML = '';
+        (variants || []).forEach(variant => this.addVariantRow(listId, variant));
+    }
+
+    // Throws with a user-facing message when a row is invalid
+    readVariantRows(listId) {
+        return itemVariants.normalize(Array.from(document.querySelectorAll(`#${listId} .variant-row`)).map(row => ({
+            name: row.querySelector('[data-field="name"]').value,
+            price: row.querySelector('[data-field="price"]').value,
+            kotGroup: row.querySelector('[data-field="kotGroup"]').value
+        })));
+    }
+
+    // ===== END ITEM VARIANTS =====
+
+    // ===== COMBO ITEMS =====
+
+    // Component rows in the add/edit item forms (listId: item-combo-list or edit-item-combo-list)
+    addComboComponentRow(listId, component = null) {
+        const list = document.getElementById(listId);
+        const comboId = list.dataset.comboId ? parseInt(list.dataset.comboId) : null;
+        const row = document.createElement('div');
+        row.className = 'form-row variant-row combo-component-row';
+        row.innerHTML = `
+            <select data-field="item"></select>
+            <input type="number" data-field="quantity" min="1" max="20" step="1" placeholder="Qty">
+            <button type="button" class="btn btn-secondary variant-remove" title="Remove item">×</button>
+        `;
+
+        const itemSelect = row.querySelector('[data-field="item"]');
+        const choices = [
+            { value: '', label: 'Choose item...' },
+            ...this.getMenuItemChoices(item => item.id !== comboId && !comboItems.isCombo(item))
+        ];
+        choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice.value;
+            option.textContent = choice.label;
+            itemSelect.appendChild(option);
+        });
+
+        itemSelect.value = component
+            ? (component.variant ? `${component.id}|${component.variant}` : String(component.id))
+            : '';
+        row.querySelector('[data-field="quantity"]').value = component ? component.quantity : 1;
+        row.querySelector('.variant-remove').addEventListener('click', () => row.remove());
+        list.appendChild(row);
+    }
+
+    setComboComponentRows(listId, components, comboId = null) {
+        const list = document.getElementById(listId);
+        list.innerHTML = '';
+        list.dataset.comboId = comboId || '';
+        (components || []).forEach(component => this.addComboComponentRow(listId, component));
+    }
+
+    // Throws with a user-facing message when a row is invalid
+    readComboComponentRows(listId, comboId, variants) {
+        const components = Array.from(document.querySelectorAll(`#${listId} .combo-component-row`)).map(row => {
+            const [id, variant] = row.querySelector('[data-field="item"]').value.split('|');
+            return { id, variant, quantity: row.querySelector('[data-field="quantity"]').value };
+        });
+
+        if (components.length > 0 && variants.length > 0) {
+            throw new Error('A combo can\'t have variants - add a separate combo for each size');
+        }
+        return comboItems.normalize(components, this.menuItems, comboId);
+    }
+
+    getCombosUsing(itemId) {
+        return this.menuItems.filter(item =>
+            comboItems.isCombo(item) && item.components.some(component => component.id === itemId));
+    }
+
+    // A combo that names a variant of this item needs that variant to stay
+    checkCombosStillValid(itemId, variants) {
+        this.getCombosUsing(itemId).forEach(combo => {
+            combo.components
+                .filter(component => component.id === itemId && component.variant)
+                .forEach(component => {
+                    if (!variants.some(variant => variant.name === component.variant)) {
+                        throw new Error(`${combo.name} uses the "${component.variant}" variant - change the combo first`);
+                    }
+                });
+        });
+    }
+
+    // ===== END COMBO ITEMS =====
+
+    // ===== ORDER MODIFIERS =====
+
+    showModifierPopup(lineId) {
+        const item = this.currentOrder.find(orderItem => orderItem.lineId === lineId);
+        if (!item) return;
+
+        const sentQuantity = item.kotSentQty || 0;
+        if (sentQuantity >= item.quantity) {
+            this.showMessage(`${item.name} is already with the kitchen - add it again for different instructions`, 'info');
+            return;
+        }
+
+        const menuItem = this.menuItems.find(menuEntry => menuEntry.id === item.id);
+        const groups = orderModifiers.getGroupsForItem(menuItem, this.modifierGroups);
+        const chosen = (item.modifiers || []).map(modifier => `${modifier.group}|${modifier.name}`);
+
+        this.hideModifierPopup();
+
+        const popup = document.createElement('div');
+        popup.id = 'modifier-popup';
+        popup.className = 'parcel-popup';
+        popup.innerHTML = `
+            <div class="parcel-popup-content">
+                <div class="parcel-popup-header">
+                    <h3>${this.escapeHtml(item.name)}</h3>
+                    <button class="close-popup" onclick="posApp.hideModifierPopup()">×</button>
+                </div>
+                <div class="parcel-popup-options">
+                    ${sentQuantity > 0 ? `<small class="form-help">${sentQuantity} already sent - these apply to the other ${item.quantity - sentQuantity}</small>` : ''}
+                    ${groups.map((group, groupIndex) => `
+                        <div class="modifier-group">
+                            <div class="modifier-group-name">${this.escapeHtml(group.name)}</div>
+                            ${group.options.map((option, optionIndex) => `
+                                <label class="modifier-option">
+                                    <input type="${group.multiple ? 'checkbox' : 'radio'}" name="modifier-group-${groupIndex}"
+                                           data-group-index="${groupIndex}" data-option-index="${optionIndex}"
+                                           ${chosen.includes(`${group.name}|${option.name}`) ? 'checked' : ''}>
+                                    ${this.escapeHtml(option.name)}${option.price > 0 ? ` (+₹${option.price})` : ''}
+                                </label>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                    <input type="text" id="modifier-notes" maxlength="60" placeholder="Cooking instructions (e.g. well done)">
+                    <button class="parcel-option" onclick="posApp.applyModifiers('${item.lineId}')">Apply</button>
+                    <button class="parcel-option remove" onclick="posApp.applyModifiers('${item.lineId}', true)">Clear All</button>
+                </div>
+            </div>
+            <div class="parcel-popup-backdrop" onclick="posApp.hideModifierPopup()"></div>
+        `;
+
+        document.body.appendChild(popup);
+        popup.querySelector('#modifier-notes').value = item.notes || '';
+
+        // Single-choice groups can be cleared by clicking the chosen option again
+        popup.querySelectorAll('input[type="radio"]').forEach(radio => {
+            radio.addEventListener('mousedown', () => { radio.dataset.wasChecked = radio.checked; });
+            radio.addEventListener('click', () => {
+                if (radio.dataset.wasChecked === 'true') {
+                    radio.checked = false;
+                }
+            });
+        });
+        this.modifierPopupGroups = groups;
+
+        this.addParcelPopupStyles();
+        popup.querySelector('#modifier-notes').focus();
+    }
+
+    hideModifierPopup() {
+        const popup = document.getElementById('modifier-popup');
+        if (popup) {
+            popup.remove();
+        }
+    }
+
+    applyModifiers(lineId, clearAll = false) {
+        const popup = document.getElementById('modifier-popup');
+        const index = this.currentOrder.findIndex(orderItem => orderItem.lineId === lineId);
+        if (!popup || index === -1) return;
+
+        const groups = this.modifierPopupGroups || [];
+        const modifiers = clearAll ? [] : Array.from(popup.querySelectorAll('input[data-group-index]:checked')).map(input => {
+            const group = groups[parseInt(input.dataset.groupIndex)];
+            const option = group.options[parseInt(input.dataset.optionIndex)];
+            return { group: group.name, name: option.name, price: option.price };
+        });
+        const notes = clearAll ? '' : popup.querySelector('#modifier-notes').value;
+
+        const item = this.currentOrder[index];
+        const sentQuantity = item.kotSentQty || 0;
+
+        if (sentQuantity > 0) {
+            // The kitchen already has part of this line - the new choices go on a line of their own
+            // A flat discount stays with the original line rather than being given twice
+            const unsentLine = {
+                ...item,
+                lineId: this.createLineId(),
+                quantity: item.quantity - sentQuantity,
+                kotSentQty: 0,
+                discount: item.discount && item.discount.type === 'percent' ? item.discount : null
+            };
+            item.quantity = sentQuantity;
+            this.currentOrder.splice(index + 1, 0, orderModifiers.applyToLine(unsentLine, modifiers, notes));
+        } else {
+            this.currentOrder[index] = orderModifiers.applyToLine(item, modifiers, notes);
+        }
+
+        this.hideModifierPopup();
+        this.enforceDiscountLimits();
+        this.saveCurrentOrder();
+        this.renderOrder();
+        this.updateTotals();
+    }
+
+    // ===== END ORDER MODIFIERS =====
+
     // ===== PER-ITEM PARCEL CHARGE FUNCTIONALITY =====
 
-    showParcelPopup(itemId) {
-        const item = this.currentOrder.find(orderItem => orderItem.id === itemId);
+    showParcelPopup(lineId) {
+        const item = this.currentOrder.find(orderItem => orderItem.lineId === lineId);
         if (!item) return;
 
         // Remove any existing popup
@@ -2191,16 +3158,14 @@ class POSApp {
                     <button class="close-popup" onclick="posApp.hideParcelPopup()">×</button>
                 </div>
                 <div class="parcel-popup-options">
-                    <button class="parcel-option ${item.parcelType === '5' ? 'selected' : ''}" 
-                            onclick="posApp.setItemParcel(${item.id}, 5, '5')">
-                        Apply ₹5 Parcel
-                    </button>
-                    <button class="parcel-option ${item.parcelType === '10' ? 'selected' : ''}" 
-                            onclick="posApp.setItemParcel(${item.id}, 10, '10')">
-                        Apply ₹10 Parcel
+                    ${this.getParcelChoices(item).map(choice => `
+                    <button class="parcel-option ${item.parcelType === choice.type ? 'selected' : ''}" 
+                            onclick="posApp.setItemParcel('${item.lineId}', ${choice.charge}, '${choice.type}')">
+                        ${choice.label}
                     </button>
+                    `).join('')}
                     <button class="parcel-option remove ${!item.parcelType ? 'selected' : ''}" 
-                            onclick="posApp.setItemParcel(${item.id}, 0, null)">
+                            onclick="posApp.setItemParcel('${item.lineId}', 0, null)">
                         Remove Parcel
                     </button>
                 </div>
@@ -2214,6 +3179,24 @@ class POSApp {
         this.addParcelPopupStyles();
     }
 
+    /**
+     * Parcel choices for an order line, from the parcel charge settings: the per-item
+     * charges staff pick from, the charge set for the item's category, or a mark that
+     * adds the one packing charge for the bill. type is stored as the line's parcelType.
+     */
+    getParcelChoices(item) {
+        const settings = this.settings.parcelCharges;
+
+        if (settings.mode === 'category') {
+            const charge = chargeOptions.getCategoryCharge(settings, item.category);
+            return [{ type: 'category', charge, label: charge > 0 ? `Apply ₹${charge} Parcel (${this.escapeHtml(item.category)})` : 'Mark as Parcel (no charge)' }];
+        }
+        if (settings.mode === 'bill') {
+            return [{ type: 'bill', charge: 0, label: `Mark as Parcel (₹${settings.billCharge} packing per bill)` }];
+        }
+        return settings.itemOptions.map(charge => ({ type: String(charge), charge, label: `Apply ₹${charge} Parcel` }));
+    }
+
     hideParcelPopup() {
         const popup = document.getElementById('parcel-popup');
         if (popup) {
@@ -2221,8 +3204,8 @@ class POSApp {
         }
     }
 
-    setItemParcel(itemId, parcelCharge, parcelType) {
-        const item = this.currentOrder.find(orderItem => orderItem.id === itemId);
+    setItemParcel(lineId, parcelCharge, parcelType) {
+        const item = this.currentOrder.find(orderItem => orderItem.lineId === lineId);
         if (!item) return;
 
         item.parcelCharge = parcelCharge;
@@ -2433,7 +3416,9 @@ class POSApp {
                 font-weight: 600;
             }
 
-            .parcel-btn {
+            .parcel-btn,
+            .discount-btn,
+            .modifier-btn {
                 width: 35px;
                 height: 35px;
                 border: 1px solid #ddd;
@@ -2446,7 +3431,9 @@ class POSApp {
                 font-size: 16px;
             }
 
-            .parcel-btn:hover {
+            .parcel-btn:hover,
+            .discount-btn:hover,
+            .modifier-btn:hover {
                 background: #f8f9ff;
                 border-color: #007bff;
             }
@@ -2478,13 +3465,12 @@ class POSApp {
     // ===== SELECTIVE PARCEL CHARGE FUNCTIONALITY =====
 
     getParcelItemsCount() {
-        return this.currentOrder.filter(item => item.parcelCharge > 0).length;
+        return this.currentOrder.filter(item => item.parcelType).length;
     }
 
+    // Per-item parcel charges plus the packing charge when the bill has one
     getTotalParcelCharges() {
-        return this.currentOrder.reduce((total, item) => {
-            return total + (item.parcelCharge || 0) * item.quantity;
-        }, 0);
+        return this.calculateBill().parcelCharges;
     }
 
     // ===== END SELECTIVE PARCEL CHARGE FUNCTIONALITY =====
@@ -2495,10 +3481,15 @@ class POSApp {
         const serviceFee = this.getServiceFee();
         const total = this.getTotal();
 
+        const totals = this.calculateBill();
+
         document.getElementById('subtotal').textContent = `₹${subtotal.toFixed(2)}`;
-        document.getElementById('tax').textContent = `₹0.00`;
+        document.getElementById('tax-label').textContent = totals.pricesIncludeTax ? 'GST (incl.):' : 'GST:';
+        document.getElementById('tax').textContent = `₹${totals.tax.toFixed(2)}`;
         document.getElementById('total').textContent = `₹${total.toFixed(2)}`;
         
+        this.updateDiscountDisplay(totals);
+
         // Update service fee display
         this.updateServiceFeeDisplay();
         
@@ -2512,33 +3503,44 @@ class POSApp {
         const serviceFeeLabelElement = document.getElementById('service-fee-label');
         const serviceFeeLineElement = document.getElementById('service-fee-line');
 
-        if (this.serviceFeePercentage > 0) {
+        if (this.serviceFeeOption) {
             serviceFeeAmountElement.textContent = `₹${serviceFeeAmount.toFixed(2)}`;
-            serviceFeeLabelElement.textContent = `Service Fee (${this.serviceFeePercentage}%):`;
+            serviceFeeLabelElement.textContent = `Service Fee (${chargeOptions.describeServiceFee(this.serviceFeeOption)}):`;
             serviceFeeLineElement.style.display = 'flex';
         } else {
             serviceFeeLineElement.style.display = 'none';
         }
     }
 
+    // Full bill breakdown (GST per slab, parcel, service fee) from the shared calculator
+    calculateBill(items = this.currentOrder) {
+        return billCalculator.calculate(items, this.getCalculatorOptions());
+    }
+
+    // Service fee, packing charge, GST settings and bill discount for the current order
+    getCalculatorOptions() {
+        return {
+            serviceFee: this.serviceFeeOption,
+            packingCharge: chargeOptions.getPackingCharge(this.settings.parcelCharges),
+            taxSettings: this.settings.tax,
+            billDiscount: this.billDiscount
+        };
+    }
+
     getSubtotal() {
         return this.currentOrder.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     }
 
     getTax() {
-        return 0; // No tax applied
+        return this.calculateBill().tax;
     }
 
     getServiceFee() {
-        if (this.serviceFeePercentage === 0) {
-            return 0;
-        }
-        const subtotal = this.getSubtotal();
-        return (subtotal * this.serviceFeePercentage) / 100;
+        return this.calculateBill().serviceFee;
     }
 
     getTotal() {
-        return this.getSubtotal() + this.getTotalParcelCharges() + this.getServiceFee(); // Total includes selective parcel charges and service fee
+        return this.calculateBill().total; // Selective parcel charges, service fee and exclusive GST
     }
 
     loadCurrentOrder() {
@@ -2553,15 +3555,17 @@ class POSApp {
                 
             const savedOrder = localStorage.getItem(storageKey);
             const savedServiceFee = localStorage.getItem(serviceFeeKey);
+            const savedServiceMode = localStorage.getItem(`${this.billingMode}_${this.currentLocation}_serviceMode`);
+            const savedDiscount = localStorage.getItem(`${this.billingMode}_${this.currentLocation}_discount`);
             
             this.currentOrder = savedOrder ? JSON.parse(savedOrder) : [];
-            this.serviceFeePercentage = savedServiceFee ? JSON.parse(savedServiceFee) : 0;
+            this.serviceFeeOption = this.parseStoredServiceFee(savedServiceFee);
+            this.serviceMode = savedServiceMode ? JSON.parse(savedServiceMode) : this.getDefaultServiceMode();
+            this.billDiscount = savedDiscount ? JSON.parse(savedDiscount) : null;
+            this.updateServiceModeSelect();
             
             // Update service fee dropdown to reflect loaded value
-            const serviceFeeDropdown = document.getElementById('service-fee-dropdown');
-            if (serviceFeeDropdown) {
-                serviceFeeDropdown.value = this.serviceFeePercentage;
-            }
+            this.updateServiceFeeSelect();
             
             // Ensure backward compatibility - migrate from isParcel to parcelCharge system
             this.currentOrder = this.currentOrder.map(item => ({
@@ -2574,10 +3578,15 @@ class POSApp {
                 // Remove old isParcel field
                 isParcel: undefined
             }));
+            this.currentOrder = this.withLineIds(this.currentOrder);
         } catch (error) {
             console.error('Error loading current order:', error);
             this.currentOrder = [];
-            this.serviceFeePercentage = 0;
+            this.serviceFeeOption = null;
+            this.serviceMode = this.getDefaultServiceMode();
+            this.billDiscount = null;
+            this.updateServiceModeSelect();
+            this.updateServiceFeeSelect();
         }
     }
 
@@ -2593,7 +3602,9 @@ class POSApp {
                     `counter_${this.currentLocation}_serviceFee`;
                     
                 localStorage.setItem(storageKey, JSON.stringify(this.currentOrder));
-                localStorage.setItem(serviceFeeKey, JSON.stringify(this.serviceFeePercentage));
+                localStorage.setItem(serviceFeeKey, JSON.stringify(this.serviceFeeOption));
+                localStorage.setItem(`${this.billingMode}_${this.currentLocation}_serviceMode`, JSON.stringify(this.serviceMode));
+                localStorage.setItem(`${this.billingMode}_${this.currentLocation}_discount`, JSON.stringify(this.billDiscount));
             } catch (error) {
                 console.error('Error saving current order:', error);
             }
@@ -2602,12 +3613,12 @@ class POSApp {
 
     refreshActiveTables() {
         this.activeTables.clear();
-        for (let i = 1; i <= this.totalTables; i++) {
-            const tableInfo = this.getTableOrderInfo(i);
+        this.tableLayout.tables.forEach(table => {
+            const tableInfo = this.getTableOrderInfo(table.id);
             if (tableInfo.itemCount > 0) {
-                this.activeTables.add(i);
+                this.activeTables.add(table.id);
             }
-        }
+        });
         this.saveActiveTableData();
     }
 
@@ -2666,6 +3677,8 @@ class POSApp {
             return;
         }
 
+        let pendingBillNumber = null;
+
         try {
             // Show user-friendly printing feedback
             const printButton = document.getElementById('print-order');
@@ -2675,22 +3688,31 @@ class POSApp {
 
             console.log('🚀 Using NEW Clean Printing System...');
 
+            pendingBillNumber = await this.allocateBillNumber();
+
             // Prepare order data for clean printing system
             const orderData = {
                 items: this.currentOrder,
                 menuItems: this.menuItems,
-                location: {
-                    type: this.billingMode,
-                    number: this.currentLocation
-                },
-                serviceCharge: this.serviceFeePercentage || 0,
-                restaurant: this.settings.restaurant
+                location: this.getCurrentLocationInfo(),
+                billNumber: pendingBillNumber,
+                serviceFee: this.serviceFeeOption,
+                packingCharge: chargeOptions.getPackingCharge(this.settings.parcelCharges),
+                taxSettings: this.settings.tax,
+                restaurant: this.settings.restaurant,
+                kotItems: this.getUnsentKotItems(),
+                kitchenStations: this.settings.kitchenStations,
+                billDiscount: this.billDiscount
             };
 
             // Use NEW clean printing system (no shrinking, reliable)
             const result = await this.cleanPrinter.printCompleteOrder(orderData);
+            this.markKotItemsSent(result.sentKotItems);
             
             if (result.success) {
+                pendingBillNumber = null;
+                await this.recordSettledBill(result.billNumber, 'CleanPrintingSystem', result.printResult);
+                
                 // Success feedback
                 printButton.textContent = '✅ Printed!';
                 setTimeout(() => {
@@ -2702,7 +3724,10 @@ class POSApp {
                 
                 // Clear order after successful print
                 this.currentOrder = [];
-                this.serviceFeePercentage = 0;
+                this.serviceFeeOption = null;
+                this.serviceMode = this.getDefaultServiceMode();
+                this.billDiscount = null;
+                this.updateServiceModeSelect();
                 
                 // Update UI to reflect cleared service fee
                 const serviceFeeDropdown = document.getElementById('service-fee-select');
@@ -2730,6 +3755,10 @@ class POSApp {
         } catch (error) {
             console.error('❌ Print error:', error);
             
+            if (pendingBillNumber) {
+                await this.releaseBillNumber(pendingBillNumber);
+            }
+            
             const printButton = document.getElementById('print-order');
             printButton.textContent = '❌ Print Failed';
             printButton.disabled = false;
@@ -2762,45 +3791,60 @@ class POSApp {
             }
         }
 
+        let pendingBillNumber = null;
+
         try {
             console.log('🚀 Using NEW ROBUST Printing System...');
             
+            pendingBillNumber = await this.allocateBillNumber();
+            
             // Show silent printing feedback
             const printButton = document.getElementById('print-new');
             const originalText = printButton.textContent;
             printButton.textContent = '🖨 Printing...';
             printButton.disabled = true;
 
-            // Calculate totals (only with available data, no invisible GST)
-            const subtotal = this.currentOrder.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-            const serviceFee = subtotal * (this.serviceFeePercentage / 100);
-            // Only add tax if explicitly configured (no automatic 5% GST)
-            const tax = 0; // Remove invisible GST - only use actual configured tax
-            const total = subtotal + serviceFee + tax;
+            // Calculate totals with the shared calculator (GST only from configured slabs)
+            const totals = this.calculateBill();
 
             // Prepare order data for new printing system
             const orderData = {
                 tableNumber: this.billingMode === 'table' ? this.currentTable : null,
                 locationNumber: this.currentLocation,
+                locationName: this.getCurrentLocationInfo().name,
+                staffName: this.currentStaff ? this.currentStaff.name : '',
                 locationType: this.billingMode, // 'table' or 'counter'
-                items: this.currentOrder.map(item => ({
+                items: this.currentOrder.map((item, index) => ({
                     name: item.name,
                     quantity: item.quantity,
-                    price: item.price
+                    price: item.price,
+                    modifiers: item.modifiers || [],
+                    notes: item.notes || '',
+                    promotion: item.promotion || null,
+                    hsnCode: totals.lines[index].hsnCode,
+                    taxRate: totals.lines[index].taxRate,
+                    discountAmount: totals.lines[index].discountAmount
                 })),
-                subtotal: subtotal,
-                serviceFee: serviceFee,
-                tax: tax,
-                total: total,
+                ...this.getPrintTotals(totals),
+                upiVpa: this.settings.restaurant.upiVpa,
+                payeeName: this.settings.restaurant.name,
                 timestamp: new Date().toISOString(),
-                billNumber: Date.now() // Temporary bill number
+                billNumber: pendingBillNumber
             };
 
             console.log('📋 Order data prepared:', orderData);
 
-            // Print KOT first
+            // Print KOTs first - one per kitchen station, only quantities not already sent with Send KOT
             console.log('🖨️ Starting KOT print...');
-            const kotResult = await this.newPrintHandler.printNewKOT(orderData);
+            const kotRound = await this.cleanPrinter.printKOTRound(
+                this.getUnsentKotItems(), this.menuItems, this.getCurrentLocationInfo(), this.settings.kitchenStations);
+            this.markKotItemsSent(kotRound.sentItems);
+            const failedKots = kotRound.results.filter(result => !result.success);
+            const kotResult = {
+                success: failedKots.length === 0,
+                results: kotRound.results,
+                message: failedKots.map(result => `${result.title}: ${result.error}`).join(', ')
+            };
             console.log('📋 KOT Result:', kotResult);
 
             // Then print Bill
@@ -2808,7 +3852,17 @@ class POSApp {
             const billResult = await this.newPrintHandler.printNewBill(orderData);
             console.log('💰 Bill Result:', billResult);
 
-            if (kotResult.success && billResult.success) {
+            // Once the bill is out its number is used, even if a KOT failed
+            if (billResult.success) {
+                pendingBillNumber = null;
+                
+                // Persist the bill before the order is cleared
+                await this.recordSettledBill(orderData.billNumber, 'NewPrintHandler', { kot: kotResult, bill: billResult });
+                
+                if (!kotResult.success) {
+                    this.showMessage(`⚠️ Bill ${orderData.billNumber} printed but a KOT did not (${kotResult.message}) - tell the kitchen`, 'error');
+                }
+                
                 // Silent success feedback - just update button briefly
                 printButton.textContent = '✅ Printed!';
                 setTimeout(() => {
@@ -2820,7 +3874,10 @@ class POSApp {
                 
                 // Clear order after successful print
                 this.currentOrder = [];
-                this.serviceFeePercentage = 0;
+                this.serviceFeeOption = null;
+                this.serviceMode = this.getDefaultServiceMode();
+                this.billDiscount = null;
+                this.updateServiceModeSelect();
                 
                 // Update UI to reflect cleared service fee
                 const serviceFeeDropdown = document.getElementById('service-fee-select');
@@ -2842,12 +3899,16 @@ class POSApp {
                 this.updateTotals();
                 
             } else {
-                throw new Error(kotResult.message || billResult.message || 'Print failed');
+                throw new Error(billResult.message || 'Print failed');
             }
             
         } catch (error) {
             console.error('❌ NEW Print error:', error);
             
+            if (pendingBillNumber) {
+                await this.releaseBillNumber(pendingBillNumber);
+            }
+            
             const printButton = document.getElementById('print-new');
             printButton.textContent = '❌ Print Failed';
             printButton.disabled = false;
@@ -2861,6 +3922,23 @@ class POSApp {
         }
     }
 
+    // Totals fields expected by NewPrintHandler and the ESC/POS/PDF generators
+    getPrintTotals(totals) {
+        return {
+            subtotal: totals.subtotal,
+            itemDiscount: totals.itemDiscount,
+            billDiscount: totals.billDiscount,
+            discount: totals.discount,
+            parcelCharges: totals.parcelCharges,
+            serviceFeePercentage: totals.serviceFeePercentage,
+            serviceFee: totals.serviceFee,
+            pricesIncludeTax: totals.pricesIncludeTax,
+            taxBreakup: totals.taxBreakup,
+            tax: totals.tax,
+            total: totals.total
+        };
+    }
+
     // Test the new printing system with sample data
     async testNewPrintSystem() {
         try {
@@ -2896,25 +3974,27 @@ class POSApp {
             }
 
             // Calculate totals (same as NEW printing system)
-            const subtotal = this.currentOrder.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-            const serviceFee = subtotal * (this.serviceFeePercentage / 100);
-            const tax = 0; // No invisible GST
-            const total = subtotal + serviceFee + tax;
+            const totals = this.calculateBill();
 
             // Prepare order data for NEW preview (same format as NEW printing)
             const orderData = {
                 tableNumber: this.billingMode === 'table' ? this.currentTable : null,
                 locationNumber: this.currentLocation,
+                locationName: this.getCurrentLocationInfo().name,
+                staffName: this.currentStaff ? this.currentStaff.name : '',
                 locationType: this.billingMode,
-                items: this.currentOrder.map(item => ({
+                items: this.currentOrder.map((item, index) => ({
                     name: item.name,
                     quantity: item.quantity,
-                    price: item.price
+                    price: item.price,
+                    modifiers: item.modifiers || [],
+                    notes: item.notes || '',
+                    promotion: item.promotion || null,
+                    hsnCode: totals.lines[index].hsnCode,
+                    taxRate: totals.lines[index].taxRate,
+                    discountAmount: totals.lines[index].discountAmount
                 })),
-                subtotal: subtotal,
-                serviceFee: serviceFee,
-                tax: tax,
-                total: total,
+                ...this.getPrintTotals(totals),
                 timestamp: new Date().toISOString()
             };
 
@@ -3389,7 +4469,10 @@ class POSApp {
             
             // Clear order after successful print
             this.currentOrder = [];
-            this.serviceFeePercentage = 0;
+            this.serviceFeeOption = null;
+            this.serviceMode = this.getDefaultServiceMode();
+            this.billDiscount = null;
+            this.updateServiceModeSelect();
             
             // Update UI to reflect cleared service fee
             const serviceFeeDropdown = document.getElementById('service-fee-dropdown');
@@ -3447,6 +4530,8 @@ class POSApp {
 
     // BACKUP: Centralized Printing Method (converted to use CleanPrintingSystem)
     async printOrderCentralized() {
+        let pendingBillNumber = null;
+
         try {
             if (!this.currentOrder || this.currentOrder.length === 0) {
                 alert('No items in order to print');
@@ -3469,35 +4554,46 @@ class POSApp {
                 }, 3000);
             }
 
+            pendingBillNumber = await this.allocateBillNumber();
+
             // Prepare order data for centralized printing manager
             const orderData = {
-                items: this.currentOrder.map(item => ({
-                    id: item.id,
-                    name: item.name,
-                    quantity: item.quantity,
-                    price: item.price
-                })),
+                // The full lines, as printOrder sends them - discounts, promotions, variants and
+                // combos have to be on the paper bill the ledger records
+                items: this.currentOrder,
                 menuItems: this.menuItems,
-                location: { 
-                    type: this.billingMode, 
-                    number: this.currentLocation 
-                },
-                serviceCharge: this.serviceFeePercentage || 0,
+                location: this.getCurrentLocationInfo(),
+                billNumber: pendingBillNumber,
+                serviceFee: this.serviceFeeOption,
+                packingCharge: chargeOptions.getPackingCharge(this.settings.parcelCharges),
+                taxSettings: this.settings.tax,
                 restaurant: {
                     name: this.settings.restaurant.name,
                     contact: this.settings.restaurant.contact,
                     address: this.settings.restaurant.address,
                     gstin: this.settings.restaurant.gstin,
-                    fssai: this.settings.restaurant.fssai
+                    fssai: this.settings.restaurant.fssai,
+                    upiVpa: this.settings.restaurant.upiVpa
                 }
             };
 
             // Use CleanPrintingSystem (same as main print method)
-            const result = await this.cleanPrinter.printCompleteOrder(orderData);
+            // Only the items the kitchen hasn't seen yet go out as KOTs
+            const result = await this.cleanPrinter.printCompleteOrder({
+                ...orderData,
+                kotItems: this.getUnsentKotItems(),
+                kitchenStations: this.settings.kitchenStations,
+                billDiscount: this.billDiscount
+            });
+            this.markKotItemsSent(result.sentKotItems);
             
             if (result.success) {
                 console.log('🎯 ✅ Backup centralized print completed successfully');
                 console.log(`📊 Summary: Print successful via CleanPrintingSystem`);
+                pendingBillNumber = null;
+                
+                // Persist the bill before the order is cleared
+                await this.recordSettledBill(result.billNumber, 'CleanPrintingSystem', result.printResult);
                 
                 // Success feedback
                 if (printButton) {
@@ -3506,7 +4602,10 @@ class POSApp {
                 
                 // Clear order after successful print (same as current)
                 this.currentOrder = [];
-                this.serviceFeePercentage = 0;
+                this.serviceFeeOption = null;
+                this.serviceMode = this.getDefaultServiceMode();
+                this.billDiscount = null;
+                this.updateServiceModeSelect();
                 
                 // Update UI to reflect cleared service fee
                 const serviceFeeDropdown = document.getElementById('service-fee-dropdown');
@@ -3535,6 +4634,10 @@ class POSApp {
         } catch (error) {
             console.error('🎯 ❌ Centralized Print Error:', error);
             
+            if (pendingBillNumber) {
+                await this.releaseBillNumber(pendingBillNumber);
+            }
+            
             // Reset button state on error
             const printButton = document.getElementById('print-order');
             if (printButton) {
@@ -3547,39 +4650,3188 @@ class POSApp {
         }
     }
 
-    // Test Clean Printing System (converted from old centralized test)
-    async testCentralizedPrint() {
-        console.log('🧪 Testing Clean Printing System from POS App...');
-        try {
-            const result = await this.cleanPrinter.testPrint();
-            console.log('🧪 Clean Print Test Results:', result);
-            alert('Clean Print Test completed! Check console for results.');
-        } catch (error) {
-            console.error('🧪 Clean Print Test Error:', error);
-            alert(`Clean Print Test failed: ${error.message}`);
+    // ===== TABLE LAYOUT =====
+
+    async loadTableLayout() {
+        const result = await ipcRenderer.invoke('get-table-layout');
+        if (!result.success) {
+            console.error('Error loading table layout:', result.error);
+            this.showMessage('⚠️ Table layout could not be read - using default tables', 'error');
         }
+        this.applyTableLayout(result.layout);
     }
 
-    generateKOTContent(orderDataOrItems = this.currentOrder, kotTitle = 'KITCHEN ORDER TICKET') {
-        // Handle both formats: structured orderData object or simple items array
-        let items, tableNumber, timestamp, kotType;
-        
-        if (orderDataOrItems && typeof orderDataOrItems === 'object' && orderDataOrItems.items) {
-            // Structured orderData format (from BillingScreen)
-            ({ tableNumber, items, timestamp, kotType } = orderDataOrItems);
-            kotTitle = kotType ? `${kotType.toUpperCase()} ORDER` : kotTitle;
-        } else {
-            // Simple items array format (legacy)
-            items = Array.isArray(orderDataOrItems) ? orderDataOrItems : this.currentOrder;
-            tableNumber = this.currentLocation;
-            timestamp = new Date().toISOString();
+    applyTableLayout(layout) {
+        this.tableLayout = layout;
+        this.totalCounters = layout.counters;
+        this.refreshActiveTables();
+
+        if (document.getElementById('table-selector-screen').classList.contains('active')) {
+            this.renderTables();
+        }
+    }
+
+    async saveTableLayout(layout) {
+        const result = await ipcRenderer.invoke('save-table-layout', layout);
+        if (!result.success) {
+            this.showMessage(`❌ ${result.error}`, 'error');
+            return false;
+        }
+        const changes = auditLog.diff(this.tableLayout, result.layout);
+        if (changes) {
+            this.recordAudit('settings.table-layout', { target: 'Table layout', ...changes });
+        }
+        this.applyTableLayout(result.layout);
+        return true;
+    }
+
+    getTableName(tableId) {
+        const table = this.tableLayout.tables.find(layoutTable => layoutTable.id === tableId);
+        return table ? table.name : `Table ${tableId}`;
+    }
+
+    // Location passed to the printers and the sales ledger
+    getCurrentLocationInfo() {
+        const location = { type: this.billingMode, number: this.currentLocation };
+        if (this.billingMode === 'table') {
+            location.name = this.getTableName(this.currentLocation);
+        }
+        const priceList = this.getActivePriceList();
+        location.serviceMode = this.serviceMode || this.getDefaultServiceMode();
+        location.priceList = priceList ? priceList.name : null;
+        // Printed as "Cashier: X" on bills and KOTs
+        location.staff = this.currentStaff;
+        return location;
+    }
+
+    // Saved position (percent of the floor), or a simple grid spot until the table is placed
+    getFloorPosition(table, index) {
+        if (table.x !== null && table.y !== null) {
+            return { x: table.x, y: table.y };
+        }
+        return { x: (index % 5) * 19 + 1, y: Math.floor(index / 5) * 24 + 2 };
+    }
+
+    toggleFloorPlanEditing() {
+        this.editingFloorPlan = !this.editingFloorPlan;
+        this.renderTables();
+    }
+
+    startTableDrag(e, tableDiv, table) {
+        e.preventDefault();
+        const floor = document.getElementById('tables-grid');
+        const floorRect = floor.getBoundingClientRect();
+        const offsetX = e.clientX - tableDiv.getBoundingClientRect().left;
+        const offsetY = e.clientY - tableDiv.getBoundingClientRect().top;
+        const clamp = value => Math.min(Math.max(Math.round(value * 10) / 10, 0), 100);
+
+        const onMove = (moveEvent) => {
+            const x = ((moveEvent.clientX - floorRect.left - offsetX) / floorRect.width) * 100;
+            const y = ((moveEvent.clientY - floorRect.top - offsetY) / floorRect.height) * 100;
+            tableDiv.style.left = `${clamp(x)}%`;
+            tableDiv.style.top = `${clamp(y)}%`;
+        };
+
+        const onUp = async () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+
+            const tables = this.tableLayout.tables.map(layoutTable => layoutTable.id === table.id
+                ? { ...layoutTable, x: clamp(parseFloat(tableDiv.style.left)), y: clamp(parseFloat(tableDiv.style.top)) }
+                : layoutTable);
+            await this.saveTableLayout({ ...this.tableLayout, tables });
+        };
+
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    populateTableLayoutSettings() {
+        document.getElementById('layout-counter-count').value = this.tableLayout.counters;
+        document.getElementById('layout-idle-minutes').value = this.tableLayout.idleMinutes;
+        document.getElementById('layout-view').value = this.tableLayout.view;
+
+        // Existing sections are offered as suggestions while typing
+        const sectionList = document.getElementById('layout-sections');
+        sectionList.innerHTML = '';
+        tableLayout.groupBySection(this.tableLayout.tables).forEach(section => {
+            const option = document.createElement('option');
+            option.value = section.name;
+            sectionList.appendChild(option);
+        });
+
+        const list = document.getElementById('layout-tables-list');
+        list.innerHTML = '';
+        this.tableLayout.tables.forEach(table => this.addLayoutTableRow(table));
+    }
+
+    addLayoutTableRow(table = null) {
+        const list = document.getElementById('layout-tables-list');
+        const rows = Array.from(list.querySelectorAll('.layout-table-row'));
+        const id = table ? table.id : tableLayout.getNextTableId(rows.map(row => ({ id: parseInt(row.dataset.tableId) })));
+        const lastSection = rows.length > 0 ? rows[rows.length - 1].querySelector('[data-field="section"]').value : tableLayout.DEFAULT_SECTION;
+
+        const row = document.createElement('div');
+        row.className = 'form-row layout-table-row';
+        row.dataset.tableId = id;
+        row.innerHTML = `
+            <input type="text" data-field="name" maxlength="20" placeholder="Name">
+            <input type="number" data-field="seats" min="1" max="50" placeholder="Seats">
+            <input type="text" data-field="section" maxlength="30" list="layout-sections" placeholder="Section">
+            <button type="button" class="btn btn-secondary layout-remove-table" title="Remove table">×</button>
+        `;
+        row.querySelector('[data-field="name"]').value = table ? table.name : `Table ${id}`;
+        row.querySelector('[data-field="seats"]').value = table ? table.seats : 4;
+        row.querySelector('[data-field="section"]').value = table ? table.section : lastSection;
+        row.querySelector('.layout-remove-table').addEventListener('click', () => row.remove());
+        list.appendChild(row);
+    }
+
+    async saveTableLayoutSettings() {
+        const tables = Array.from(document.querySelectorAll('#layout-tables-list .layout-table-row')).map(row => {
+            const id = parseInt(row.dataset.tableId);
+            const existing = this.tableLayout.tables.find(table => table.id === id);
+            return {
+                id,
+                name: row.querySelector('[data-field="name"]').value,
+                seats: row.querySelector('[data-field="seats"]').value,
+                section: row.querySelector('[data-field="section"]').value,
+                x: existing ? existing.x : null,
+                y: existing ? existing.y : null
+            };
+        });
+
+        // Orders are saved per table id - a table with an open bill can't be removed
+        const removedWithOrders = this.tableLayout.tables.filter(table =>
+            !tables.some(row => row.id === table.id) && this.getTableOrderInfo(table.id).itemCount > 0);
+        if (removedWithOrders.length > 0) {
+            this.showMessage(`❌ ${removedWithOrders.map(table => table.name).join(', ')} still has an open order - bill or move it first`, 'error');
+            return;
+        }
+
+        const saved = await this.saveTableLayout({
+            ...this.tableLayout,
+            tables,
+            counters: document.getElementById('layout-counter-count').value,
+            view: document.getElementById('layout-view').value,
+            idleMinutes: document.getElementById('layout-idle-minutes').value
+        });
+
+        if (saved) {
+            this.populateTableLayoutSettings();
+            this.showMessage('✅ Table layout saved successfully!', 'success');
+        }
+    }
+
+    // ===== END TABLE LAYOUT =====
+
+    // ===== KOT ROUNDS =====
+
+    // Quantities the kitchen hasn't had a KOT for yet (each line tracks kotSentQty)
+    getUnsentKotItems() {
+        return this.currentOrder
+            .filter(item => item.quantity > (item.kotSentQty || 0))
+            .map(item => ({ ...item, quantity: item.quantity - (item.kotSentQty || 0) }));
+    }
+
+    markKotItemsSent(sentItems) {
+        if (!sentItems || sentItems.length === 0) {
+            return;
+        }
+
+        sentItems.forEach(sentItem => {
+            const item = this.currentOrder.find(orderItem => orderItem.lineId === sentItem.lineId);
+            if (item) {
+                item.kotSentQty = Math.min((item.kotSentQty || 0) + sentItem.quantity, item.quantity);
+                item.kotSentBy = this.currentStaff ? this.currentStaff.name : null;
+            }
+        });
+
+        if (this.billingMode === 'table') {
+            this.markTableKotSent(this.currentTable);
+        }
+
+        this.saveCurrentOrder();
+        this.renderOrder();
+    }
+
+    // Send KOT: print only what was added since the last KOT for this table/counter
+    async sendKot() {
+        const unsentItems = this.getUnsentKotItems();
+        if (unsentItems.length === 0) {
+            this.showMessage('Nothing new to send to the kitchen', 'info');
+            return;
+        }
+
+        const sendButton = document.getElementById('send-kot');
+        sendButton.disabled = true;
+
+        try {
+            const kotRound = await this.cleanPrinter.printKOTRound(
+                unsentItems, this.menuItems, this.getCurrentLocationInfo(), this.settings.kitchenStations);
+            this.markKotItemsSent(kotRound.sentItems);
+
+            if (kotRound.sentItems.length === unsentItems.length) {
+                this.showMessage(`✅ KOT sent (${unsentItems.length} items)`, 'success');
+            } else {
+                const failed = kotRound.results.filter(result => !result.success).map(result => result.title);
+                this.showMessage(`❌ ${failed.join(', ')} did not print - press Send KOT again`, 'error');
+            }
+        } catch (error) {
+            console.error('❌ Send KOT error:', error);
+            this.showMessage(`❌ KOT failed: ${error.message}`, 'error');
+        } finally {
+            sendButton.disabled = false;
+        }
+    }
+
+    // Cancelling sent items: the kitchen gets a CANCELLED KOT and the ledger keeps the reason
+    setupKotCancelListeners() {
+        document.getElementById('close-kot-cancel').addEventListener('click', () => {
+            this.closeKotCancellation();
+        });
+
+        document.getElementById('keep-kot-item').addEventListener('click', () => {
+            this.closeKotCancellation();
+        });
+
+        document.getElementById('confirm-kot-cancel').addEventListener('click', () => {
+            this.confirmKotCancellation();
+        });
+    }
+
+    openKotCancellation(item, newQuantity) {
+        if (!this.requirePermission('cancel-items')) {
+            return;
+        }
+
+        const quantity = (item.kotSentQty || 0) - newQuantity;
+        // printedStations: stations that already have the CANCELLED slip if a printer failed
+        this.pendingKotCancel = { lineId: item.lineId, newQuantity, quantity, reason: null, printedStations: [] };
+
+        document.getElementById('kot-cancel-info').innerHTML = `
+            <div class="report-row"><span>Item</span><span>${this.escapeHtml(item.name)}</span></div>
+            <div class="report-row"><span>Already sent to kitchen</span><span>${item.kotSentQty}</span></div>
+            <div class="report-row report-total"><span>Cancel</span><span>${quantity}</span></div>
+        `;
+        document.getElementById('kot-cancel-reason').value = '';
+        document.getElementById('kot-cancel-note').value = '';
+        document.getElementById('kot-cancel-modal').classList.add('active');
+        document.getElementById('kot-cancel-reason').focus();
+    }
+
+    closeKotCancellation() {
+        const pending = this.pendingKotCancel;
+        // A station that already has its slip will stop cooking - keep the line until the rest follow
+        if (pending && pending.printedStations.length > 0 &&
+            !confirm('Some kitchen stations already have the CANCELLED slip, but the item is still on the order.\n\nClose without finishing the cancellation?')) {
+            return;
+        }
+        this.pendingKotCancel = null;
+        document.getElementById('kot-cancel-modal').classList.remove('active');
+    }
+
+    async confirmKotCancellation() {
+        const pending = this.pendingKotCancel;
+        const item = pending && this.currentOrder.find(orderItem => orderItem.lineId === pending.lineId);
+        if (!item) {
+            this.closeKotCancellation();
+            return;
+        }
+
+        const reasonChoice = document.getElementById('kot-cancel-reason').value;
+        const note = document.getElementById('kot-cancel-note').value.trim();
+        if (!pending.reason && (!reasonChoice || (reasonChoice === 'Other' && !note))) {
+            this.showMessage('❌ Choose a reason for cancelling (add details for Other)', 'error');
+            return;
+        }
+        // A retry keeps the reason already printed on the first slips
+        const reason = pending.reason || (note ? `${reasonChoice} - ${note}` : reasonChoice);
+
+        const confirmButton = document.getElementById('confirm-kot-cancel');
+        confirmButton.disabled = true;
+
+        try {
+            // All or nothing for the line: a retry prints only the stations still missing their slip
+            const cancelledItem = { ...item, quantity: pending.quantity };
+            const kotRound = await this.cleanPrinter.printKOTRound(
+                [cancelledItem], this.menuItems, this.getCurrentLocationInfo(), this.settings.kitchenStations,
+                { reason }, pending.printedStations);
+            pending.printedStations = kotRound.printedStations;
+            if (pending.printedStations.length > 0) {
+                pending.reason = reason;
+            }
+
+            // The order only changes once every station has the slip
+            if (kotRound.sentItems.length === 0) {
+                const error = kotRound.results.map(result => result.error).filter(Boolean).join(', ');
+                const detail = error ? `: ${error}` : '';
+                this.showMessage(pending.printedStations.length > 0
+                    ? `❌ Cancellation KOT printed at some stations only${detail} - press Print Cancellation to retry the rest. Item kept`
+                    : `❌ Cancellation KOT did not print${detail} - item kept`, 'error');
+                return;
+            }
+
+            const recordResult = await ipcRenderer.invoke('record-kot-cancellation', {
+                location: this.getCurrentLocationInfo(),
+                item: {
+                    id: item.id,
+                    name: item.name,
+                    category: item.category,
+                    price: item.price,
+                    quantity: pending.quantity,
+                    modifiers: item.modifiers || [],
+                    notes: item.notes || ''
+                },
+                reason,
+                cancelledAt: new Date().toISOString()
+            });
+            // The kitchen has every slip by now, so a retry only records it
+            if (!recordResult.success) {
+                console.error('❌ Failed to record KOT cancellation:', recordResult.error);
+                this.showMessage(`❌ Cancellation printed but not saved to sales history: ${recordResult.error} - press Print Cancellation to retry`, 'error');
+                return;
+            }
+
+            this.recordAudit('order.item-cancelled', {
+                target: salesReports.getLocationLabel(this.getCurrentLocationInfo()),
+                before: { name: item.name, quantity: item.quantity },
+                after: { name: item.name, quantity: pending.newQuantity, reason }
+            });
+
+            pending.printedStations = [];
+            this.closeKotCancellation();
+            item.kotSentQty = pending.newQuantity;
+            this.updateItemQuantity(item.lineId, pending.newQuantity);
+            this.showMessage(`🚫 ${pending.quantity} × ${item.name} cancelled`, 'success');
+        } catch (error) {
+            console.error('❌ KOT cancellation error:', error);
+            this.showMessage(`❌ Cancellation failed: ${error.message}`, 'error');
+        } finally {
+            confirmButton.disabled = false;
+        }
+    }
+
+    // ===== END KOT ROUNDS =====
+
+    // ===== KITCHEN STATIONS =====
+
+    populateStationOptions() {
+        ['item-kot-station', 'edit-item-kot-station'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            select.innerHTML = '';
+            this.settings.kitchenStations.forEach(station => {
+                const option = document.createElement('option');
+                option.value = station.id;
+                option.textContent = station.name;
+                select.appendChild(option);
+            });
+        });
+    }
+
+    async populateKitchenStationSettings() {
+        const list = document.getElementById('kitchen-stations-list');
+        list.innerHTML = '';
+
+        // Installed printers to choose from; a saved printer that is offline stays selectable
+        const printerResult = await ipcRenderer.invoke('get-printers');
+        this.availablePrinters = printerResult.success ? printerResult.printers.map(printer => printer.name) : [];
+        if (!printerResult.success) {
+            console.error('Error listing printers:', printerResult.error);
+        }
+
+        this.settings.kitchenStations.forEach(station => this.addKitchenStationRow(station));
+    }
+
+    addKitchenStationRow(station = null) {
+        const list = document.getElementById('kitchen-stations-list');
+        const printers = [...(this.availablePrinters || [])];
+        if (station && station.printer && !printers.includes(station.printer)) {
+            printers.push(station.printer);
+        }
+
+        const row = document.createElement('div');
+        row.className = 'form-row kitchen-station-row';
+        row.dataset.stationId = station ? station.id : '';
+        row.innerHTML = `
+            <input type="text" data-field="name" maxlength="20" placeholder="Station name (e.g. Tandoor)">
+            <select data-field="printer"></select>
+            <button type="button" class="btn btn-secondary kitchen-station-remove" title="Remove station">×</button>
+        `;
+
+        const printerSelect = row.querySelector('[data-field="printer"]');
+        ['', ...printers].forEach(printerName => {
+            const option = document.createElement('option');
+            option.value = printerName;
+            option.textContent = printerName || 'Default printer';
+            printerSelect.appendChild(option);
+        });
+
+        row.querySelector('[data-field="name"]').value = station ? station.name : '';
+        printerSelect.value = station ? station.printer : '';
+        row.querySelector('.kitchen-station-remove').addEventListener('click', () => row.remove());
+        list.appendChild(row);
+    }
+
+    saveKitchenStationSettings() {
+        const rows = Array.from(document.querySelectorAll('#kitchen-stations-list .kitchen-station-row'));
+
+        let stations;
+        try {
+            stations = kitchenStations.normalize(rows.map(row => ({
+                id: row.dataset.stationId,
+                name: row.querySelector('[data-field="name"]').value,
+                printer: row.querySelector('[data-field="printer"]').value
+            })));
+        } catch (error) {
+            this.showMessage(`❌ ${error.message}`, 'error');
+            return;
+        }
+
+        // Menu items keep the station id - a station still in use can't be removed
+        const removedInUse = this.settings.kitchenStations
+            .filter(station => !stations.some(saved => saved.id === station.id))
+            .map(station => ({
+                station,
+                count: this.menuItems.filter(item => (item.kotGroup || 'kitchen') === station.id ||
+                    (item.variants || []).some(variant => variant.kotGroup === station.id)).length
+            }))
+            .filter(removed => removed.count > 0);
+        if (removedInUse.length > 0) {
+            const details = removedInUse.map(removed => `${removed.station.name} (${removed.count} items)`).join(', ');
+            this.showMessage(`❌ Move menu items off ${details} before removing it`, 'error');
+            return;
+        }
+
+        this.settings.kitchenStations = stations;
+        this.saveSettingsToFile();
+
+        this.populateStationOptions();
+        this.populateKitchenStationSettings();
+        this.showMessage('✅ Kitchen stations saved successfully!', 'success');
+    }
+
+    // ===== END KITCHEN STATIONS =====
+
+    // ===== DISCOUNTS =====
+
+    // Discount limits are per role of whoever is logged in
+    getCurrentRole() {
+        return this.currentStaff ? this.currentStaff.role : null;
+    }
+
+    setupDiscountListeners() {
+        document.getElementById('bill-discount-btn').addEventListener('click', () => {
+            if (this.currentOrder.length === 0) {
+                this.showMessage('Add items before giving a discount', 'info');
+                return;
+            }
+            this.openDiscount(null);
+        });
+
+        document.getElementById('close-discount').addEventListener('click', () => {
+            this.closeDiscount();
+        });
+
+        document.getElementById('apply-discount').addEventListener('click', () => {
+            this.applyDiscount();
+        });
+
+        document.getElementById('remove-discount').addEventListener('click', () => {
+            this.removeDiscount();
+        });
+
+        document.getElementById('discount-modal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('discount-modal')) {
+                this.closeDiscount();
+            }
+        });
+    }
+
+    // What a discount comes off: the line amount, or the bill after line discounts
+    getDiscountBase(lineId) {
+        if (lineId) {
+            const item = this.currentOrder.find(orderItem => orderItem.lineId === lineId);
+            return item ? billCalculator.roundMoney(item.price * item.quantity) : 0;
+        }
+        const totals = this.calculateBill();
+        return billCalculator.roundMoney(totals.subtotal - totals.itemDiscount);
+    }
+
+    /**
+     * Flat discounts are held to the giver's limit - taking items off or re-pricing must not leave
+     * more off than they could have given. Percentages shrink with the order. Called by whatever
+     * shrinks the order, never while working out totals.
+     */
+    enforceDiscountLimits() {
+        const role = this.getCurrentRole();
+        const limits = this.settings.discountLimits;
+        const changed = [];
+
+        this.currentOrder.forEach(item => {
+            const discount = discounts.capToLimit(item.discount, billCalculator.roundMoney(item.price * item.quantity), role, limits);
+            if (discount !== item.discount) {
+                item.discount = discount;
+                changed.push(item.name);
+            }
+        });
+
+        if (this.billDiscount) {
+            const totals = billCalculator.calculate(this.currentOrder, this.getCalculatorOptions());
+            const billDiscount = discounts.capToLimit(this.billDiscount, billCalculator.roundMoney(totals.subtotal - totals.itemDiscount), role, limits);
+            if (billDiscount !== this.billDiscount) {
+                this.billDiscount = billDiscount;
+                changed.push('the bill');
+            }
+        }
+
+        if (changed.length > 0) {
+            this.saveCurrentOrder();
+            this.showMessage(`🏷️ Discount reduced to the limit for ${changed.join(', ')}`, 'info');
+        }
+    }
+
+    // lineId null discounts the whole bill
+    openDiscount(lineId) {
+        if (!this.requirePermission('discounts')) {
+            return;
+        }
+        this.enforceDiscountLimits();
+
+        const item = lineId ? this.currentOrder.find(orderItem => orderItem.lineId === lineId) : null;
+        if (lineId && !item) {
+            return;
+        }
+
+        const current = item ? item.discount : this.billDiscount;
+        const role = this.getCurrentRole();
+        const limit = this.settings.discountLimits[role];
+        this.pendingDiscount = { lineId };
+
+        document.getElementById('discount-info').innerHTML = `
+            <div class="report-row"><span>${item ? 'Item' : 'Bill'}</span><span>${item ? this.escapeHtml(item.name) : this.escapeHtml(this.getCurrentLocationInfo().name || `Counter ${this.currentLocation}`)}</span></div>
+            <div class="report-row report-total"><span>${item ? `${item.quantity} × ₹${item.price.toFixed(2)}` : 'After item discounts'}</span><span>₹${this.getDiscountBase(lineId).toFixed(2)}</span></div>
+        `;
+        document.getElementById('discount-type').value = current ? current.type : 'percent';
+        document.getElementById('discount-value').value = current ? current.value : '';
+        document.getElementById('discount-reason').value = current ? current.reason : '';
+        document.getElementById('discount-note').value = current ? current.note || '' : '';
+        document.getElementById('discount-limit-help').textContent = `As ${role} you can give up to ${limit}% off.`;
+        document.getElementById('remove-discount').style.display = current ? '' : 'none';
+        document.getElementById('discount-modal').classList.add('active');
+        document.getElementById('discount-value').focus();
+    }
+
+    closeDiscount() {
+        this.pendingDiscount = null;
+        document.getElementById('discount-modal').classList.remove('active');
+    }
+
+    applyDiscount() {
+        if (!this.pendingDiscount) {
+            return;
+        }
+        const { lineId } = this.pendingDiscount;
+        const item = lineId ? this.currentOrder.find(orderItem => orderItem.lineId === lineId) : null;
+
+        let discount;
+        try {
+            discount = discounts.validate({
+                type: document.getElementById('discount-type').value,
+                value: document.getElementById('discount-value').value,
+                reason: document.getElementById('discount-reason').value,
+                note: document.getElementById('discount-note').value
+            }, this.getDiscountBase(lineId), this.getCurrentRole(), this.settings.discountLimits);
+        } catch (error) {
+            this.showMessage(`❌ ${error.message}`, 'error');
+            return;
+        }
+
+        if (item) {
+            item.discount = discount;
+        } else {
+            this.billDiscount = discount;
+        }
+
+        this.closeDiscount();
+        this.saveCurrentOrder();
+        this.renderOrder();
+        this.updateTotals();
+        this.showMessage(`🏷️ ${discounts.describe(discount)}`, 'success');
+    }
+
+    removeDiscount() {
+        if (!this.pendingDiscount) {
+            return;
+        }
+        const { lineId } = this.pendingDiscount;
+        const item = lineId ? this.currentOrder.find(orderItem => orderItem.lineId === lineId) : null;
+
+        if (item) {
+            item.discount = null;
+        } else {
+            this.billDiscount = null;
+        }
+
+        this.closeDiscount();
+        this.saveCurrentOrder();
+        this.renderOrder();
+        this.updateTotals();
+        this.showMessage('Discount removed', 'info');
+    }
+
+    updateDiscountDisplay(totals) {
+        const discountLine = document.getElementById('discount-line');
+        const billDiscountButton = document.getElementById('bill-discount-btn');
+
+        if (totals.discount > 0) {
+            document.getElementById('discount-label').textContent = this.billDiscount
+                ? `Discount (${discounts.describe(this.billDiscount)}):`
+                : 'Item Discounts:';
+            document.getElementById('discount-amount').textContent = `-₹${totals.discount.toFixed(2)}`;
+            discountLine.style.display = 'flex';
+        } else {
+            discountLine.style.display = 'none';
+        }
+        billDiscountButton.textContent = this.billDiscount ? '🏷️ Change' : '🏷️ Add';
+    }
+
+    populateDiscountLimitSettings() {
+        discounts.ROLES.forEach(role => {
+            document.getElementById(`discount-limit-${role}`).value = this.settings.discountLimits[role];
+        });
+    }
+
+    saveDiscountLimitSettings() {
+        try {
+            const limits = {};
+            discounts.ROLES.forEach(role => {
+                limits[role] = document.getElementById(`discount-limit-${role}`).value;
+            });
+            this.settings.discountLimits = discounts.normalizeLimits(limits);
+        } catch (error) {
+            this.showMessage(`❌ ${error.message}`, 'error');
+            return;
+        }
+
+        this.saveSettingsToFile();
+        this.showMessage('✅ Discount limits saved successfully!', 'success');
+    }
+
+    // ===== END DISCOUNTS =====
+
+    // ===== PRICE LISTS =====
+
+    // Tables bill dine-in and counters bill counter until staff pick takeaway or delivery
+    getDefaultServiceMode() {
+        return this.billingMode === 'table' ? 'dine-in' : 'counter';
+    }
+
+    getActivePriceList() {
+        return priceLists.getListForMode(this.settings.priceLists, this.serviceMode || this.getDefaultServiceMode());
+    }
+
+    getItemPrice(item, variant = null) {
+        return priceLists.getPrice(this.getActivePriceList(), item, variant);
+    }
+
+    updateServiceModeSelect() {
+        const select = document.getElementById('service-mode-select');
+        if (!select) {
+            return;
+        }
+
+        select.innerHTML = '';
+        priceLists.SERVICE_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.label;
+            select.appendChild(option);
+        });
+        select.value = this.serviceMode || this.getDefaultServiceMode();
+    }
+
+    // Switching service mode re-prices the whole order from the new price list
+    setServiceMode(modeId) {
+        this.serviceMode = modeId;
+
+        this.currentOrder = this.currentOrder.map(line => {
+            const menuItem = this.menuItems.find(item => item.id === line.id);
+            if (!menuItem) {
+                return line;
+            }
+            const { price, promotion } = this.getRepricedLine(menuItem, line);
+            return line.basePrice !== undefined
+                ? orderModifiers.applyToLine({ ...line, basePrice: price, promotion }, line.modifiers || [], line.notes)
+                : { ...line, price, promotion };
+        });
+
+        this.enforceDiscountLimits();
+        this.saveCurrentOrder();
+        this.renderMenu();
+        this.renderOrder();
+        this.updateTotals();
+
+        const priceList = this.getActivePriceList();
+        this.showMessage(`${priceLists.getServiceModeLabel(modeId)} - prices from the ${priceList ? priceList.name : 'menu'} price list`, 'info');
+    }
+
+    populatePriceListSettings() {
+        const select = document.getElementById('price-list-select');
+        const selectedId = select.value || priceLists.SERVICE_MODES[0].id;
+
+        select.innerHTML = '';
+        this.settings.priceLists.forEach(list => {
+            const option = document.createElement('option');
+            option.value = list.id;
+            option.textContent = `${priceLists.getServiceModeLabel(list.id)} - ${list.name}`;
+            select.appendChild(option);
+        });
+        select.value = selectedId;
+
+        this.showPriceListEditor(select.value);
+    }
+
+    showPriceListEditor(listId) {
+        const list = priceLists.getListForMode(this.settings.priceLists, listId);
+
+        document.getElementById('price-list-name').value = list.name;
+        document.getElementById('price-list-rules').innerHTML = '';
+        document.getElementById('price-list-overrides').innerHTML = '';
+
+        list.rules.forEach(rule => this.addPriceRuleRow(rule));
+        Object.entries(list.overrides).forEach(([key, price]) => this.addPriceOverrideRow(key, price));
+    }
+
+    addPriceRuleRow(rule = null) {
+        const row = document.createElement('div');
+        row.className = 'form-row variant-row price-rule-row';
+        row.innerHTML = `
+            <select data-field="category"></select>
+            <input type="text" data-field="rule" maxlength="10" placeholder="-5 or +10%">
+            <button type="button" class="btn btn-secondary variant-remove" title="Remove rule">×</button>
+        `;
+
+        const categorySelect = row.querySelector('[data-field="category"]');
+        const categories = [...new Set(this.menuItems.map(item => item.category))].sort();
+        if (rule && rule.category !== priceLists.ALL_CATEGORIES && !categories.includes(rule.category)) {
+            categories.push(rule.category);
+        }
+        [priceLists.ALL_CATEGORIES, ...categories].forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category === priceLists.ALL_CATEGORIES ? 'All categories' : category;
+            categorySelect.appendChild(option);
+        });
+
+        categorySelect.value = rule ? rule.category : priceLists.ALL_CATEGORIES;
+        row.querySelector('[data-field="rule"]').value = rule ? priceLists.formatRule(rule) : '';
+        row.querySelector('.variant-remove').addEventListener('click', () => row.remove());
+        document.getElementById('price-list-rules').appendChild(row);
+    }
+
+    addPriceOverrideRow(key = '', price = '') {
+        const row = document.createElement('div');
+        row.className = 'form-row variant-row price-override-row';
+        row.innerHTML = `
+            <select data-field="item"></select>
+            <input type="number" data-field="price" min="0" max="9999" step="0.01" placeholder="Price">
+            <button type="button" class="btn btn-secondary variant-remove" title="Remove item price">×</button>
+        `;
+
+        const itemSelect = row.querySelector('[data-field="item"]');
+        [{ value: '', label: 'Choose item...' }, ...this.getMenuItemChoices()].forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice.value;
+            option.textContent = choice.label;
+            itemSelect.appendChild(option);
+        });
+
+        itemSelect.value = key;
+        row.querySelector('[data-field="price"]').value = price;
+        row.querySelector('.variant-remove').addEventListener('click', () => row.remove());
+        document.getElementById('price-list-overrides').appendChild(row);
+    }
+
+    savePriceListSettings() {
+        const listId = document.getElementById('price-list-select').value;
+
+        let lists;
+        try {
+            const rules = Array.from(document.querySelectorAll('#price-list-rules .price-rule-row')).map(row => {
+                const text = row.querySelector('[data-field="rule"]').value;
+                const rule = priceLists.parseRule(text);
+                if (!rule) {
+                    throw new Error(`"${text}" is not a rule - write -5, +₹10 or +10%`);
+                }
+                return { category: row.querySelector('[data-field="category"]').value, ...rule };
+            });
+
+            const overrides = {};
+            document.querySelectorAll('#price-list-overrides .price-override-row').forEach(row => {
+                const key = row.querySelector('[data-field="item"]').value;
+                if (!key) {
+                    throw new Error('Pick an item for every item price');
+                }
+                if (overrides[key] !== undefined) {
+                    throw new Error('An item has two prices on this list');
+                }
+                overrides[key] = row.querySelector('[data-field="price"]').value;
+            });
+
+            lists = priceLists.normalize(this.settings.priceLists.map(list => list.id === listId
+                ? { ...list, name: document.getElementById('price-list-name').value, rules, overrides }
+                : list));
+        } catch (error) {
+            this.showMessage(`❌ ${error.message}`, 'error');
+            return;
+        }
+
+        this.settings.priceLists = lists;
+        this.saveSettingsToFile();
+        this.populatePriceListSettings();
+
+        // Items already on an order keep their price until the service mode is changed
+        if (document.getElementById('billing-screen').classList.contains('active')) {
+            this.renderMenu();
+        }
+        this.showMessage('✅ Price list saved successfully!', 'success');
+    }
+
+    // ===== END PRICE LISTS =====
+
+    // ===== CHARGE OPTIONS =====
+
+    // Dropdown value -> the service fee it stands for ('0' is None)
+    getServiceFeeChoice(feeId) {
+        if (this.serviceFeeOption && this.serviceFeeOption.id === feeId) {
+            return this.serviceFeeOption;
+        }
+        return this.settings.serviceFees.find(fee => fee.id === feeId) || null;
+    }
+
+    // Orders saved before fees were configurable stored just the percentage
+    parseStoredServiceFee(savedServiceFee) {
+        const saved = savedServiceFee ? JSON.parse(savedServiceFee) : null;
+        if (typeof saved === 'number') {
+            return saved > 0 ? { id: `percent-${saved}-0`, type: 'percent', value: saved, minBill: 0 } : null;
+        }
+        return saved && saved.type ? saved : null;
+    }
+
+    // Fees from Settings, plus the order's own fee if it has since been removed from Settings
+    updateServiceFeeSelect() {
+        const select = document.getElementById('service-fee-select');
+        if (!select) {
+            return;
+        }
+
+        const fees = [...this.settings.serviceFees];
+        if (this.serviceFeeOption && !fees.some(fee => fee.id === this.serviceFeeOption.id)) {
+            fees.push(this.serviceFeeOption);
+        }
+
+        select.innerHTML = '<option value="0">None</option>';
+        fees.forEach(fee => {
+            const option = document.createElement('option');
+            option.value = fee.id;
+            option.textContent = chargeOptions.describeServiceFee(fee);
+            select.appendChild(option);
+        });
+        select.value = this.serviceFeeOption ? this.serviceFeeOption.id : '0';
+    }
+
+    populateChargeSettings() {
+        document.getElementById('service-fee-list').innerHTML = '';
+        this.settings.serviceFees.forEach(fee => this.addServiceFeeRow(fee));
+
+        const parcelCharges = this.settings.parcelCharges;
+        const modeSelect = document.getElementById('parcel-mode');
+        modeSelect.innerHTML = '';
+        chargeOptions.PARCEL_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.label;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.value = parcelCharges.mode;
+
+        document.getElementById('parcel-item-options').value = parcelCharges.itemOptions.join(', ');
+        document.getElementById('parcel-bill-charge').value = parcelCharges.billCharge;
+        document.getElementById('parcel-category-charges').innerHTML = '';
+        Object.entries(parcelCharges.categoryCharges).forEach(([category, charge]) => this.addParcelCategoryRow(category, charge));
+
+        this.updateParcelModeFields();
+    }
+
+    // Only the fields for the chosen parcel mode are shown
+    updateParcelModeFields() {
+        const mode = document.getElementById('parcel-mode').value;
+        chargeOptions.PARCEL_MODES.forEach(parcelMode => {
+            document.querySelectorAll(`.parcel-mode-${parcelMode.id}`).forEach(element => {
+                element.style.display = parcelMode.id === mode ? '' : 'none';
+            });
+        });
+    }
+
+    addServiceFeeRow(fee = null) {
+        const row = document.createElement('div');
+        row.className = 'form-row variant-row service-fee-row';
+        row.innerHTML = `
+            <select data-field="type">
+                <option value="percent">%</option>
+                <option value="amount">₹ flat</option>
+            </select>
+            <input type="number" data-field="value" min="0" max="9999" step="0.01" placeholder="Fee">
+            <input type="number" data-field="minBill" min="0" max="9999" step="1" placeholder="Minimum bill ₹ (optional)">
+            <button type="button" class="btn btn-secondary variant-remove" title="Remove service fee">×</button>
+        `;
+
+        row.querySelector('[data-field="type"]').value = fee ? fee.type : 'percent';
+        row.querySelector('[data-field="value"]').value = fee ? fee.value : '';
+        row.querySelector('[data-field="minBill"]').value = fee && fee.minBill > 0 ? fee.minBill : '';
+        row.querySelector('.variant-remove').addEventListener('click', () => row.remove());
+        document.getElementById('service-fee-list').appendChild(row);
+    }
+
+    addParcelCategoryRow(category = '', charge = '') {
+        const row = document.createElement('div');
+        row.className = 'form-row variant-row parcel-category-row';
+        row.innerHTML = `
+            <select data-field="category"></select>
+            <input type="number" data-field="price" min="0" max="9999" step="0.01" placeholder="Charge per item">
+            <button type="button" class="btn btn-secondary variant-remove" title="Remove category charge">×</button>
+        `;
+
+        const categorySelect = row.querySelector('[data-field="category"]');
+        const categories = [...new Set(this.menuItems.map(item => item.category))].sort();
+        if (category && !categories.includes(category)) {
+            categories.push(category);
+        }
+        ['', ...categories].forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name || 'Choose category...';
+            categorySelect.appendChild(option);
+        });
+
+        categorySelect.value = category;
+        row.querySelector('[data-field="price"]').value = charge;
+        row.querySelector('.variant-remove').addEventListener('click', () => row.remove());
+        document.getElementById('parcel-category-charges').appendChild(row);
+    }
+
+    saveChargeSettings() {
+        let serviceFees;
+        let parcelCharges;
+        try {
+            serviceFees = chargeOptions.normalizeServiceFees(Array.from(document.querySelectorAll('#service-fee-list .service-fee-row')).map(row => ({
+                type: row.querySelector('[data-field="type"]').value,
+                value: row.querySelector('[data-field="value"]').value,
+                minBill: row.querySelector('[data-field="minBill"]').value
+            })));
+
+            const categoryCharges = {};
+            document.querySelectorAll('#parcel-category-charges .parcel-category-row').forEach(row => {
+                const category = row.querySelector('[data-field="category"]').value;
+                if (!category) {
+                    throw new Error('Pick a category for every parcel charge');
+                }
+                if (categoryCharges[category] !== undefined) {
+                    throw new Error(`${category} has two parcel charges`);
+                }
+                categoryCharges[category] = row.querySelector('[data-field="price"]').value;
+            });
+
+            const itemOptions = document.getElementById('parcel-item-options').value
+                .split(',')
+                .map(option => option.replace('₹', '').trim())
+                .filter(Boolean);
+
+            parcelCharges = chargeOptions.normalizeParcelCharges({
+                mode: document.getElementById('parcel-mode').value,
+                itemOptions,
+                categoryCharges,
+                billCharge: document.getElementById('parcel-bill-charge').value
+            });
+        } catch (error) {
+            this.showMessage(`❌ ${error.message}`, 'error');
+            return;
+        }
+
+        this.settings.serviceFees = serviceFees;
+        this.settings.parcelCharges = parcelCharges;
+        this.saveSettingsToFile();
+        this.populateChargeSettings();
+
+        // Open orders keep their service fee and the parcel charges already on their items
+        this.updateServiceFeeSelect();
+        if (document.getElementById('billing-screen').classList.contains('active')) {
+            this.updateTotals();
+        }
+        this.showMessage('✅ Service fees and parcel charges saved successfully!', 'success');
+    }
+
+    // ===== END CHARGE OPTIONS =====
+
+    // ===== PROMOTIONS =====
+
+    // Promotions from menu.json - a rule that no longer checks out is skipped, not the whole list
+    loadPromotions(promotions) {
+        try {
+            return promotionEngine.normalize(promotions);
+        } catch (error) {
+            console.warn(`⚠️ Promotions: ${error.message} - skipping rules that can't be used`);
+            return (promotions || []).flatMap(promotion => {
+                try {
+                    return promotionEngine.normalize([promotion]);
+                } catch (ruleError) {
+                    return [];
+                }
+            });
+        }
+    }
+
+    // A line keeps the promotion it was added under when the order is re-priced
+    getRepricedLine(menuItem, line) {
+        const price = this.getItemPrice(menuItem, itemVariants.findVariant(menuItem, line.variant));
+        const promotion = line.promotion && this.promotions.find(candidate => candidate.id === line.promotion.id);
+        if (!promotion) {
+            return { price, promotion: null };
+        }
+
+        const promotionPrice = promotionEngine.applyToPrice(promotion, price);
+        return promotionPrice < price
+            ? { price: promotionPrice, promotion: { ...line.promotion, saving: Math.round((price - promotionPrice) * 100) / 100 } }
+            : { price, promotion: null };
+    }
+
+    populatePromotionSettings() {
+        document.getElementById('promotion-list').innerHTML = '';
+        this.promotions.forEach(promotion => this.addPromotionRow(promotion));
+        document.getElementById('promotion-test-result').textContent = '';
+    }
+
+    addPromotionRow(promotion = null) {
+        const row = document.createElement('div');
+        row.className = 'promotion-row';
+        row.dataset.promotionId = promotion ? promotion.id : '';
+        row.innerHTML = `
+            <div class="form-row variant-row">
+                <input type="text" data-field="name" maxlength="30" placeholder="Promotion name, e.g. Evening Snacks">
+                <label class="promotion-enabled"><input type="checkbox" data-field="enabled"> On</label>
+                <button type="button" class="btn btn-secondary variant-remove" title="Remove promotion">×</button>
+            </div>
+            <div class="form-row variant-row">
+                <div class="promotion-days">
+                    ${promotionEngine.DAY_NAMES.map((day, index) => `<label><input type="checkbox" data-day="${index}"> ${day}</label>`).join('')}
+                </div>
+                <input type="time" data-field="start" title="From (leave both times empty for all day)">
+                <input type="time" data-field="end" title="Until">
+            </div>
+            <div class="form-row variant-row">
+                <select data-field="targets" multiple size="3" title="Categories and items the offer applies to"></select>
+                <select data-field="type">
+                    <option value="percent">% off</option>
+                    <option value="amount">₹ off</option>
+                    <option value="price">Special price ₹</option>
+                </select>
+                <input type="number" data-field="value" min="0" max="9999" step="0.01" placeholder="Amount">
+            </div>
+        `;
+
+        const categories = [...new Set(this.menuItems.map(item => item.category))].sort();
+        const targetSelect = row.querySelector('[data-field="targets"]');
+        const targets = promotion
+            ? [...promotion.categories.map(category => `category:${category}`), ...promotion.itemIds.map(id => `item:${id}`)]
+            : [];
+        [
+            ...categories.map(category => ({ value: `category:${category}`, label: `All ${category}` })),
+            ...this.menuItems.map(item => ({ value: `item:${item.id}`, label: item.name }))
+        ].forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice.value;
+            option.textContent = choice.label;
+            option.selected = targets.includes(choice.value);
+            targetSelect.appendChild(option);
+        });
+
+        row.querySelector('[data-field="name"]').value = promotion ? promotion.name : '';
+        row.querySelector('[data-field="enabled"]').checked = promotion ? promotion.enabled : true;
+        row.querySelectorAll('[data-day]').forEach(checkbox => {
+            checkbox.checked = promotion ? promotion.days.includes(parseInt(checkbox.dataset.day)) : false;
+        });
+        row.querySelector('[data-field="start"]').value = promotion ? promotion.start : '';
+        row.querySelector('[data-field="end"]').value = promotion ? promotion.end : '';
+        row.querySelector('[data-field="type"]').value = promotion ? promotion.type : 'percent';
+        row.querySelector('[data-field="value"]').value = promotion ? promotion.value : '';
+        row.querySelector('.variant-remove').addEventListener('click', () => row.remove());
+        document.getElementById('promotion-list').appendChild(row);
+    }
+
+    // Promotions as entered in Settings - throws with the first problem
+    readPromotionRows() {
+        return promotionEngine.normalize(Array.from(document.querySelectorAll('#promotion-list .promotion-row')).map(row => {
+            const targets = Array.from(row.querySelector('[data-field="targets"]').selectedOptions).map(option => option.value);
+            return {
+                id: row.dataset.promotionId || `promo-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+                name: row.querySelector('[data-field="name"]').value,
+                enabled: row.querySelector('[data-field="enabled"]').checked,
+                days: Array.from(row.querySelectorAll('[data-day]:checked')).map(checkbox => checkbox.dataset.day),
+                start: row.querySelector('[data-field="start"]').value,
+                end: row.querySelector('[data-field="end"]').value,
+                categories: targets.filter(target => target.startsWith('category:')).map(target => target.slice('category:'.length)),
+                itemIds: targets.filter(target => target.startsWith('item:')).map(target => target.slice('item:'.length)),
+                type: row.querySelector('[data-field="type"]').value,
+                value: row.querySelector('[data-field="value"]').value
+            };
+        }));
+    }
+
+    savePromotionSettings() {
+        try {
+            this.promotions = this.readPromotionRows();
+        } catch (error) {
+            this.showMessage(`❌ ${error.message}`, 'error');
+            return;
+        }
+
+        this.saveSettingsToFile();
+        this.populatePromotionSettings();
+        this.showMessage('✅ Promotions saved successfully!', 'success');
+    }
+
+    // Simulate the clock: which of the promotions being edited would run at the chosen time
+    testPromotions() {
+        const result = document.getElementById('promotion-test-result');
+        const when = document.getElementById('promotion-test-time').value;
+        if (!when) {
+            result.textContent = 'Pick a day and time to test';
+            return;
+        }
+
+        let promotions;
+        try {
+            promotions = this.readPromotionRows();
+        } catch (error) {
+            result.textContent = `❌ ${error.message}`;
+            return;
+        }
+
+        const now = new Date(when);
+        const running = promotions.filter(promotion => promotionEngine.isActive(promotion, now));
+        const label = now.toLocaleString('en-IN', { weekday: 'long', hour: '2-digit', minute: '2-digit' });
+        result.textContent = running.length > 0
+            ? `${label}: ${running.map(promotion => `${promotion.name} (${promotionEngine.describeSchedule(promotion)})`).join(', ')}`
+            : `${label}: no promotions running`;
+    }
+
+    // ===== END PROMOTIONS =====
+
+    // ===== TABLE STATUS =====
+
+    // Timers and pending bills per table, kept next to the order as table_<n>_meta
+    getTableMeta(tableId) {
+        try {
+            const savedMeta = localStorage.getItem(`table_${tableId}_meta`);
+            return savedMeta ? JSON.parse(savedMeta) : {};
+        } catch (error) {
+            console.error(`Error reading table ${tableId} status:`, error);
+            return {};
+        }
+    }
+
+    saveTableMeta(tableId, meta) {
+        try {
+            const hasData = meta.openedAt || meta.lastKotAt || (meta.awaitingPayment && meta.awaitingPayment.length > 0);
+            if (hasData) {
+                localStorage.setItem(`table_${tableId}_meta`, JSON.stringify(meta));
+            } else {
+                localStorage.removeItem(`table_${tableId}_meta`);
+            }
+        } catch (error) {
+            console.error(`Error saving table ${tableId} status:`, error);
+        }
+    }
+
+    // First item on an empty table starts its timer
+    markTableOpened(tableId) {
+        const meta = this.getTableMeta(tableId);
+        meta.openedAt = new Date().toISOString();
+        delete meta.lastKotAt;
+        this.saveTableMeta(tableId, meta);
+    }
+
+    markTableKotSent(tableId) {
+        const meta = this.getTableMeta(tableId);
+        meta.lastKotAt = new Date().toISOString();
+        this.saveTableMeta(tableId, meta);
+    }
+
+    // A printed bill keeps the tile amber until its payment is settled
+    markBillAwaitingPayment(bill) {
+        if (!bill.location || bill.location.type !== 'table') {
+            return;
+        }
+        const meta = this.getTableMeta(bill.location.number);
+        meta.awaitingPayment = [
+            ...(meta.awaitingPayment || []),
+            { billNumber: bill.billNumber, total: bill.total, printedAt: bill.timestamp }
+        ];
+        this.saveTableMeta(bill.location.number, meta);
+    }
+
+    clearBillAwaitingPayment(billNumber, printedAt) {
+        const isBill = bill => bill.billNumber === billNumber && bill.printedAt === printedAt;
+        this.tableLayout.tables.forEach(table => {
+            const meta = this.getTableMeta(table.id);
+            if (meta.awaitingPayment && meta.awaitingPayment.some(isBill)) {
+                meta.awaitingPayment = meta.awaitingPayment.filter(bill => !isBill(bill));
+                this.saveTableMeta(table.id, meta);
+            }
+        });
+
+        if (document.getElementById('table-selector-screen').classList.contains('active')) {
+            this.renderTables();
+        }
+    }
+
+    // Reopen the settle dialog for every bill a table is still waiting on
+    settleTableBills(tableId) {
+        const meta = this.getTableMeta(tableId);
+        (meta.awaitingPayment || []).forEach(bill => {
+            if (!this.pendingSettlements.some(pending => pending.billNumber === bill.billNumber && pending.timestamp === bill.printedAt)) {
+                this.queueSettlement(bill);
+            }
+        });
+    }
+
+    /**
+     * Tile state for the table grid:
+     * available, occupied, idle (no KOT for longer than the idle limit) - plus awaitingPayment
+     */
+    getTableStatus(tableInfo) {
+        const now = Date.now();
+        const minutesSince = timestamp => timestamp ? Math.floor((now - new Date(timestamp).getTime()) / 60000) : null;
+        const awaitingPayment = tableInfo.awaitingPayment || [];
+
+        let state = 'available';
+        const elapsedMinutes = tableInfo.itemCount > 0 ? minutesSince(tableInfo.openedAt) : null;
+        const kotMinutes = tableInfo.itemCount > 0 ? minutesSince(tableInfo.lastKotAt) : null;
+
+        if (tableInfo.itemCount > 0) {
+            const idleMinutes = kotMinutes !== null ? kotMinutes : elapsedMinutes;
+            state = idleMinutes !== null && idleMinutes >= this.tableLayout.idleMinutes ? 'idle' : 'occupied';
+        }
+
+        return { state, elapsedMinutes, kotMinutes, awaitingPayment };
+    }
+
+    formatElapsed(minutes) {
+        if (minutes < 60) {
+            return `${minutes} min`;
+        }
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+
+    // Elapsed times on the tiles tick while the table screen is open
+    startTableTimers() {
+        if (this.tableTimerInterval) {
+            return;
+        }
+        this.tableTimerInterval = setInterval(() => {
+            const onTableScreen = document.getElementById('table-selector-screen').classList.contains('active');
+            if (onTableScreen && !this.editingFloorPlan && !document.getElementById('table-transfer-popup')) {
+                this.renderTables();
+            }
+        }, 30000);
+    }
+
+    // ===== END TABLE STATUS =====
+
+    // ===== MOVE / MERGE TABLES =====
+
+    getStoredTableOrder(tableNumber) {
+        try {
+            const savedOrder = localStorage.getItem(`table_${tableNumber}_order`);
+            const savedServiceFee = localStorage.getItem(`table_${tableNumber}_serviceFee`);
+            const savedServiceMode = localStorage.getItem(`table_${tableNumber}_serviceMode`);
+            const savedDiscount = localStorage.getItem(`table_${tableNumber}_discount`);
+            return {
+                items: savedOrder ? this.withLineIds(JSON.parse(savedOrder)) : [],
+                serviceFee: this.parseStoredServiceFee(savedServiceFee),
+                serviceMode: savedServiceMode ? JSON.parse(savedServiceMode) : null,
+                billDiscount: savedDiscount ? JSON.parse(savedDiscount) : null
+            };
+        } catch (error) {
+            console.error(`Error reading table ${tableNumber} order:`, error);
+            return { items: [], serviceFee: null, serviceMode: null, billDiscount: null };
+        }
+    }
+
+    /**
+     * Combine two orders line by line. A dish on both tables with the same modifiers, notes
+     * and parcel charge becomes one line with the quantities added. A parcel line and a
+     * dine-in line of the same dish, or parcels at different charges, stay separate lines.
+     */
+    mergeOrderItems(targetItems, sourceItems) {
+        const merged = targetItems.map(item => ({ ...item }));
+
+        sourceItems.forEach(sourceItem => {
+            const existingItem = merged.find(item => orderModifiers.isSameChoice(item, sourceItem) &&
+                (item.parcelCharge || 0) === (sourceItem.parcelCharge || 0) &&
+                (item.parcelType || null) === (sourceItem.parcelType || null));
+
+            if (!existingItem) {
+                merged.push({ ...sourceItem });
+                return;
+            }
+
+            existingItem.quantity += sourceItem.quantity;
+            existingItem.kotSentQty = (existingItem.kotSentQty || 0) + (sourceItem.kotSentQty || 0);
+        });
+
+        return merged;
+    }
+
+    /**
+     * Move table X's order to Y, or merge it into Y when Y already has an order.
+     * The service fee that comes to more on the combined order is kept, and a merge keeps Y's
+     * service mode and bill discount.
+     */
+    transferTableOrder(sourceTable, targetTable) {
+        if (sourceTable === targetTable) {
+            return;
+        }
+
+        const sourceName = this.getTableName(sourceTable);
+        const targetName = this.getTableName(targetTable);
+        const source = this.getStoredTableOrder(sourceTable);
+        const target = this.getStoredTableOrder(targetTable);
+
+        if (source.items.length === 0) {
+            this.showMessage(`${sourceName} has no order to move`, 'info');
+            return;
+        }
+
+        const isMerge = target.items.length > 0;
+        if (isMerge && !confirm(`Merge ${sourceName} into ${targetName}?\n\n${sourceName} will be cleared.`)) {
+            return;
+        }
+
+        const items = this.mergeOrderItems(target.items, source.items);
+        const serviceMode = isMerge ? target.serviceMode : source.serviceMode;
+        const billDiscount = isMerge ? target.billDiscount : source.billDiscount;
+        // Whichever fee comes to more on the combined order - a fee can have a minimum bill
+        const feeOn = fee => billCalculator.calculate(items, { ...this.getCalculatorOptions(), serviceFee: fee, billDiscount }).serviceFee;
+        const serviceFee = isMerge && feeOn(target.serviceFee) >= feeOn(source.serviceFee) ? target.serviceFee : source.serviceFee;
+
+        try {
+            localStorage.setItem(`table_${targetTable}_order`, JSON.stringify(items));
+            localStorage.setItem(`table_${targetTable}_serviceFee`, JSON.stringify(serviceFee));
+            localStorage.removeItem(`table_${sourceTable}_order`);
+            localStorage.removeItem(`table_${sourceTable}_serviceFee`);
+            localStorage.removeItem(`table_${sourceTable}_serviceMode`);
+            localStorage.removeItem(`table_${sourceTable}_discount`);
+            if (serviceMode) {
+                localStorage.setItem(`table_${targetTable}_serviceMode`, JSON.stringify(serviceMode));
+            }
+            localStorage.setItem(`table_${targetTable}_discount`, JSON.stringify(billDiscount));
+        } catch (error) {
+            console.error('Error transferring table order:', error);
+            this.showMessage(`❌ Could not move ${sourceName}: ${error.message}`, 'error');
+            return;
+        }
+
+        // The combined table keeps the earliest open time and the latest KOT
+        const sourceMeta = this.getTableMeta(sourceTable);
+        const targetMeta = this.getTableMeta(targetTable);
+        const timestamps = [sourceMeta, isMerge ? targetMeta : {}];
+        const openedAt = timestamps.map(meta => meta.openedAt).filter(Boolean).sort()[0];
+        const lastKotAt = timestamps.map(meta => meta.lastKotAt).filter(Boolean).sort().pop();
+        this.saveTableMeta(targetTable, { ...targetMeta, openedAt, lastKotAt });
+        delete sourceMeta.openedAt;
+        delete sourceMeta.lastKotAt;
+        this.saveTableMeta(sourceTable, sourceMeta);
+
+        this.activeTables.delete(sourceTable);
+        this.activeTables.add(targetTable);
+        this.saveActiveTableData();
+
+        console.log(`🔀 ${sourceName} ${isMerge ? 'merged into' : 'moved to'} ${targetName}`);
+        this.showMessage(`✅ ${sourceName} ${isMerge ? 'merged into' : 'moved to'} ${targetName}`, 'success');
+
+        this.hideTableTransferPopup();
+
+        // Follow the order if it was open on the billing screen, otherwise refresh the grid
+        if (this.billingMode === 'table' && this.currentTable === sourceTable) {
+            this.onTableSelect(targetTable);
+        } else if (this.billingMode === 'table' && this.currentTable === targetTable) {
+            this.loadCurrentOrder();
+            this.renderOrder();
+            this.updateTotals();
+        } else {
+            this.renderTables();
+        }
+    }
+
+    showTableTransferPopup(sourceTable) {
+        if (this.getStoredTableOrder(sourceTable).items.length === 0) {
+            this.showMessage(`${this.getTableName(sourceTable)} has no order to move`, 'info');
+            return;
+        }
+
+        this.hideTableTransferPopup();
+
+        const options = this.tableLayout.tables
+            .filter(table => table.id !== sourceTable)
+            .map(table => {
+                const isOccupied = this.getTableOrderInfo(table.id).itemCount > 0;
+                const name = this.escapeHtml(table.name);
+                return `
+                    <button class="parcel-option ${isOccupied ? 'selected' : ''}" 
+                            onclick="posApp.transferTableOrder(${sourceTable}, ${table.id})">
+                        ${isOccupied ? `Merge into ${name}` : `Move to ${name}`}
+                    </button>`;
+            });
+
+        const popup = document.createElement('div');
+        popup.id = 'table-transfer-popup';
+        popup.className = 'parcel-popup';
+        popup.innerHTML = `
+            <div class="parcel-popup-content">
+                <div class="parcel-popup-header">
+                    <h3>Move / Merge ${this.escapeHtml(this.getTableName(sourceTable))}</h3>
+                    <button class="close-popup" onclick="posApp.hideTableTransferPopup()">×</button>
+                </div>
+                <div class="parcel-popup-options table-transfer-options">
+                    ${options.join('')}
+                </div>
+            </div>
+            <div class="parcel-popup-backdrop" onclick="posApp.hideTableTransferPopup()"></div>
+        `;
+
+        document.body.appendChild(popup);
+        this.addParcelPopupStyles();
+    }
+
+    hideTableTransferPopup() {
+        const popup = document.getElementById('table-transfer-popup');
+        if (popup) {
+            popup.remove();
+        }
+    }
+
+    // ===== END MOVE / MERGE TABLES =====
+
+    // ===== SPLIT BILL =====
+
+    setupSplitBillListeners() {
+        document.getElementById('split-bill').addEventListener('click', () => {
+            this.openSplitBillModal();
+        });
+
+        document.getElementById('close-split-bill').addEventListener('click', () => {
+            this.closeSplitBillModal();
+        });
+
+        document.getElementById('cancel-split-bill').addEventListener('click', () => {
+            this.closeSplitBillModal();
+        });
+
+        document.getElementById('split-bill-modal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('split-bill-modal')) {
+                this.closeSplitBillModal();
+            }
+        });
+
+        document.getElementById('split-mode').addEventListener('change', () => {
+            this.renderSplitEditor();
+        });
+
+        document.getElementById('split-count').addEventListener('change', () => {
+            this.renderSplitEditor();
+        });
+
+        // Quantities and amounts are re-validated as they are typed
+        document.getElementById('split-editor').addEventListener('input', () => {
+            this.updateSplitPreview();
+        });
+
+        document.getElementById('print-split-bills').addEventListener('click', () => {
+            this.printSplitBills();
+        });
+    }
+
+    openSplitBillModal() {
+        if (!this.currentOrder || this.currentOrder.length === 0) {
+            this.showMessage('No items in order to split', 'info');
+            return;
+        }
+
+        // A split that stopped part-way (printer error) resumes so no share is billed twice.
+        // KOT progress is left out so sending the KOT doesn't look like an order change.
+        const orderSignature = JSON.stringify(this.currentOrder.map(({ kotSentQty, ...item }) => item));
+        const state = this.splitState;
+        const sameOrder = state && state.locationKey === this.getSplitLocationKey() && state.orderSignature === orderSignature;
+
+        if (state && state.printed.length > 0 && !sameOrder) {
+            this.showMessage(`⚠️ Split bills ${state.printed.join(', ')} were printed before the order changed`, 'error');
+        }
+
+        if (!sameOrder) {
+            this.splitState = {
+                locationKey: this.getSplitLocationKey(),
+                orderSignature,
+                shares: null,
+                printed: []
+            };
+        }
+
+        document.getElementById('split-bill-modal').classList.add('active');
+        this.renderSplitEditor();
+    }
+
+    closeSplitBillModal() {
+        document.getElementById('split-bill-modal').classList.remove('active');
+    }
+
+    getSplitLocationKey() {
+        return `${this.billingMode}_${this.currentLocation}`;
+    }
+
+    getSplitCount() {
+        const count = parseInt(document.getElementById('split-count').value) || 2;
+        return Math.min(Math.max(count, 2), 10);
+    }
+
+    renderSplitEditor() {
+        const editor = document.getElementById('split-editor');
+        const mode = document.getElementById('split-mode').value;
+        const count = this.getSplitCount();
+        const locked = this.splitState.printed.length > 0;
+
+        document.getElementById('split-mode').disabled = locked;
+        document.getElementById('split-count').disabled = locked;
+
+        if (locked || mode === 'equal') {
+            editor.innerHTML = '';
+        } else if (mode === 'items') {
+            // One quantity box per guest for every order line - guest 1 starts with everything
+            const guests = Array.from({ length: count }, (_, guest) => guest);
+            editor.innerHTML = `
+                <table>
+                    <tr>
+                        <th>Item</th>
+                        ${guests.map(guest => `<th>Guest ${guest + 1}</th>`).join('')}
+                    </tr>
+                    ${this.currentOrder.map((item, index) => `
+                    <tr>
+                        <td>${this.escapeHtml(item.name)} × ${item.quantity}${orderModifiers.isPlain(item) ? '' : `<br><small>${this.escapeHtml(orderModifiers.describe(item))}</small>`}${item.promotion ? `<br><small>${this.escapeHtml(item.promotion.name)} -₹${(item.promotion.saving * item.quantity).toFixed(2)}</small>` : ''}</td>
+                        ${guests.map(guest => `
+                        <td><input type="number" min="0" max="${item.quantity}" step="1"
+                            data-line="${index}" data-guest="${guest}" value="${guest === 0 ? item.quantity : 0}"></td>
+                        `).join('')}
+                    </tr>
+                    `).join('')}
+                </table>
+            `;
+        } else {
+            const total = this.calculateBill().total;
+            const amounts = billSplitter.apportion(total, new Array(count).fill(1));
+            editor.innerHTML = amounts.map((amount, payer) => `
+                <div class="form-group">
+                    <label>Payer ${payer + 1} (₹)</label>
+                    <input type="number" min="0" step="0.01" data-payer="${payer}" value="${amount.toFixed(2)}">
+                </div>
+            `).join('') + `<small class="form-help">Amounts must add up to ₹${total.toFixed(2)}</small>`;
+        }
+
+        this.updateSplitPreview();
+    }
+
+    // Build the shares from the editor (throws with a user-facing message if they don't balance)
+    computeSplitShares() {
+        // Once a share has printed the split is fixed
+        if (this.splitState.shares && this.splitState.printed.length > 0) {
+            return this.splitState.shares;
+        }
+
+        const mode = document.getElementById('split-mode').value;
+        const count = this.getSplitCount();
+        const options = this.getCalculatorOptions();
+
+        if (mode === 'equal') {
+            return billSplitter.splitEqually(this.currentOrder, count, options);
+        }
+
+        if (mode === 'items') {
+            const assignments = Array.from({ length: count }, () => []);
+            document.querySelectorAll('#split-editor input[data-line]').forEach(input => {
+                const quantity = parseInt(input.value) || 0;
+                if (quantity < 0) {
+                    throw new Error('Quantities cannot be negative');
+                }
+                assignments[parseInt(input.dataset.guest)].push({
+                    index: parseInt(input.dataset.line),
+                    quantity
+                });
+            });
+            return billSplitter.splitByItems(this.currentOrder, assignments, options);
+        }
+
+        const amounts = Array.from(document.querySelectorAll('#split-editor input[data-payer]'))
+            .map(input => input.value);
+        return billSplitter.splitByAmounts(this.currentOrder, amounts, options);
+    }
+
+    updateSplitPreview() {
+        const preview = document.getElementById('split-preview');
+        const printButton = document.getElementById('print-split-bills');
+
+        try {
+            const shares = this.computeSplitShares();
+            const { printed } = this.splitState;
+
+            preview.innerHTML = shares.map((share, index) => {
+                const status = printed[index] ? ` - printed as ${printed[index]}` : '';
+                return `<div class="report-row ${printed[index] ? 'split-printed' : ''}">
+                    <span>Bill ${share.split.index} of ${share.split.count}${status}</span>
+                    <span>₹${share.total.toFixed(2)}</span>
+                </div>`;
+            }).join('');
+
+            printButton.disabled = false;
+            printButton.textContent = printed.length > 0 ? '🖨 Print Remaining Bills' : `🖨 Print ${shares.length} Bills`;
+        } catch (error) {
+            preview.innerHTML = `<p>⚠️ ${this.escapeHtml(error.message)}</p>`;
+            printButton.disabled = true;
+        }
+    }
+
+    // KOTs go out once for the whole order, then one numbered bill per share
+    async printSplitBills() {
+        const state = this.splitState;
+        const printButton = document.getElementById('print-split-bills');
+        let shares;
+
+        try {
+            shares = this.computeSplitShares();
+        } catch (error) {
+            this.showMessage(`❌ ${error.message}`, 'error');
+            return;
+        }
+
+        state.shares = shares;
+        printButton.disabled = true;
+        printButton.textContent = '🖨 Printing...';
+
+        const location = this.getCurrentLocationInfo();
+        const orderData = {
+            menuItems: this.menuItems,
+            location,
+            serviceFee: this.serviceFeeOption,
+            packingCharge: chargeOptions.getPackingCharge(this.settings.parcelCharges),
+            taxSettings: this.settings.tax,
+            restaurant: {
+                name: this.settings.restaurant.name,
+                contact: this.settings.restaurant.contact,
+                address: this.settings.restaurant.address,
+                gstin: this.settings.restaurant.gstin,
+                fssai: this.settings.restaurant.fssai,
+                upiVpa: this.settings.restaurant.upiVpa
+            }
+        };
+
+        // Only what the kitchen hasn't seen yet - a retried split prints no KOT again
+        const kotRound = await this.cleanPrinter.printKOTRound(
+            this.getUnsentKotItems(), this.menuItems, location, this.settings.kitchenStations);
+        this.markKotItemsSent(kotRound.sentItems);
+
+        for (let index = 0; index < shares.length; index++) {
+            if (state.printed[index]) {
+                continue;
+            }
+
+            const share = shares[index];
+            let pendingBillNumber = null;
+
+            try {
+                pendingBillNumber = await this.allocateBillNumber();
+
+                const billResult = await this.cleanPrinter.printCustomerBill({
+                    ...orderData,
+                    items: share.lines,
+                    totals: share,
+                    split: share.split,
+                    billNumber: pendingBillNumber
+                });
+
+                state.printed[index] = billResult.billNumber;
+                pendingBillNumber = null;
+
+                await this.recordSettledBill(billResult.billNumber, 'CleanPrintingSystem', {
+                    kots: index === 0 ? kotRound.results : [],
+                    bill: billResult.printResult
+                }, share);
+            } catch (error) {
+                console.error(`❌ Split bill ${share.split.index} failed:`, error);
+
+                if (pendingBillNumber) {
+                    await this.releaseBillNumber(pendingBillNumber);
+                }
+
+                this.showMessage(`❌ Bill ${share.split.index} of ${share.split.count} did not print: ${error.message}`, 'error');
+                this.renderSplitEditor();
+                return;
+            }
+        }
+
+        console.log(`✂️ Split bills printed: ${state.printed.join(', ')}`);
+        this.showMessage(`✅ Printed ${shares.length} split bills (${state.printed.join(', ')})`, 'success');
+
+        this.splitState = null;
+        this.closeSplitBillModal();
+        this.clearSettledOrder();
+    }
+
+    // Empty the order and free the table/counter once every bill for it has printed
+    clearSettledOrder() {
+        this.currentOrder = [];
+        this.serviceFeeOption = null;
+        this.serviceMode = this.getDefaultServiceMode();
+        this.billDiscount = null;
+        this.updateServiceModeSelect();
+
+        const serviceFeeDropdown = document.getElementById('service-fee-select');
+        if (serviceFeeDropdown) {
+            serviceFeeDropdown.value = '0';
+        }
+
+        if (this.billingMode === 'table') {
+            this.activeTables.delete(this.currentTable);
+            this.saveActiveTableData();
+        } else {
+            this.activeCounters.delete(this.currentCounter);
+            this.saveActiveCounterData();
+        }
+
+        this.saveCurrentOrder();
+        this.renderOrder();
+        this.updateTotals();
+    }
+
+    // ===== END SPLIT BILL =====
+
+    // ===== PAYMENT SETTLEMENT =====
+
+    setupSettleListeners() {
+        document.getElementById('close-settle').addEventListener('click', () => {
+            this.settleLater();
+        });
+
+        document.getElementById('settle-later').addEventListener('click', () => {
+            this.settleLater();
+        });
+
+        document.getElementById('confirm-settle').addEventListener('click', () => {
+            this.confirmSettlement();
+        });
+
+        document.querySelectorAll('.tender-input').forEach(input => {
+            input.addEventListener('input', () => this.updateSettleSummary());
+        });
+
+        document.querySelectorAll('.tender-exact').forEach(button => {
+            button.addEventListener('click', () => this.fillExactTender(button.dataset.method));
+        });
+    }
+
+    // Every bill that reaches the ledger gets a settle dialog; split bills queue one after another
+    // Ledger bills carry timestamp; bills a table is waiting on keep it as printedAt
+    queueSettlement(bill) {
+        this.pendingSettlements.push({
+            billNumber: bill.billNumber,
+            timestamp: bill.timestamp || bill.printedAt,
+            total: bill.total,
+            split: bill.split || null
+        });
+
+        if (!document.getElementById('settle-modal').classList.contains('active')) {
+            this.showNextSettlement();
+        }
+    }
+
+    showNextSettlement() {
+        const modal = document.getElementById('settle-modal');
+        const settlement = this.pendingSettlements[0];
+
+        if (!settlement) {
+            modal.classList.remove('active');
+            return;
+        }
+
+        const splitText = settlement.split ? ` (${settlement.split.index} of ${settlement.split.count})` : '';
+        document.getElementById('settle-bill-info').innerHTML = `
+            <div class="report-row"><span>Bill No${splitText}</span><span>${this.escapeHtml(settlement.billNumber)}</span></div>
+            <div class="report-row report-total"><span>Amount Due</span><span>₹${settlement.total.toFixed(2)}</span></div>
+        `;
+
+        document.querySelectorAll('.tender-input').forEach(input => {
+            input.value = '';
+        });
+
+        modal.classList.add('active');
+        this.updateSettleSummary();
+        document.getElementById('tender-cash').focus();
+    }
+
+    getEnteredTenders() {
+        return Array.from(document.querySelectorAll('.tender-input')).map(input => ({
+            method: input.dataset.method,
+            amount: parseFloat(input.value) || 0
+        }));
+    }
+
+    // Put whatever is still due into the chosen tender
+    fillExactTender(method) {
+        const settlement = this.pendingSettlements[0];
+        if (!settlement) {
+            return;
+        }
+
+        const input = document.querySelector(`.tender-input[data-method="${method}"]`);
+        const otherTenders = this.getEnteredTenders()
+            .filter(tender => tender.method !== method)
+            .reduce((sum, tender) => sum + tender.amount, 0);
+        const remaining = billCalculator.roundMoney(settlement.total - otherTenders);
+
+        input.value = Math.max(remaining, 0).toFixed(2);
+        this.updateSettleSummary();
+    }
+
+    updateSettleSummary() {
+        const settlement = this.pendingSettlements[0];
+        const summary = document.getElementById('settle-summary');
+        const confirmButton = document.getElementById('confirm-settle');
+        if (!settlement) {
+            return;
+        }
+
+        const tendered = billCalculator.roundMoney(this.getEnteredTenders().reduce((sum, tender) => sum + tender.amount, 0));
+        const row = (label, value, extraClass = '') =>
+            `<div class="report-row ${extraClass}"><span>${label}</span><span>${value}</span></div>`;
+
+        try {
+            const payment = paymentTender.buildPayment(settlement.total, this.getEnteredTenders());
+            summary.innerHTML = row('Tendered', `₹${payment.tendered.toFixed(2)}`) +
+                row('Change Due', `₹${payment.change.toFixed(2)}`, 'report-total');
+            confirmButton.disabled = false;
+        } catch (error) {
+            summary.innerHTML = row('Tendered', `₹${tendered.toFixed(2)}`) +
+                `<p>⚠️ ${this.escapeHtml(error.message)}</p>`;
+            confirmButton.disabled = true;
+        }
+    }
+
+    async confirmSettlement() {
+        const settlement = this.pendingSettlements[0];
+        if (!settlement) {
+            return;
+        }
+
+        try {
+            const tenders = this.getEnteredTenders();
+            // Same validation as the main process, so errors show before the round trip
+            paymentTender.buildPayment(settlement.total, tenders);
+
+            const result = await ipcRenderer.invoke('record-payment',
+                { billNumber: settlement.billNumber, timestamp: settlement.timestamp }, tenders);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const changeText = result.payment.change > 0 ? ` - give ₹${result.payment.change.toFixed(2)} change` : '';
+            this.showMessage(`✅ Bill ${settlement.billNumber} settled${changeText}`, 'success');
+
+            this.pendingSettlements.shift();
+            this.clearBillAwaitingPayment(settlement.billNumber, settlement.timestamp);
+            this.showNextSettlement();
+        } catch (error) {
+            console.error('❌ Settlement error:', error);
+            this.showMessage(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    // Leave the bill unsettled - it shows under Unsettled in the X/Z reports
+    settleLater() {
+        const settlement = this.pendingSettlements.shift();
+        if (settlement) {
+            console.log(`💳 Bill ${settlement.billNumber} left unsettled`);
+        }
+        this.showNextSettlement();
+    }
+
+    // ===== END PAYMENT SETTLEMENT =====
+
+    // ===== BILL NUMBERING =====
+
+    // Reserve the next sequential bill number from the main process
+    async allocateBillNumber() {
+        const result = await ipcRenderer.invoke('allocate-bill-number');
+        if (!result.success) {
+            throw new Error(result.error || 'Could not allocate a bill number');
+        }
+        return result.billNumber;
+    }
+
+    // Hand back a number whose bill failed to print so the series has no gaps
+    async releaseBillNumber(billNumber) {
+        try {
+            const result = await ipcRenderer.invoke('release-bill-number', billNumber);
+            if (!result.success) {
+                console.warn(`⚠️ ${result.error}`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to release bill number:', error);
+        }
+    }
+
+    // ===== END BILL NUMBERING =====
+
+    // ===== SALES REPORTS =====
+
+    setupReportsListeners() {
+        document.getElementById('close-reports').addEventListener('click', () => {
+            this.closeReportsModal();
+        });
+
+        document.getElementById('reports-modal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('reports-modal')) {
+                this.closeReportsModal();
+            }
+        });
+
+        document.getElementById('print-x-report').addEventListener('click', () => {
+            this.printXReport();
+        });
+
+        document.getElementById('close-business-day').addEventListener('click', () => {
+            this.closeBusinessDay();
+        });
+
+        document.getElementById('reprint-last-z').addEventListener('click', () => {
+            this.reprintLastZReport();
+        });
+    }
+
+    async openReportsModal() {
+        if (!this.requirePermission('reports')) {
+            return;
+        }
+
+        document.getElementById('reports-modal').classList.add('active');
+        await this.refreshReportSummary();
+    }
+
+    closeReportsModal() {
+        document.getElementById('reports-modal').classList.remove('active');
+    }
+
+    async refreshReportSummary() {
+        const summary = document.getElementById('report-summary');
+        const result = await ipcRenderer.invoke('get-x-report');
+
+        if (!result.success) {
+            summary.innerHTML = `<p>❌ Could not load sales: ${this.escapeHtml(result.error)}</p>`;
+            return null;
+        }
+
+        const { report, lastZReport } = result;
+        const row = (label, value, extraClass = '') =>
+            `<div class="report-row ${extraClass}"><span>${label}</span><span>${value}</span></div>`;
+
+        summary.innerHTML = `
+            <p>${lastZReport
+                ? `Day open since Z-report #${lastZReport.zNumber} (${new Date(lastZReport.closedAt).toLocaleString('en-IN')})`
+                : 'No Z-report taken yet'}</p>
+            <h3>Open Day (next Z #${report.zNumber})</h3>
+            ${row('Bills', report.billCount)}
+            ${row('Item Sales', `₹${report.subtotal.toFixed(2)}`)}
+            ${report.discounts.amount > 0 ? row(`Discounts (${report.discounts.count})`, `-₹${report.discounts.amount.toFixed(2)}`) : ''}
+            ${report.promotions.map(promotion => row(`🎉 ${this.escapeHtml(promotion.name)} × ${promotion.quantity}`, `-₹${promotion.amount.toFixed(2)} (in item sales)`)).join('')}
+            ${row('Parcel Charges', `₹${report.parcelCharges.toFixed(2)}`)}
+            ${row('Service Fee', `₹${report.serviceFee.toFixed(2)}`)}
+            ${row(`Voids (${report.voids.count})`, `-₹${report.voids.amount.toFixed(2)}`)}
+            ${report.refunds.count > 0 ? row(`Refunds (${report.refunds.count})`, `-₹${report.refunds.amount.toFixed(2)}`) : ''}
+            ${report.kotCancellations.count > 0 ? row(`KOT Cancels (${report.kotCancellations.quantity} items)`, `₹${report.kotCancellations.amount.toFixed(2)}`) : ''}
+            ${row('Net Sales', `₹${report.net.toFixed(2)}`, 'report-total')}
+            <h3>Payments</h3>
+            ${row('Cash in Drawer', `₹${report.payments.cashInDrawer.toFixed(2)}`)}
+            ${row('UPI', `₹${report.payments.upi.toFixed(2)}`)}
+            ${row('Card', `₹${report.payments.card.toFixed(2)}`)}
+            ${report.payments.unsettledCount > 0 ? row(`Unsettled (${report.payments.unsettledCount})`, `₹${report.payments.unsettledAmount.toFixed(2)}`) : ''}
+            ${report.payments.earlierSettledCount > 0 ? row(`Earlier Bills Settled (${report.payments.earlierSettledCount})`, `₹${report.payments.earlierSettledAmount.toFixed(2)}`) : ''}
+            <h3>Top Items</h3>
+            ${report.items.slice(0, 5).map(item => row(`${this.escapeHtml(item.name)} × ${item.quantity}`, `₹${item.amount.toFixed(2)}`)).join('') || '<p>No sales yet</p>'}
+        `;
+
+        return report;
+    }
+
+    async printXReport() {
+        try {
+            const result = await ipcRenderer.invoke('get-x-report');
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            await this.cleanPrinter.printSalesReport(result.report, this.settings.restaurant);
+            this.showMessage('✅ X-report printed', 'success');
+        } catch (error) {
+            console.error('❌ X-report error:', error);
+            this.showMessage(`❌ X-report failed: ${error.message}`, 'error');
+        }
+    }
+
+    async closeBusinessDay() {
+        if (!confirm('Close the business day and print the Z-report?\n\nTotals will start again from zero.')) {
+            return;
+        }
+
+        const result = await ipcRenderer.invoke('close-business-day');
+        if (!result.success) {
+            this.showMessage(`❌ Could not close the day: ${result.error}`, 'error');
+            return;
+        }
+
+        // The Z-report is archived even if the printer is unavailable - it can be reprinted
+        try {
+            await this.cleanPrinter.printSalesReport(result.report, this.settings.restaurant);
+            this.showMessage(`✅ Day closed - Z-report #${result.report.zNumber} printed`, 'success');
+        } catch (error) {
+            console.error('❌ Z-report print error:', error);
+            this.showMessage(`⚠️ Day closed but Z-report #${result.report.zNumber} did not print. Use Reprint Last Z.`, 'error');
+        }
+
+        await this.refreshReportSummary();
+    }
+
+    async reprintLastZReport() {
+        if (!this.requirePermission('reprints')) {
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('get-z-reports');
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            if (result.reports.length === 0) {
+                this.showMessage('No Z-report has been taken yet', 'info');
+                return;
+            }
+
+            const lastReport = result.reports[result.reports.length - 1];
+            await this.cleanPrinter.printSalesReport(lastReport, this.settings.restaurant);
+            this.recordAudit('report.z-reprinted', { target: `Z-report #${lastReport.zNumber}` });
+            this.showMessage(`✅ Z-report #${lastReport.zNumber} reprinted`, 'success');
+        } catch (error) {
+            console.error('❌ Z-report reprint error:', error);
+            this.showMessage(`❌ Reprint failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ===== END SALES REPORTS =====
+
+    // ===== CASH SHIFTS =====
+
+    setupCashShiftListeners() {
+        document.getElementById('close-cash-shift-modal').addEventListener('click', () => {
+            this.closeCashShiftModal();
+        });
+
+        document.getElementById('open-cash-shift').addEventListener('click', () => {
+            this.startCashShift();
+        });
+
+        document.getElementById('cash-movement-type').addEventListener('change', () => {
+            this.populateCashMovementReasons();
+        });
+
+        document.getElementById('record-cash-movement').addEventListener('click', () => {
+            this.recordCashMovement();
+        });
+
+        document.getElementById('close-cash-shift').addEventListener('click', () => {
+            this.closeCashShift();
+        });
+
+        document.getElementById('reprint-last-shift').addEventListener('click', () => {
+            this.reprintLastShift();
+        });
+    }
+
+    async openCashShift() {
+        if (!this.requirePermission('cash-drawer')) {
+            return;
+        }
+
+        document.getElementById('cash-shift-modal').classList.add('active');
+        await this.refreshCashShift();
+    }
+
+    closeCashShiftModal() {
+        document.getElementById('cash-shift-modal').classList.remove('active');
+    }
+
+    // The open shift is shown without its expected cash - the close is counted blind
+    async refreshCashShift() {
+        const status = document.getElementById('cash-shift-status');
+        const result = await ipcRenderer.invoke('get-cash-shift');
+
+        if (!result.success) {
+            status.innerHTML = `<p>❌ Could not load the cash shift: ${this.escapeHtml(result.error)}</p>`;
+            return;
+        }
+
+        const { shift, lastShift } = result;
+        this.lastCashShift = lastShift;
+        const row = (label, value, extraClass = '') =>
+            `<div class="report-row ${extraClass}"><span>${label}</span><span>${value}</span></div>`;
+
+        if (shift) {
+            status.innerHTML = `
+                <p>Shift #${shift.shiftNumber} open since ${new Date(shift.openedAt).toLocaleString('en-IN')} - ${this.escapeHtml(shift.openedBy ? shift.openedBy.name : '')}</p>
+                ${row('Opening Float', `₹${shift.openingFloat.toFixed(2)}`)}
+                ${shift.movements.map(movement => row(
+                    `${cashShifts.MOVEMENT_LABELS[movement.type]}: ${this.escapeHtml(movement.note || movement.reason)}`,
+                    `${movement.type === 'pay-out' ? '-' : '+'}₹${movement.amount.toFixed(2)}`
+                )).join('')}
+            `;
+        } else if (lastShift) {
+            status.innerHTML = `
+                <p>No shift open. Last shift #${lastShift.shiftNumber} closed ${new Date(lastShift.closedAt).toLocaleString('en-IN')} - ${this.escapeHtml(lastShift.closedBy ? lastShift.closedBy.name : '')}</p>
+                ${row('Expected', `₹${lastShift.cash.expected.toFixed(2)}`)}
+                ${row('Counted', `₹${lastShift.count.total.toFixed(2)}`)}
+                ${row('Difference', cashShifts.describeDifference(lastShift.difference), 'report-total')}
+            `;
+        } else {
+            status.innerHTML = '<p>No shift open. Count the float in the drawer and open a shift.</p>';
+        }
+
+        document.getElementById('cash-shift-open-form').style.display = shift ? 'none' : '';
+        document.getElementById('cash-shift-active-form').style.display = shift ? '' : 'none';
+        document.getElementById('reprint-last-shift').style.display = lastShift ? '' : 'none';
+
+        if (shift) {
+            document.getElementById('cash-movement-amount').value = '';
+            document.getElementById('cash-movement-note').value = '';
+            this.populateCashMovementReasons();
+            this.renderCashCountGrid();
+        } else {
+            document.getElementById('cash-shift-float').value = '';
+        }
+    }
+
+    populateCashMovementReasons() {
+        const type = document.getElementById('cash-movement-type').value;
+        document.getElementById('cash-movement-reason').innerHTML = `
+            <option value="">Select a reason</option>
+            ${cashShifts.MOVEMENT_REASONS[type].map(reason => `<option value="${reason}">${reason}</option>`).join('')}
+        `;
+    }
+
+    async startCashShift() {
+        const openingFloat = document.getElementById('cash-shift-float').value;
+        if (openingFloat === '') {
+            this.showMessage('Enter the opening float (0 if the drawer is empty)', 'info');
+            return;
+        }
+
+        const result = await ipcRenderer.invoke('open-cash-shift', openingFloat);
+        if (!result.success) {
+            this.showMessage(`❌ ${result.error}`, 'error');
+            return;
+        }
+
+        this.showMessage(`✅ Shift #${result.shift.shiftNumber} opened with ₹${result.shift.openingFloat.toFixed(2)}`, 'success');
+        await this.refreshCashShift();
+    }
+
+    async recordCashMovement() {
+        const result = await ipcRenderer.invoke('record-cash-movement', {
+            type: document.getElementById('cash-movement-type').value,
+            amount: document.getElementById('cash-movement-amount').value,
+            reason: document.getElementById('cash-movement-reason').value,
+            note: document.getElementById('cash-movement-note').value
+        });
+        if (!result.success) {
+            this.showMessage(`❌ ${result.error}`, 'error');
+            return;
+        }
+
+        const movement = result.shift.movements[result.shift.movements.length - 1];
+        this.showMessage(`✅ ${cashShifts.MOVEMENT_LABELS[movement.type]} of ₹${movement.amount.toFixed(2)} recorded`, 'success');
+        await this.refreshCashShift();
+    }
+
+    renderCashCountGrid() {
+        const grid = document.getElementById('cash-count-grid');
+        grid.innerHTML = cashShifts.DENOMINATIONS.map(denomination => `
+            <div class="cash-count-row">
+                <label for="cash-count-${denomination}">₹${denomination}</label>
+                <input type="number" id="cash-count-${denomination}" class="cash-count-input" data-denomination="${denomination}" min="0" step="1" placeholder="0">
+                <span class="cash-count-amount" data-denomination="${denomination}"></span>
+            </div>
+        `).join('');
+
+        grid.querySelectorAll('.cash-count-input').forEach(input => {
+            input.addEventListener('input', () => this.updateCashCountTotal());
+        });
+        this.updateCashCountTotal();
+    }
+
+    getCashCounts() {
+        const counts = {};
+        document.querySelectorAll('#cash-count-grid .cash-count-input').forEach(input => {
+            counts[input.dataset.denomination] = input.value;
+        });
+        return counts;
+    }
+
+    updateCashCountTotal() {
+        const totalDiv = document.getElementById('cash-count-total');
+        document.querySelectorAll('#cash-count-grid .cash-count-amount').forEach(span => {
+            const count = parseInt(document.getElementById(`cash-count-${span.dataset.denomination}`).value) || 0;
+            span.textContent = count > 0 ? `₹${(count * span.dataset.denomination).toFixed(2)}` : '';
+        });
+
+        try {
+            const count = cashShifts.countCash(this.getCashCounts());
+            totalDiv.innerHTML = `<span>Counted</span><span>₹${count.total.toFixed(2)}</span>`;
+        } catch (error) {
+            totalDiv.innerHTML = `<span>Counted</span><span>❌ ${this.escapeHtml(error.message)}</span>`;
+        }
+    }
+
+    // The summary is archived even if the printer is unavailable - it can be reprinted
+    async closeCashShift() {
+        let count;
+        try {
+            count = cashShifts.countCash(this.getCashCounts());
+        } catch (error) {
+            this.showMessage(`❌ ${error.message}`, 'error');
+            return;
+        }
+        if (!confirm(`Close the shift with ₹${count.total.toFixed(2)} counted?\n\nThe count can't be changed afterwards.`)) {
+            return;
+        }
+
+        const result = await ipcRenderer.invoke('close-cash-shift', this.getCashCounts());
+        if (!result.success) {
+            this.showMessage(`❌ Could not close the shift: ${result.error}`, 'error');
+            return;
+        }
+
+        const { shift } = result;
+        try {
+            await this.cleanPrinter.printShiftSummary(shift, this.settings.restaurant);
+            this.showMessage(`✅ Shift #${shift.shiftNumber} closed - ${cashShifts.describeDifference(shift.difference)}`, 'success');
+        } catch (error) {
+            console.error('❌ Shift summary print error:', error);
+            this.showMessage(`⚠️ Shift #${shift.shiftNumber} closed but the summary did not print. Use Reprint Last Shift.`, 'error');
+        }
+
+        await this.refreshCashShift();
+    }
+
+    async reprintLastShift() {
+        if (!this.lastCashShift || !this.requirePermission('reprints')) {
+            return;
+        }
+
+        try {
+            await this.cleanPrinter.printShiftSummary(this.lastCashShift, this.settings.restaurant);
+            this.recordAudit('shift.reprinted', { target: `Shift #${this.lastCashShift.shiftNumber}` });
+            this.showMessage(`✅ Shift #${this.lastCashShift.shiftNumber} summary reprinted`, 'success');
+        } catch (error) {
+            console.error('❌ Shift summary reprint error:', error);
+            this.showMessage(`❌ Reprint failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ===== END CASH SHIFTS =====
+
+    // ===== BILL HISTORY =====
+
+    setupBillHistoryListeners() {
+        document.getElementById('close-bill-history').addEventListener('click', () => {
+            this.closeBillHistory();
+        });
+
+        document.getElementById('bill-history-modal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('bill-history-modal')) {
+                this.closeBillHistory();
+            }
+        });
+
+        document.getElementById('history-search').addEventListener('click', () => {
+            this.searchBillHistory();
+        });
+
+        document.getElementById('history-clear').addEventListener('click', () => {
+            this.resetBillHistoryFilters();
+            this.searchBillHistory();
+        });
+    }
+
+    async openBillHistory() {
+        if (!this.requirePermission('reports')) {
+            return;
+        }
+
+        document.getElementById('bill-history-modal').classList.add('active');
+        if (!document.getElementById('history-from').value) {
+            this.resetBillHistoryFilters();
+        }
+        await this.searchBillHistory();
+    }
+
+    closeBillHistory() {
+        document.getElementById('bill-history-modal').classList.remove('active');
+    }
+
+    // Today's bills, nothing else filtered
+    resetBillHistoryFilters() {
+        const today = new Date();
+        const localDate = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+        document.getElementById('history-from').value = localDate;
+        document.getElementById('history-to').value = localDate;
+        ['history-bill-number', 'history-location', 'history-min-amount', 'history-max-amount', 'history-item'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    }
+
+    getBillHistoryFilters() {
+        return {
+            from: document.getElementById('history-from').value,
+            to: document.getElementById('history-to').value,
+            billNumber: document.getElementById('history-bill-number').value.trim(),
+            location: document.getElementById('history-location').value.trim(),
+            minAmount: document.getElementById('history-min-amount').value,
+            maxAmount: document.getElementById('history-max-amount').value,
+            item: document.getElementById('history-item').value.trim()
+        };
+    }
+
+    async searchBillHistory() {
+        const results = document.getElementById('bill-history-results');
+        const result = await ipcRenderer.invoke('get-bill-history', this.getBillHistoryFilters());
+
+        if (!result.success) {
+            results.innerHTML = `<p>❌ Could not load bills: ${this.escapeHtml(result.error)}</p>`;
+            this.billHistoryResults = [];
+            return;
+        }
+
+        this.billHistoryResults = result.bills;
+        if (result.bills.length === 0) {
+            results.innerHTML = '<p>No bills match these filters</p>';
+            return;
+        }
+
+        const shown = result.totalMatches > result.bills.length
+            ? `Showing the latest ${result.bills.length} of ${result.totalMatches} bills - narrow the filters to see older ones`
+            : `${result.totalMatches} bill${result.totalMatches === 1 ? '' : 's'}`;
+
+        results.innerHTML = `
+            <p>${shown}</p>
+            <table class="bill-history-table">
+                <thead>
+                    <tr><th>Bill</th><th>Date</th><th>Table / Counter</th><th>Items</th><th>Total</th><th>Payment</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${result.bills.map((bill, index) => `
+                    <tr>
+                        <td>${this.escapeHtml(bill.billNumber)}${bill.split ? `<br><small>Split ${bill.split.index}/${bill.split.count}</small>` : ''}</td>
+                        <td>${new Date(bill.timestamp).toLocaleString('en-IN')}</td>
+                        <td>${this.escapeHtml(salesReports.getLocationLabel(bill.location))}</td>
+                        <td>${this.escapeHtml((bill.items || []).map(item => `${item.name} × ${item.quantity}`).join(', '))}</td>
+                        <td>₹${(bill.total || 0).toFixed(2)}</td>
+                        <td>
+                            ${this.escapeHtml(paymentTender.describe(bill.payment))}
+                            ${(bill.credits || []).map((creditNote, creditIndex) => `
+                            <br><small class="bill-history-credit">↩️ ${this.escapeHtml(creditNote.creditNoteNumber)} ${creditNote.type === 'void' ? 'Voided' : 'Refunded'} ₹${creditNote.total.toFixed(2)}
+                                <button class="btn btn-secondary" onclick="posApp.reprintCreditNote(${index}, ${creditIndex})" title="Reprint credit note">🖨</button></small>
+                            `).join('')}
+                        </td>
+                        <td class="bill-history-actions">
+                            <button class="btn btn-secondary" onclick="posApp.previewHistoryBill(${index})" title="Preview">👁️</button>
+                            <button class="btn btn-info" onclick="posApp.reprintHistoryBill(${index})" title="Reprint as DUPLICATE">🖨</button>
+                            ${this.canCreditBill(bill) ? `<button class="btn btn-danger" onclick="posApp.openCreditNote(${index})" title="Void or refund">↩️</button>` : ''}
+                        </td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // The duplicate exactly as it will print, in a preview window like previewBill()
+    previewHistoryBill(index) {
+        const bill = this.billHistoryResults[index];
+        if (!bill) return;
+
+        try {
+            const billHTML = this.cleanPrinter.generateCustomerBillHTML(billHistory.toOrderData(bill, this.settings.restaurant));
+            const previewWindow = window.open('', '_blank',
+                'width=450,height=750,scrollbars=yes,resizable=yes,menubar=no,toolbar=no,location=no,status=no'
+            );
+
+            if (!previewWindow) {
+                throw new Error('Popup blocked by browser');
+            }
+            previewWindow.document.write(billHTML);
+            previewWindow.document.close();
+            previewWindow.focus();
+        } catch (error) {
+            console.error('❌ Bill history preview error:', error);
+            this.showMessage(`❌ Preview failed: ${error.message}`, 'error');
+        }
+    }
+
+    async reprintHistoryBill(index) {
+        const bill = this.billHistoryResults[index];
+        if (!bill || !this.requirePermission('reprints')) return;
+
+        try {
+            await this.cleanPrinter.printDuplicateBill(billHistory.toOrderData(bill, this.settings.restaurant));
+            this.recordAudit('bill.reprinted', { target: `Bill ${bill.billNumber}` });
+            this.showMessage(`✅ Duplicate of bill ${bill.billNumber} printed`, 'success');
+        } catch (error) {
+            console.error('❌ Duplicate bill print error:', error);
+            this.showMessage(`❌ Reprint failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ===== END BILL HISTORY =====
+
+    // ===== VOIDS & REFUNDS =====
+
+    setupCreditNoteListeners() {
+        document.getElementById('close-credit-note').addEventListener('click', () => {
+            this.closeCreditNote();
+        });
+
+        document.getElementById('cancel-credit-note').addEventListener('click', () => {
+            this.closeCreditNote();
+        });
+
+        document.getElementById('confirm-credit-note').addEventListener('click', () => {
+            this.confirmCreditNote();
+        });
+
+        document.getElementById('credit-note-type').addEventListener('change', () => {
+            this.renderCreditNoteLines();
+        });
+
+        document.getElementById('credit-note-lines').addEventListener('input', () => {
+            this.updateCreditNoteSummary();
+        });
+    }
+
+    // Anything left on the bill that hasn't been voided or refunded yet
+    canCreditBill(bill) {
+        const credits = bill.credits || [];
+        return !credits.some(creditNote => creditNote.type === 'void') &&
+            creditNotes.getRemainingQuantities(bill, credits).some(quantity => quantity > 0);
+    }
+
+    openCreditNote(index) {
+        const bill = this.billHistoryResults[index];
+        if (!bill || !this.canCreditBill(bill)) return;
+
+        // Anyone logged in can ask; a manager approves with their PIN
+        if (!this.currentStaff) {
+            this.showMessage('🔒 Log in with 👤 in the header to void or refund a bill', 'error');
+            return;
+        }
+        const approvers = (this.staffList || []).filter(member => staffAccess.can(this.staffPermissions, member, 'voids'));
+        if (approvers.length === 0) {
+            this.showMessage('🔒 Nobody can approve voids and refunds - check Staff & Permissions in Settings', 'error');
+            return;
+        }
+
+        const credits = bill.credits || [];
+        const shareOnly = bill.split && bill.split.mode !== 'items';
+        this.pendingCreditNote = { bill, credits };
+
+        // A refunded bill can only be refunded further; a shared split bill only voided whole
+        const typeSelect = document.getElementById('credit-note-type');
+        typeSelect.querySelector('option[value="void"]').disabled = credits.length > 0;
+        typeSelect.querySelector('option[value="refund"]').disabled = shareOnly;
+        typeSelect.value = credits.length > 0 ? 'refund' : 'void';
+
+        document.getElementById('credit-note-method-group').style.display = bill.payment ? '' : 'none';
+        if (bill.payment) {
+            document.getElementById('credit-note-method').value = bill.payment.tenders[0].method;
+        }
+        document.getElementById('credit-note-reason').value = '';
+        document.getElementById('credit-note-note').value = '';
+
+        const approverSelect = document.getElementById('credit-note-approver');
+        approverSelect.innerHTML = approvers.map(member =>
+            `<option value="${this.escapeHtml(member.id)}">${this.escapeHtml(member.name)} (${staffAccess.getRoleLabel(member.role)})</option>`
+        ).join('');
+        approverSelect.value = approvers.some(member => member.id === this.currentStaff.id) ? this.currentStaff.id : approvers[0].id;
+        document.getElementById('credit-note-pin').value = '';
+
+        document.getElementById('credit-note-info').innerHTML = `
+            <div class="report-row"><span>Bill ${this.escapeHtml(bill.billNumber)} · ${this.escapeHtml(salesReports.getLocationLabel(bill.location))}</span><span>₹${bill.total.toFixed(2)}</span></div>
+            <div class="report-row"><span>${new Date(bill.timestamp).toLocaleString('en-IN')}</span><span>${this.escapeHtml(paymentTender.describe(bill.payment))}</span></div>
+        `;
+
+        this.renderCreditNoteLines();
+        document.getElementById('credit-note-modal').classList.add('active');
+    }
+
+    closeCreditNote() {
+        document.getElementById('credit-note-modal').classList.remove('active');
+        document.getElementById('credit-note-pin').value = '';
+        this.pendingCreditNote = null;
+    }
+
+    renderCreditNoteLines() {
+        const { bill, credits } = this.pendingCreditNote;
+        const isRefund = document.getElementById('credit-note-type').value === 'refund';
+        const remaining = creditNotes.getRemainingQuantities(bill, credits);
+
+        document.getElementById('credit-note-lines').innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Item</th><th>Billed</th><th>${isRefund ? 'Refund' : 'Void'}</th></tr>
+                </thead>
+                <tbody>
+                    ${bill.items.map((item, lineIndex) => `
+                    <tr>
+                        <td>${this.escapeHtml(item.name)} <small>₹${item.price.toFixed(2)}</small></td>
+                        <td>${item.quantity}</td>
+                        <td>${isRefund
+                            ? `<input type="number" class="credit-note-quantity" data-line-index="${lineIndex}" min="0" max="${remaining[lineIndex]}" step="1" value="0" ${remaining[lineIndex] > 0 ? '' : 'disabled'}>`
+                            : item.quantity}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.updateCreditNoteSummary();
+    }
+
+    getCreditNoteRequest() {
+        const { bill } = this.pendingCreditNote;
+        return {
+            type: document.getElementById('credit-note-type').value,
+            lines: Array.from(document.querySelectorAll('.credit-note-quantity')).map(input => ({
+                lineIndex: parseInt(input.dataset.lineIndex),
+                quantity: parseFloat(input.value) || 0
+            })),
+            reason: document.getElementById('credit-note-reason').value,
+            note: document.getElementById('credit-note-note').value,
+            // Both are recorded by the main process - the approver only once their PIN checks out
+            requestedBy: this.currentStaff,
+            approvedBy: (this.staffList || []).find(member => member.id === document.getElementById('credit-note-approver').value),
+            refundMethod: bill.payment ? document.getElementById('credit-note-method').value : null
+        };
+    }
+
+    // Amount the note will credit, worked out the same way the main process will record it
+    updateCreditNoteSummary() {
+        const { bill, credits } = this.pendingCreditNote;
+        const summary = document.getElementById('credit-note-summary');
+
+        try {
+            // The reason is checked when the note is issued
+            const preview = creditNotes.build(bill, { ...this.getCreditNoteRequest(), reason: creditNotes.REASONS[0] }, credits);
+            summary.innerHTML = `
+                ${preview.tax > 0 ? `<div class="report-row"><span>GST credited</span><span>₹${preview.tax.toFixed(2)}</span></div>` : ''}
+                <div class="report-row report-total"><span>To credit</span><span>₹${preview.total.toFixed(2)}</span></div>
+            `;
+        } catch (error) {
+            summary.innerHTML = `<p>${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async confirmCreditNote() {
+        if (!this.pendingCreditNote) return;
+        const { bill, credits } = this.pendingCreditNote;
+
+        try {
+            const request = this.getCreditNoteRequest();
+            const preview = creditNotes.build(bill, request, credits);
+            const pin = document.getElementById('credit-note-pin').value;
+            if (!pin) {
+                throw new Error(`Enter ${request.approvedBy.name}'s PIN to approve`);
+            }
+            const action = request.type === 'void' ? 'Void' : 'Refund';
+            if (!confirm(`${action} ₹${preview.total.toFixed(2)} on bill ${bill.billNumber}?\n\nA credit note will be printed. This can't be undone.`)) {
+                return;
+            }
+
+            const result = await ipcRenderer.invoke('record-credit-note',
+                { billNumber: bill.billNumber, timestamp: bill.timestamp }, request,
+                { staffId: request.approvedBy.id, pin });
+            document.getElementById('credit-note-pin').value = '';
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            // Recorded in the audit log by the main process with the ledger entry
+            const creditNote = result.creditNote;
+
+            this.closeCreditNote();
+            await this.searchBillHistory();
+
+            try {
+                await this.cleanPrinter.printCreditNote(creditNote, this.settings.restaurant);
+                this.showMessage(`✅ Credit note ${creditNote.creditNoteNumber} printed for bill ${bill.billNumber}`, 'success');
+            } catch (printError) {
+                console.error('❌ Credit note print error:', printError);
+                this.showMessage(`⚠️ Credit note ${creditNote.creditNoteNumber} recorded but not printed - reprint it from Bill History`, 'error');
+            }
+        } catch (error) {
+            console.error('❌ Credit note error:', error);
+            this.showMessage(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    async reprintCreditNote(index, creditIndex) {
+        const bill = this.billHistoryResults[index];
+        const creditNote = bill && (bill.credits || [])[creditIndex];
+        if (!creditNote || !this.requirePermission('reprints')) return;
+
+        try {
+            await this.cleanPrinter.printCreditNote(creditNote, this.settings.restaurant);
+            this.recordAudit('credit-note.reprinted', { target: `${creditNote.creditNoteNumber} (bill ${bill.billNumber})` });
+            this.showMessage(`✅ Credit note ${creditNote.creditNoteNumber} reprinted`, 'success');
+        } catch (error) {
+            console.error('❌ Credit note reprint error:', error);
+            this.showMessage(`❌ Reprint failed: ${error.message}`, 'error');
+        }
+    }
+
+    // ===== END VOIDS & REFUNDS =====
+
+    // ===== AUDIT LOG =====
+
+    // Appended in the main process, which chains each entry to the last one
+    async recordAudit(action, { target = '', before = null, after = null } = {}) {
+        try {
+            const result = await ipcRenderer.invoke('record-audit', {
+                action,
+                target,
+                before,
+                after
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('❌ Audit log error:', error);
+            this.showMessage(`⚠️ Not written to the audit log: ${error.message}`, 'error');
+        }
+    }
+
+    // Everything saved through saveSettingsToFile, as plain data
+    getAuditedSettings() {
+        return JSON.parse(JSON.stringify({ ...this.settings, promotions: this.promotions || [] }));
+    }
+
+    setupAuditLogListeners() {
+        document.getElementById('close-audit-log').addEventListener('click', () => {
+            this.closeAuditLog();
+        });
+
+        document.getElementById('audit-log-modal').addEventListener('click', (e) => {
+            if (e.target === document.getElementById('audit-log-modal')) {
+                this.closeAuditLog();
+            }
+        });
+
+        document.getElementById('audit-search').addEventListener('click', () => {
+            this.searchAuditLog();
+        });
+
+        document.getElementById('audit-action').addEventListener('change', () => {
+            this.searchAuditLog();
+        });
+
+        document.getElementById('audit-export').addEventListener('click', () => {
+            this.exportAuditLog();
+        });
+
+        const actionSelect = document.getElementById('audit-action');
+        Object.entries(auditLog.ACTIONS).forEach(([action, label]) => {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = label;
+            actionSelect.appendChild(option);
+        });
+    }
+
+    async openAuditLog() {
+        if (!this.requirePermission('reports')) {
+            return;
+        }
+
+        document.getElementById('audit-log-modal').classList.add('active');
+        await this.searchAuditLog();
+    }
+
+    closeAuditLog() {
+        document.getElementById('audit-log-modal').classList.remove('active');
+    }
+
+    // Whether the hash chain still holds, shown above the entries
+    renderAuditVerification(verification) {
+        const status = document.getElementById('audit-log-status');
+        status.className = `audit-log-status ${verification.valid ? 'valid' : 'broken'}`;
+        status.textContent = verification.valid
+            ? `✅ Log intact - ${verification.count} entries, each chained to the one before`
+            : `❌ Log has been tampered with: ${verification.error}`;
+    }
+
+    async searchAuditLog() {
+        const results = document.getElementById('audit-log-results');
+        const result = await ipcRenderer.invoke('get-audit-log', {
+            from: document.getElementById('audit-from').value,
+            to: document.getElementById('audit-to').value,
+            action: document.getElementById('audit-action').value,
+            text: document.getElementById('audit-text').value
+        });
+
+        if (!result.success) {
+            results.innerHTML = `<p>❌ Could not load the audit log: ${this.escapeHtml(result.error)}</p>`;
+            return;
+        }
+
+        this.renderAuditVerification(result.verification);
+        if (result.entries.length === 0) {
+            results.innerHTML = '<p>No entries match these filters</p>';
+            return;
+        }
+
+        results.innerHTML = `
+            ${result.totalMatches > result.entries.length ? `<p>Showing the latest ${result.entries.length} of ${result.totalMatches} entries - export to see them all</p>` : ''}
+            <table class="bill-history-table">
+                <thead>
+                    <tr><th>#</th><th>Time</th><th>Who</th><th>Action</th><th>On</th><th>Change</th></tr>
+                </thead>
+                <tbody>
+                    ${result.entries.map(entry => `
+                    <tr>
+                        <td>${entry.sequence}</td>
+                        <td>${new Date(entry.timestamp).toLocaleString('en-IN')}</td>
+                        <td>${this.escapeHtml(auditLog.getActorLabel(entry.actor) || '-')}</td>
+                        <td>${this.escapeHtml(auditLog.getActionLabel(entry.action))}</td>
+                        <td>${this.escapeHtml(entry.target)}</td>
+                        <td class="audit-changes">${auditLog.describeChanges(entry).map(line => this.escapeHtml(line)).join('<br>')}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async exportAuditLog() {
+        const result = await ipcRenderer.invoke('export-audit-log');
+        if (!result.success) {
+            this.showMessage(`❌ Export failed: ${result.error}`, 'error');
+            return;
+        }
+
+        this.renderAuditVerification(result.verification);
+        this.showMessage(`✅ Audit log exported to ${result.filePath}`, 'success');
+        await ipcRenderer.invoke('show-in-folder', result.filePath);
+    }
+
+    // ===== END AUDIT LOG =====
+
+    // ===== STAFF LOGIN =====
+
+    // Names, roles and role permissions from the main process, plus who is logged in there
+    // Returns false when they couldn't be loaded - the login screen then has nobody to list
+    async loadStaff() {
+        let result;
+        try {
+            result = await ipcRenderer.invoke('get-staff');
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+        if (!result.success) {
+            console.error('Error loading staff:', result.error);
+            this.showMessage(`❌ Could not load staff: ${result.error}`, 'error');
+            this.staffList = this.staffList || [];
+            return false;
+        }
+
+        this.staffList = result.staff || [];
+        this.staffPermissions = result.permissions;
+        this.usingDefaultPin = result.usingDefaultPin;
+        this.currentStaff = result.currentStaff;
+        this.updateStaffDisplay();
+        return true;
+    }
+
+    can(permission) {
+        return staffAccess.can(this.staffPermissions, this.currentStaff, permission);
+    }
+
+    // Shows why, so staff know to call someone who can
+    requirePermission(permission) {
+        if (this.can(permission)) {
+            return true;
+        }
+        const who = this.currentStaff ? staffAccess.getRoleLabel(this.currentStaff.role) : 'Nobody logged in';
+        this.showMessage(`🔒 ${who}: not allowed - ${staffAccess.getPermissionLabel(permission)}. Switch user with 👤 in the header.`, 'error');
+        return false;
+    }
+
+    updateStaffDisplay() {
+        document.getElementById('current-staff-name').textContent = this.currentStaff
+            ? `${this.currentStaff.name} (${staffAccess.getRoleLabel(this.currentStaff.role)})`
+            : 'Log in';
+    }
+
+    setupStaffLoginListeners() {
+        document.getElementById('staff-switch-btn').addEventListener('click', () => {
+            this.openStaffLogin();
+        });
+
+        document.getElementById('close-staff-login').addEventListener('click', () => {
+            this.closeStaffLogin();
+        });
+
+        document.getElementById('staff-logout').addEventListener('click', () => {
+            this.logoutStaff();
+        });
+
+        document.getElementById('staff-login-submit').addEventListener('click', () => {
+            this.loginStaff();
+        });
+
+        document.getElementById('staff-login-pin').addEventListener('input', (e) => {
+            e.target.value = e.target.value.replace(/\D/g, '');
+        });
+
+        document.querySelectorAll('#staff-login-keypad [data-key]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.pressLoginKey(button.dataset.key);
+            });
+        });
+    }
+
+    // Also used for quick switching - the next person logs in over the current one
+    async openStaffLogin() {
+        const loaded = await this.loadStaff();
+
+        if (this.currentStaff) {
+            this.loginStaffId = this.currentStaff.id;
+        } else {
+            this.loginStaffId = this.staffList.length === 1 ? this.staffList[0].id : null;
+        }
+        this.renderStaffLoginList();
+
+        const loggedIn = Boolean(this.currentStaff);
+        document.getElementById('close-staff-login').style.display = loggedIn ? '' : 'none';
+        document.getElementById('staff-logout').style.display = loggedIn ? '' : 'none';
+        let hint = '';
+        if (!loaded && this.staffList.length === 0) {
+            hint = 'Staff could not be loaded - restart the app. If it keeps happening, check storage/staff.json.';
+        } else if (this.usingDefaultPin) {
+            hint = `First start: the owner PIN is ${staffAccess.DEFAULT_PIN}. Change it in Settings → Staff & Permissions.`;
+        }
+        document.getElementById('staff-login-hint').textContent = hint;
+        document.getElementById('staff-login-pin').value = '';
+        document.getElementById('staff-login-modal').classList.add('active');
+        document.getElementById('staff-login-pin').focus();
+    }
+
+    // The login screen can only be dismissed while someone is logged in
+    closeStaffLogin() {
+        if (!this.currentStaff) {
+            return;
+        }
+        document.getElementById('staff-login-modal').classList.remove('active');
+        document.getElementById('staff-login-pin').value = '';
+    }
+
+    renderStaffLoginList() {
+        const list = document.getElementById('staff-login-list');
+        list.innerHTML = '';
+
+        this.staffList.forEach(member => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `staff-login-option${member.id === this.loginStaffId ? ' selected' : ''}`;
+            button.innerHTML = `
+                <span class="staff-login-name">${this.escapeHtml(member.name)}</span>
+                <span class="staff-login-role">${staffAccess.getRoleLabel(member.role)}</span>
+            `;
+            button.addEventListener('click', () => {
+                this.loginStaffId = member.id;
+                this.renderStaffLoginList();
+                document.getElementById('staff-login-pin').focus();
+            });
+            list.appendChild(button);
+        });
+    }
+
+    pressLoginKey(key) {
+        const pinInput = document.getElementById('staff-login-pin');
+        if (key === 'enter') {
+            this.loginStaff();
+        } else if (key === 'back') {
+            pinInput.value = pinInput.value.slice(0, -1);
+        } else if (pinInput.value.length < 6) {
+            pinInput.value += key;
+        }
+    }
+
+    async loginStaff() {
+        const pinInput = document.getElementById('staff-login-pin');
+        if (!this.loginStaffId) {
+            this.showMessage('Choose who is logging in', 'info');
+            return;
+        }
+        if (!pinInput.value) {
+            pinInput.focus();
+            return;
+        }
+
+        const result = await ipcRenderer.invoke('staff-login', this.loginStaffId, pinInput.value);
+        pinInput.value = '';
+        if (!result.success) {
+            this.showMessage(`❌ ${result.error}`, 'error');
+            pinInput.focus();
+            return;
+        }
+
+        this.currentStaff = result.staff;
+        this.updateStaffDisplay();
+        this.closeStaffLogin();
+        this.showMessage(`👤 ${result.staff.name} logged in`, 'success');
+    }
+
+    // Locks the till until the next login
+    async logoutStaff() {
+        const result = await ipcRenderer.invoke('staff-logout');
+        if (!result.success) {
+            this.showMessage(`❌ Could not log out: ${result.error}`, 'error');
+            return;
+        }
+
+        this.currentStaff = null;
+        this.updateStaffDisplay();
+        await this.openStaffLogin();
+    }
+
+    // Settings: staff list and what each role may do - only an owner can save
+    async populateStaffSettings() {
+        await this.loadStaff();
+
+        const list = document.getElementById('staff-list');
+        list.innerHTML = '';
+        this.staffList.forEach(member => this.addStaffRow(member));
+        this.renderStaffPermissions();
+
+        const isOwner = this.getCurrentRole() === 'owner';
+        document.getElementById('add-staff').disabled = !isOwner;
+        document.getElementById('save-staff').disabled = !isOwner;
+        document.getElementById('staff-owner-only').style.display = isOwner ? 'none' : '';
+    }
+
+    addStaffRow(member = null) {
+        const list = document.getElementById('staff-list');
+        const row = document.createElement('div');
+        row.className = 'form-row staff-row';
+        row.dataset.staffId = member ? member.id : '';
+        row.innerHTML = `
+            <input type="text" data-field="name" maxlength="30" placeholder="Name">
+            <select data-field="role">
+                ${staffAccess.ROLES.map(role => `<option value="${role.id}">${role.label}</option>`).join('')}
+            </select>
+            <input type="password" data-field="pin" inputmode="numeric" maxlength="6" autocomplete="new-password"
+                   placeholder="${member ? 'New PIN (blank keeps it)' : 'PIN (4-6 digits)'}">
+            <button type="button" class="btn btn-secondary staff-remove" title="Remove staff member">×</button>
+        `;
+
+        row.querySelector('[data-field="name"]').value = member ? member.name : '';
+        row.querySelector('[data-field="role"]').value = member ? member.role : 'cashier';
+        row.querySelector('[data-field="pin"]').addEventListener('input', (e) => {
+            e.target.value = e.target.value.replace(/\D/g, '');
+        });
+        row.querySelector('.staff-remove').addEventListener('click', () => row.remove());
+        list.appendChild(row);
+    }
+
+    renderStaffPermissions() {
+        const roles = staffAccess.CONFIGURABLE_ROLES;
+        document.getElementById('staff-permissions').innerHTML = `
+            <thead>
+                <tr><th>Allowed</th>${roles.map(role => `<th>${staffAccess.getRoleLabel(role)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${staffAccess.PERMISSIONS.map(permission => `
+                <tr>
+                    <td>${permission.label}</td>
+                    ${roles.map(role => `
+                    <td><input type="checkbox" data-role="${role}" data-permission="${permission.id}"
+                        ${this.staffPermissions[role][permission.id] ? 'checked' : ''}></td>`).join('')}
+                </tr>`).join('')}
+            </tbody>
+        `;
+    }
+
+    async saveStaffSettings() {
+        const staffList = Array.from(document.querySelectorAll('#staff-list .staff-row')).map(row => ({
+            id: row.dataset.staffId || null,
+            name: row.querySelector('[data-field="name"]').value,
+            role: row.querySelector('[data-field="role"]').value,
+            pin: row.querySelector('[data-field="pin"]').value
+        }));
+
+        const permissions = {};
+        staffAccess.CONFIGURABLE_ROLES.forEach(role => {
+            permissions[role] = {};
+        });
+        document.querySelectorAll('#staff-permissions input[type="checkbox"]').forEach(checkbox => {
+            permissions[checkbox.dataset.role][checkbox.dataset.permission] = checkbox.checked;
+        });
+
+        const result = await ipcRenderer.invoke('save-staff', staffList, permissions);
+        if (!result.success) {
+            this.showMessage(`❌ ${result.error}`, 'error');
+            return;
+        }
+
+        await this.populateStaffSettings();
+        this.showMessage('✅ Staff and permissions saved', 'success');
+    }
+
+    // ===== END STAFF LOGIN =====
+
+    // ===== SALES LEDGER =====
+
+    // Snapshot the current order as a bill record (call before the order is cleared)
+    // A split bill passes its share from billSplitter instead of the whole order
+    buildBillRecord(billNumber, printedWith, printResult, share = null) {
+        const totals = share || this.calculateBill();
+        const items = share ? share.items : this.currentOrder;
+
+        return {
+            billNumber,
+            timestamp: new Date().toISOString(),
+            location: this.getCurrentLocationInfo(),
+            items: items.map(item => ({
+                id: item.id,
+                name: item.name,
+                category: item.category,
+                kotGroup: item.kotGroup,
+                price: item.price,
+                originalPrice: item.originalPrice !== undefined ? item.originalPrice : item.price,
+                quantity: item.quantity,
+                parcelCharge: item.parcelCharge || 0,
+                parcelType: item.parcelType || null,
+                variant: item.variant || null,
+                components: comboItems.getBillComponents(this.menuItems.find(menuItem => menuItem.id === item.id), this.menuItems),
+                modifiers: item.modifiers || [],
+                notes: item.notes || '',
+                promotion: item.promotion || null,
+                discount: item.discount || null,
+                kotSentBy: item.kotSentBy || null,
+                taxRate: billCalculator.getTaxRate(item, this.settings.tax),
+                hsnCode: billCalculator.getHsnCode(item, this.settings.tax)
+            })),
+            subtotal: totals.subtotal,
+            itemDiscount: totals.itemDiscount || 0,
+            billDiscount: totals.billDiscount || 0,
+            discount: totals.discount || 0,
+            billDiscountDetails: this.billDiscount,
+            parcelCharges: totals.parcelCharges,
+            serviceFeePercentage: totals.serviceFeePercentage,
+            serviceFeeDetails: this.serviceFeeOption,
+            serviceFee: totals.serviceFee,
+            pricesIncludeTax: totals.pricesIncludeTax,
+            taxBreakup: totals.taxBreakup,
+            cgst: totals.cgst,
+            sgst: totals.sgst,
+            tax: totals.tax,
+            total: totals.total,
+            split: share ? share.split : null,
+            printedWith,
+            printResult: printResult || null
+        };
+    }
+
+    // Append the settled bill to the ledger in the userData storage dir
+    async recordSettledBill(billNumber, printedWith, printResult, share = null) {
+        try {
+            const billRecord = this.buildBillRecord(billNumber, printedWith, printResult, share);
+            const result = await ipcRenderer.invoke('record-bill', billRecord);
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Ledger write failed');
+            }
+            
+            console.log(`🧾 Bill ${billNumber} saved to sales ledger`);
+            this.markBillAwaitingPayment(result.bill);
+            this.queueSettlement(result.bill);
+            return result.bill;
+        } catch (error) {
+            // The bill is already printed - warn but never block clearing the table
+            console.error('❌ Failed to record bill in ledger:', error);
+            this.showMessage(`⚠️ Bill ${billNumber} printed but could not be saved to sales history`, 'error');
+            return null;
+        }
+    }
+
+    // ===== END SALES LEDGER =====
+
+    // Test Clean Printing System (converted from old centralized test)
+    async testCentralizedPrint() {
+        console.log('🧪 Testing Clean Printing System from POS App...');
+        try {
+            const result = await this.cleanPrinter.testPrint();
+            console.log('🧪 Clean Print Test Results:', result);
+            alert('Clean Print Test completed! Check console for results.');
+        } catch (error) {
+            console.error('🧪 Clean Print Test Error:', error);
+            alert(`Clean Print Test failed: ${error.message}`);
+        }
+    }
+
+    generateKOTContent(orderDataOrItems = this.currentOrder, kotTitle = 'KITCHEN ORDER TICKET') {
+        // Handle both formats: structured orderData object or simple items array
+        let items, tableNumber, timestamp, kotType;
+        
+        if (orderDataOrItems && typeof orderDataOrItems === 'object' && orderDataOrItems.items) {
+            // Structured orderData format (from BillingScreen)
+            ({ tableNumber, items, timestamp, kotType } = orderDataOrItems);
+            kotTitle = kotType ? `${kotType.toUpperCase()} ORDER` : kotTitle;
+        } else {
+            // Simple items array format (legacy)
+            items = Array.isArray(orderDataOrItems) ? orderDataOrItems : this.currentOrder;
+            tableNumber = this.currentLocation;
+            timestamp = new Date().toISOString();
         }
         
-        const now = timestamp ? new Date(timestamp) : new Date();
-        const locationText = this.billingMode === 'table' ? `Table ${tableNumber || this.currentLocation}` : `Counter ${tableNumber || this.currentLocation}`;
-        
+        const now = timestamp ? new Date(timestamp) : new Date();
+        const locationText = this.billingMode === 'table' ? this.getTableName(tableNumber || this.currentLocation) : `Counter ${tableNumber || this.currentLocation}`;
+        
         // Check if this order contains any parcel items
-        const hasParcelItems = items.some(item => (item.parcelCharge || 0) > 0);
+        const hasParcelItems = items.some(item => item.parcelType || (item.parcelCharge || 0) > 0);
         
         return `
             <!DOCTYPE html>
@@ -3764,7 +8016,7 @@ class POSApp {
 
     generateBillContent() {
         const now = new Date();
-        const locationText = this.billingMode === 'table' ? `Table ${this.currentLocation}` : `Counter ${this.currentLocation}`;
+        const locationText = this.billingMode === 'table' ? this.getTableName(this.currentLocation) : `Counter ${this.currentLocation}`;
         const total = this.getTotal();
         
         return `
@@ -4153,18 +8405,30 @@ class POSApp {
                         <span>Subtotal:</span>
                         <span>₹${this.getSubtotal().toFixed(2)}</span>
                     </div>
+                    ${this.calculateBill().discount > 0 ? `
+                    <div class="total-row">
+                        <span>Discount:</span>
+                        <span>-₹${this.calculateBill().discount.toFixed(2)}</span>
+                    </div>
+                    ` : ''}
                     ${this.getTotalParcelCharges() > 0 ? `
                     <div class="total-row">
                         <span>Parcel Charges (${this.getParcelItemsCount()} items):</span>
                         <span>₹${this.getTotalParcelCharges().toFixed(2)}</span>
                     </div>
                     ` : ''}
-                    ${this.serviceFeePercentage > 0 ? `
+                    ${this.getServiceFee() > 0 ? `
                     <div class="total-row">
-                        <span>Service Fee (${this.serviceFeePercentage}%):</span>
+                        <span>Service Fee (${chargeOptions.describeServiceFee(this.serviceFeeOption)}):</span>
                         <span>₹${this.getServiceFee().toFixed(2)}</span>
                     </div>
                     ` : ''}
+                    ${billCalculator.getTaxLines(this.calculateBill()).map(line => `
+                    <div class="total-row">
+                        <span>${line.label}:</span>
+                        <span>₹${line.amount.toFixed(2)}</span>
+                    </div>
+                    `).join('')}
                     <div class="total-row grand-total">
                         <span>TOTAL:</span>
                         <span>₹${total.toFixed(2)}</span>
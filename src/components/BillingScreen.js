@@ -1,5 +1,6 @@
 // BillingScreen Component - Handles order management and menu display
 const helpers = require('../utils/helpers');
+const billCalculator = require('../utils/billCalculator');
 
 class BillingScreen {
     constructor(onBackCallback) {
@@ -7,6 +8,7 @@ class BillingScreen {
         this.currentTable = null;
         this.currentOrder = [];
         this.menuItems = [];
+        this.taxSettings = null; // GST settings from menu.json (billCalculator defaults when null)
         
         this.init();
     }
@@ -379,8 +381,16 @@ class BillingScreen {
         return this.currentOrder.reduce((sum, item) => sum + (item.parcelCharge || 0), 0);
     }
 
+    calculateBill() {
+        const serviceFeeSelect = document.getElementById('service-fee-select');
+        return billCalculator.calculate(this.currentOrder, {
+            serviceFeePercentage: parseFloat(serviceFeeSelect?.value || 0),
+            taxSettings: this.taxSettings
+        });
+    }
+
     getTax() {
-        return this.getSubtotal() * 0.05; // 5% tax
+        return this.calculateBill().tax;
     }
 
     getServiceFee() {
@@ -390,7 +400,7 @@ class BillingScreen {
     }
 
     getTotal() {
-        return this.getSubtotal() + this.getParcelCharges() + this.getTax() + this.getServiceFee();
+        return this.calculateBill().total;
     }
 
     loadTable(tableNumber) {
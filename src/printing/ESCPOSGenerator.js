@@ -5,6 +5,9 @@ try {
 } catch (error) {
     console.warn('ESC/POS not available:', error.message);
 }
+const billCalculator = require('../utils/billCalculator');
+const upiPayment = require('../utils/upiPayment');
+const orderModifiers = require('../utils/orderModifiers');
 
 class ESCPOSGenerator {
     constructor() {
@@ -17,9 +20,9 @@ class ESCPOSGenerator {
             if (!escpos) {
                 throw new Error('ESC/POS library not available');
             }
-            const { tableNumber, locationNumber, locationType, items, timestamp } = orderData;
+            const { tableNumber, locationNumber, locationType, locationName, items, timestamp } = orderData;
             const date = new Date(timestamp);
-            const locationText = locationType === 'table' ? `Table: ${locationNumber || tableNumber}` : `Counter: ${locationNumber}`;
+            const locationText = locationType === 'table' ? (locationName || `Table: ${locationNumber || tableNumber}`) : `Counter: ${locationNumber}`;
 
             // Create ESC/POS buffer
             let buffer = Buffer.alloc(0);
@@ -42,12 +45,18 @@ class ESCPOSGenerator {
             buffer = Buffer.concat([buffer, Buffer.from(`${locationText}\n`, this.encoding)]);
             buffer = Buffer.concat([buffer, Buffer.from(`Time: ${this.formatTime(date)}\n`, this.encoding)]);
             buffer = Buffer.concat([buffer, Buffer.from(`Date: ${this.formatDate(date)}\n`, this.encoding)]);
+            if (orderData.staffName) {
+                buffer = Buffer.concat([buffer, Buffer.from(`Cashier: ${orderData.staffName}\n`, this.encoding)]);
+            }
             buffer = Buffer.concat([buffer, Buffer.from('--------------------------------\n', this.encoding)]);
             
             // Items - bold
             buffer = Buffer.concat([buffer, escpos.TXT_BOLD_ON]);
             items.forEach(item => {
                 buffer = Buffer.concat([buffer, Buffer.from(`${item.quantity}x ${item.name}\n`, this.encoding)]);
+                orderModifiers.getKotLines(item).forEach(line => {
+                    buffer = Buffer.concat([buffer, Buffer.from(`   ${line}\n`, this.encoding)]);
+                });
             });
             buffer = Buffer.concat([buffer, escpos.TXT_BOLD_OFF]);
             
@@ -74,10 +83,10 @@ class ESCPOSGenerator {
             if (!escpos) {
                 throw new Error('ESC/POS library not available');
             }
-            const { tableNumber, locationNumber, locationType, items, subtotal, tax, total, timestamp, layout } = billData;
+            const { tableNumber, locationNumber, locationType, locationName, items, subtotal, parcelCharges, serviceFee, total, timestamp, layout } = billData;
             const date = new Date(timestamp);
-            const billNumber = this.generateBillNumber();
-            const locationText = locationType === 'table' ? `Table: ${locationNumber || tableNumber}` : `Counter: ${locationNumber}`;
+            const billNumber = billData.billNumber || 'PREVIEW';
+            const locationText = locationType === 'table' ? (locationName || `Table: ${locationNumber || tableNumber}`) : `Counter: ${locationNumber}`;
 
             let buffer = Buffer.alloc(0);
             
@@ -115,6 +124,9 @@ class ESCPOSGenerator {
             buffer = Buffer.concat([buffer, Buffer.from(`Bill No: ${billNumber}                PAX: 1\n`, this.encoding)]);
             buffer = Buffer.concat([buffer, Buffer.from(`${locationText}            Date: ${this.formatDate(date)}\n`, this.encoding)]);
             buffer = Buffer.concat([buffer, Buffer.from(`Print Time: ${this.formatDate(date)} ${this.formatTime(date)}\n`, this.encoding)]);
+            if (billData.staffName) {
+                buffer = Buffer.concat([buffer, Buffer.from(`Cashier: ${billData.staffName}\n`, this.encoding)]);
+            }
             buffer = Buffer.concat([buffer, Buffer.from('FSSAI: 21224010001200\n', this.encoding)]);
             buffer = Buffer.concat([buffer, Buffer.from('================================\n', this.encoding)]);
             
@@ -135,21 +147,65 @@ class ESCPOSGenerator {
                 
                 const itemLine = `${sl}  ${itemName} ${qty} ${rate}  ${amount}\n`;
                 buffer = Buffer.concat([buffer, Buffer.from(itemLine, this.encoding)]);
+                orderModifiers.getBillLines(item).forEach(modifier => {
+                    buffer = Buffer.concat([buffer, Buffer.from(`    + ${modifier.name} ${modifier.price.toFixed(2)}\n`, this.encoding)]);
+                });
+                if (item.promotion) {
+                    buffer = Buffer.concat([buffer, Buffer.from(`    ${item.promotion.name} -${(item.promotion.saving * item.quantity).toFixed(2)}\n`, this.encoding)]);
+                }
+                if (item.discountAmount > 0) {
+                    buffer = Buffer.concat([buffer, Buffer.from(`    Discount -${item.discountAmount.toFixed(2)}\n`, this.encoding)]);
+                }
+                if (item.taxRate > 0) {
+                    buffer = Buffer.concat([buffer, Buffer.from(`    HSN ${item.hsnCode} GST ${item.taxRate}%\n`, this.encoding)]);
+                }
             });
             
             buffer = Buffer.concat([buffer, Buffer.from('--------------------------------\n', this.encoding)]);
             
             // Totals - right aligned
             buffer = Buffer.concat([buffer, escpos.TXT_ALIGN_RT]);
-            if (tax && tax > 0) {
+            const taxLines = billCalculator.getTaxLines(billData);
+            if (taxLines.length > 0 || parcelCharges > 0 || serviceFee > 0 || billData.discount > 0) {
                 buffer = Buffer.concat([buffer, Buffer.from(`SUBTOTAL: ${subtotal.toFixed(2)}\n`, this.encoding)]);
-                buffer = Buffer.concat([buffer, Buffer.from(`TAX: ${tax.toFixed(2)}\n`, this.encoding)]);
             }
+            if (billData.itemDiscount > 0) {
+                buffer = Buffer.concat([buffer, Buffer.from(`ITEM DISCOUNTS: -${billData.itemDiscount.toFixed(2)}\n`, this.encoding)]);
+            }
+            if (billData.billDiscount > 0) {
+                buffer = Buffer.concat([buffer, Buffer.from(`DISCOUNT: -${billData.billDiscount.toFixed(2)}\n`, this.encoding)]);
+            }
+            if (parcelCharges > 0) {
+                buffer = Buffer.concat([buffer, Buffer.from(`PARCEL: ${parcelCharges.toFixed(2)}\n`, this.encoding)]);
+            }
+            if (serviceFee > 0) {
+                buffer = Buffer.concat([buffer, Buffer.from(`SERVICE FEE${billData.serviceFeePercentage > 0 ? ` (${billData.serviceFeePercentage}%)` : ''}: ${serviceFee.toFixed(2)}\n`, this.encoding)]);
+            }
+            taxLines.forEach(line => {
+                buffer = Buffer.concat([buffer, Buffer.from(`${line.label}: ${line.amount.toFixed(2)}\n`, this.encoding)]);
+            });
             
             // Total - bold
             buffer = Buffer.concat([buffer, escpos.TXT_BOLD_ON]);
             buffer = Buffer.concat([buffer, Buffer.from(`TOTAL: ${total.toFixed(2)}\n`, this.encoding)]);
             buffer = Buffer.concat([buffer, escpos.TXT_BOLD_OFF]);
+            if (billData.pricesIncludeTax && taxLines.length > 0) {
+                buffer = Buffer.concat([buffer, Buffer.from('(Prices inclusive of GST)\n', this.encoding)]);
+            }
+            
+            // UPI QR for the bill total - printed natively by the printer
+            const upiUri = upiPayment.buildUpiUri({
+                vpa: billData.upiVpa,
+                payeeName: billData.payeeName,
+                amount: total,
+                billNumber
+            });
+            if (upiUri) {
+                buffer = Buffer.concat([buffer, escpos.TXT_ALIGN_CT]);
+                buffer = Buffer.concat([buffer, Buffer.from('\nScan to pay via UPI\n', this.encoding)]);
+                buffer = Buffer.concat([buffer, this.generateQRCode(upiUri)]);
+                buffer = Buffer.concat([buffer, Buffer.from(`${billData.upiVpa}\n`, this.encoding)]);
+            }
             
             // Footer separator - centered
             buffer = Buffer.concat([buffer, escpos.TXT_ALIGN_CT]);
@@ -173,6 +229,22 @@ class ESCPOSGenerator {
         }
     }
 
+    // Native QR code (GS ( k): model 2, module size, error correction M, store, print
+    generateQRCode(data, moduleSize = 6) {
+        const payload = Buffer.from(data, 'ascii');
+        const storeLength = payload.length + 3;
+
+        return Buffer.concat([
+            Buffer.from([0x1d, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]),
+            Buffer.from([0x1d, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize]),
+            Buffer.from([0x1d, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]),
+            Buffer.from([0x1d, 0x28, 0x6b, storeLength % 256, Math.floor(storeLength / 256), 0x31, 0x50, 0x30]),
+            payload,
+            Buffer.from([0x1d, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]),
+            Buffer.from([0x0a])
+        ]);
+    }
+
     // Helper methods
     formatTime(date) {
         return date.toLocaleTimeString('en-IN', {
@@ -189,14 +261,6 @@ class ESCPOSGenerator {
             year: 'numeric'
         });
     }
-
-    generateBillNumber() {
-        // Generate a simple bill number based on timestamp
-        const now = new Date();
-        const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-        const timeStr = now.getTime().toString().slice(-4);
-        return `${dateStr}${timeStr}`;
-    }
 }
 
 module.exports = ESCPOSGenerator;
\ No newline at end of file
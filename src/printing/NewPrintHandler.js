@@ -2,6 +2,8 @@
 const PDFGenerator = require('./PDFGenerator');
 const ESCPOSGenerator = require('./ESCPOSGenerator');
 const PrinterManager = require('./PrinterManager');
+const billCalculator = require('../utils/billCalculator');
+const orderModifiers = require('../utils/orderModifiers');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
@@ -229,6 +231,9 @@ class NewPrintHandler {
             if (!Array.isArray(items) || items.length === 0) {
                 throw new Error('No items to print in Bill');
             }
+            if (!billData.billNumber) {
+                throw new Error('Bill number not allocated');
+            }
 
             // Ensure data is in correct format
             const printData = Array.isArray(billData) ? { items: billData } : billData;
@@ -266,8 +271,7 @@ class NewPrintHandler {
             }
             
             if (printResult.success) {
-                // Save bill record
-                await this.saveBillRecord(billData);
+                // Bill record is written to the sales ledger by the caller
                 this.logPrintAction('NEW_BILL', billData.tableNumber || billData.locationNumber);
                 return { success: true, message: 'NEW Bill printed successfully!' };
             } else {
@@ -280,42 +284,6 @@ class NewPrintHandler {
         }
     }
 
-    async saveBillRecord(billData) {
-        try {
-            const userDataPath = path.join(os.homedir(), '.swiftbill-pos');
-            const ordersPath = path.join(userDataPath, 'storage', 'orders.json');
-            
-            let ordersData = { orders: [], lastBillNumber: 1000 };
-            
-            if (fs.existsSync(ordersPath)) {
-                ordersData = JSON.parse(fs.readFileSync(ordersPath, 'utf8'));
-            }
-            
-            // Add new bill record
-            const billRecord = {
-                ...billData,
-                billNumber: billData.billNumber || (ordersData.lastBillNumber + 1),
-                printedAt: new Date().toISOString(),
-                printedWith: 'NEW_SYSTEM'
-            };
-            
-            ordersData.orders.push(billRecord);
-            ordersData.lastBillNumber = billRecord.billNumber;
-            
-            // Ensure directory exists
-            const storageDir = path.dirname(ordersPath);
-            if (!fs.existsSync(storageDir)) {
-                fs.mkdirSync(storageDir, { recursive: true });
-            }
-            
-            // Save back to file
-            fs.writeFileSync(ordersPath, JSON.stringify(ordersData, null, 2));
-            
-        } catch (error) {
-            console.error('Error saving NEW bill record:', error);
-        }
-    }
-
     logPrintAction(type, location) {
         const timestamp = new Date().toISOString();
         console.log(`📋 [${timestamp}] ${type} printed for Location ${location} using NEW SYSTEM`);
@@ -327,6 +295,7 @@ class NewPrintHandler {
             tableNumber: 999,
             locationNumber: 999,
             locationType: 'table',
+            billNumber: 'TEST',
             items: [
                 { name: 'Schezwan Fried Rice Special', quantity: 1, price: 180 },
                 { name: 'Veg Fried Noodles', quantity: 2, price: 160 },
@@ -384,9 +353,9 @@ class NewPrintHandler {
     }
 
     generateKOTPreview(orderData) {
-        const { tableNumber, locationNumber, locationType, items, timestamp } = orderData;
+        const { tableNumber, locationNumber, locationType, locationName, items, timestamp } = orderData;
         const date = new Date(timestamp);
-        const locationText = locationType === 'table' ? `Table: ${locationNumber || tableNumber}` : `Counter: ${locationNumber}`;
+        const locationText = locationType === 'table' ? (locationName || `Table: ${locationNumber || tableNumber}`) : `Counter: ${locationNumber}`;
         
         let kotPreview = '';
         kotPreview += '================================\n';
@@ -399,6 +368,9 @@ class NewPrintHandler {
         
         items.forEach(item => {
             kotPreview += `${item.quantity}x ${item.name}\n`;
+            orderModifiers.getKotLines(item).forEach(line => {
+                kotPreview += `   ${line}\n`;
+            });
         });
         
         kotPreview += '--------------------------------\n';
@@ -409,10 +381,10 @@ class NewPrintHandler {
     }
 
     generateBillPreview(billData) {
-        const { tableNumber, locationNumber, locationType, items, subtotal, serviceFee, tax, total, timestamp, layout } = billData;
+        const { tableNumber, locationNumber, locationType, locationName, items, subtotal, serviceFee, tax, total, timestamp, layout } = billData;
         const date = new Date(timestamp);
-        const billNumber = this.generateBillNumber();
-        const locationText = locationType === 'table' ? `Table: ${locationNumber || tableNumber}` : `Counter: ${locationNumber}`;
+        const billNumber = billData.billNumber || 'PREVIEW';
+        const locationText = locationType === 'table' ? (locationName || `Table: ${locationNumber || tableNumber}`) : `Counter: ${locationNumber}`;
         
         let billPreview = '';
         
@@ -451,13 +423,30 @@ class NewPrintHandler {
             
             const itemLine = `${sl}  ${itemName} ${qty} ${rate}  ${amount}`;
             billPreview += itemLine + '\n';
+            orderModifiers.getBillLines(item).forEach(modifier => {
+                billPreview += `    + ${modifier.name} ${modifier.price.toFixed(2)}\n`;
+            });
+            if (item.promotion) {
+                billPreview += `    ${item.promotion.name} -${(item.promotion.saving * item.quantity).toFixed(2)}\n`;
+            }
+            if (item.discountAmount > 0) {
+                billPreview += `    Discount -${item.discountAmount.toFixed(2)}\n`;
+            }
+            if (item.taxRate > 0) {
+                billPreview += `    HSN ${item.hsnCode} GST ${item.taxRate}%\n`;
+            }
         });
         
         billPreview += '--------------------------------\n';
         
         // Totals
-        if (serviceFee && serviceFee > 0) {
+        if ((serviceFee && serviceFee > 0) || billData.discount > 0) {
             billPreview += `SUBTOTAL: ${subtotal.toFixed(2).padStart(20)}\n`;
+        }
+        if (billData.discount > 0) {
+            billPreview += `DISCOUNT: ${('-' + billData.discount.toFixed(2)).padStart(20)}\n`;
+        }
+        if (serviceFee && serviceFee > 0) {
             billPreview += `SERVICE FEE: ${serviceFee.toFixed(2).padStart(17)}\n`;
         }
         if (tax && tax > 0) {
@@ -491,13 +480,6 @@ class NewPrintHandler {
         });
     }
 
-    generateBillNumber() {
-        const now = new Date();
-        const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-        const timeStr = now.getTime().toString().slice(-4);
-        return `${dateStr}${timeStr}`;
-    }
-
     // Get printer status
     async getPrinterStatus() {
         return await this.printerManager.getStatus();
@@ -528,6 +510,9 @@ class NewPrintHandler {
         output += '                                \n';
         output += `Table: ${String(orderData.locationNumber || orderData.tableNumber || 'N/A').padEnd(26)}\n`;
         output += `Time:  ${new Date().toLocaleTimeString().padEnd(26)}\n`;
+        if (orderData.staffName) {
+            output += `Cashier: ${String(orderData.staffName).padEnd(24)}\n`;
+        }
         output += '                                \n';
         output += '--------------------------------\n';
         output += '                                \n';
@@ -537,6 +522,9 @@ class NewPrintHandler {
             items.forEach(item => {
                 const abbrevName = this.smartAbbreviate(item.name, 24);
                 output += `${item.quantity.toString().padStart(2)}x  ${abbrevName.padEnd(26)}\n`;
+                (item.modifiers || []).forEach(modifier => {
+                    output += `     + ${modifier.name}\n`;
+                });
                 output += '                                \n';
                 if (item.notes) {
                     output += `     Note: ${item.notes}\n`;
@@ -563,9 +551,9 @@ class NewPrintHandler {
         // Handle both array and object with items property
         const items = Array.isArray(billData) ? billData : (billData.items || []);
         const date = new Date();
-        const billNumber = Date.now();
+        const billNumber = billData.billNumber || 'PREVIEW';
         const locationText = billData.locationType === 'table' ? 
-            `Table: ${billData.locationNumber || billData.tableNumber}` : 
+            (billData.locationName || `Table: ${billData.locationNumber || billData.tableNumber}`) : 
             `Counter: ${billData.locationNumber}`;
         
         let output = '';
@@ -584,6 +572,9 @@ class NewPrintHandler {
         output += `Bill: ${String(billNumber).slice(-6)}        PAX: 1\n`;
         output += `${locationText}                        \n`;
         output += `Date: ${date.toLocaleDateString()}  Time: ${date.toLocaleTimeString().slice(0,5)}\n`;
+        if (billData.staffName) {
+            output += `Cashier: ${billData.staffName}\n`;
+        }
         output += `FSSAI: 21224010001200                 \n`;
         output += '========================================\n';
         
@@ -605,6 +596,15 @@ class NewPrintHandler {
                 
                 // STANDARD HOTEL FORMAT: 2 + 1 + 18 + 1 + 3 + 1 + 4 + 1 + 6 = 37 chars
                 output += `${sl} ${itemName} ${qty} ${rate} ${amount.toFixed(2).padStart(6)}\n`;
+                orderModifiers.getBillLines(item).forEach(modifier => {
+                    output += `   + ${modifier.name} ${modifier.price.toFixed(2)}\n`;
+                });
+                if (item.promotion) {
+                    output += `   ${item.promotion.name} -${(item.promotion.saving * item.quantity).toFixed(2)}\n`;
+                }
+                if (item.taxRate > 0) {
+                    output += `   HSN ${item.hsnCode} GST ${item.taxRate}%\n`;
+                }
                 
                 if (item.notes) {
                     output += `  Note: ${item.notes}\n`;
@@ -616,23 +616,35 @@ class NewPrintHandler {
         
         output += '======================================\n';
         
-        // Use only available data for totals (no invisible GST)
+        // Totals come from billCalculator via the caller (GST only from configured slabs)
         const subtotal = billData.subtotal || calculatedTotal;
+        const parcelCharges = billData.parcelCharges || 0;
         const serviceFee = billData.serviceFee || 0;
-        const tax = billData.tax || 0;
+        const taxLines = billCalculator.getTaxLines(billData);
         const finalTotal = billData.total || subtotal;
         
         // PROFESSIONAL TOTALS SECTION
-        if (serviceFee > 0) {
+        if (serviceFee > 0 || parcelCharges > 0 || taxLines.length > 0 || billData.discount > 0) {
             output += `Subtotal:            ₹${subtotal.toFixed(2).padStart(8)}\n`;
-            output += `Service Fee:         ₹${serviceFee.toFixed(2).padStart(8)}\n`;
         }
-        if (tax > 0) {
-            output += `Tax (5%):            ₹${tax.toFixed(2).padStart(8)}\n`;
+        if (billData.discount > 0) {
+            output += `Discount:           -₹${billData.discount.toFixed(2).padStart(8)}\n`;
+        }
+        if (parcelCharges > 0) {
+            output += `Parcel Charges:      ₹${parcelCharges.toFixed(2).padStart(8)}\n`;
         }
+        if (serviceFee > 0) {
+            output += `Service Fee:         ₹${serviceFee.toFixed(2).padStart(8)}\n`;
+        }
+        taxLines.forEach(line => {
+            output += `${line.label.padEnd(21)}₹${line.amount.toFixed(2).padStart(8)}\n`;
+        });
         
         output += '--------------------------------------\n';
         output += `TOTAL:               ₹${finalTotal.toFixed(2).padStart(8)}\n`;
+        if (billData.pricesIncludeTax && taxLines.length > 0) {
+            output += '     (Prices inclusive of GST)        \n';
+        }
         output += '======================================\n';
         output += '     Thank you, Visit again!          \n';
         output += '        Powered by: NMD               \n';
@@ -8,6 +8,8 @@ try {
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const billCalculator = require('../utils/billCalculator');
+const orderModifiers = require('../utils/orderModifiers');
 
 class PDFGenerator {
     constructor() {
@@ -29,9 +31,9 @@ class PDFGenerator {
                     reject(new Error('PDFKit not available - using fallback'));
                     return;
                 }
-                const { tableNumber, locationNumber, locationType, items, timestamp } = orderData;
+                const { tableNumber, locationNumber, locationType, locationName, items, timestamp } = orderData;
                 const date = new Date(timestamp);
-                const locationText = locationType === 'table' ? `Table: ${locationNumber || tableNumber}` : `Counter: ${locationNumber}`;
+                const locationText = locationType === 'table' ? (locationName || `Table: ${locationNumber || tableNumber}`) : `Counter: ${locationNumber}`;
                 
                 // Create PDF document for thermal printer (80mm width)
                 const doc = new PDFDocument({
@@ -53,12 +55,18 @@ class PDFGenerator {
                 doc.text(locationText, { align: 'left' });
                 doc.text(`Time: ${this.formatTime(date)}`, { align: 'left' });
                 doc.text(`Date: ${this.formatDate(date)}`, { align: 'left' });
+                if (orderData.staffName) {
+                    doc.text(`Cashier: ${orderData.staffName}`, { align: 'left' });
+                }
                 doc.text('-'.repeat(32), { align: 'center' });
 
                 // Items
                 doc.fontSize(10).font('Helvetica-Bold');
                 items.forEach(item => {
                     doc.text(`${item.quantity}x ${item.name}`, { align: 'left' });
+                    orderModifiers.getKotLines(item).forEach(line => {
+                        doc.text(`   ${line}`, { align: 'left' });
+                    });
                 });
 
                 // Footer
@@ -90,10 +98,10 @@ class PDFGenerator {
                     reject(new Error('PDFKit not available - using fallback'));
                     return;
                 }
-                const { tableNumber, locationNumber, locationType, items, subtotal, tax, total, timestamp, layout } = billData;
+                const { tableNumber, locationNumber, locationType, locationName, items, subtotal, parcelCharges, serviceFee, total, timestamp, layout } = billData;
                 const date = new Date(timestamp);
-                const billNumber = this.generateBillNumber();
-                const locationText = locationType === 'table' ? `Table: ${locationNumber || tableNumber}` : `Counter: ${locationNumber}`;
+                const billNumber = billData.billNumber || 'PREVIEW';
+                const locationText = locationType === 'table' ? (locationName || `Table: ${locationNumber || tableNumber}`) : `Counter: ${locationNumber}`;
 
                 // Create PDF document for thermal printer
                 const doc = new PDFDocument({
@@ -132,6 +140,9 @@ class PDFGenerator {
                 doc.text(`Bill No: ${billNumber}                PAX: 1`, { align: 'left' });
                 doc.text(`${locationText}            Date: ${this.formatDate(date)}`, { align: 'left' });
                 doc.text(`Print Time: ${this.formatDate(date)} ${this.formatTime(date)}`, { align: 'left' });
+                if (billData.staffName) {
+                    doc.text(`Cashier: ${billData.staffName}`, { align: 'left' });
+                }
                 doc.text('FSSAI: 21224010001200', { align: 'left' });
                 doc.text('='.repeat(35), { align: 'center' });
 
@@ -152,17 +163,36 @@ class PDFGenerator {
                     
                     const itemLine = `${sl}  ${itemName} ${qty} ${rate}  ${amount}`;
                     doc.text(itemLine, { align: 'left' });
+                    orderModifiers.getBillLines(item).forEach(modifier => {
+                        doc.text(`    + ${modifier.name} ${modifier.price.toFixed(2)}`, { align: 'left' });
+                    });
+                    if (item.taxRate > 0) {
+                        doc.text(`    HSN ${item.hsnCode} GST ${item.taxRate}%`, { align: 'left' });
+                    }
                 });
 
                 doc.text('-'.repeat(35), { align: 'center' });
 
                 // Totals
-                if (tax && tax > 0) {
+                const taxLines = billCalculator.getTaxLines(billData);
+                if (taxLines.length > 0 || parcelCharges > 0 || serviceFee > 0) {
                     doc.text(`SUBTOTAL: ${subtotal.toFixed(2).padStart(20)}`, { align: 'right' });
-                    doc.text(`TAX: ${tax.toFixed(2).padStart(25)}`, { align: 'right' });
                 }
+                if (parcelCharges > 0) {
+                    doc.text(`PARCEL: ${parcelCharges.toFixed(2).padStart(22)}`, { align: 'right' });
+                }
+                if (serviceFee > 0) {
+                    doc.text(`SERVICE FEE${billData.serviceFeePercentage > 0 ? ` (${billData.serviceFeePercentage}%)` : ''}: ${serviceFee.toFixed(2).padStart(10)}`, { align: 'right' });
+                }
+                taxLines.forEach(line => {
+                    doc.text(`${line.label}: ${line.amount.toFixed(2).padStart(16)}`, { align: 'right' });
+                });
                 doc.fontSize(9).font('Helvetica-Bold');
                 doc.text(`TOTAL: ${total.toFixed(2).padStart(23)}`, { align: 'right' });
+                if (billData.pricesIncludeTax && taxLines.length > 0) {
+                    doc.fontSize(8).font('Helvetica');
+                    doc.text('(Prices inclusive of GST)', { align: 'right' });
+                }
                 doc.text('='.repeat(35), { align: 'center' });
 
                 // Footer
@@ -205,14 +235,6 @@ class PDFGenerator {
         });
     }
 
-    generateBillNumber() {
-        // Generate a simple bill number based on timestamp
-        const now = new Date();
-        const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-        const timeStr = now.getTime().toString().slice(-4);
-        return `${dateStr}${timeStr}`;
-    }
-
     // Clean up old PDF files
     cleanupOldFiles() {
         try {
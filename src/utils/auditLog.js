@@ -0,0 +1,221 @@
+// Audit log - who changed what, and when, for sensitive POS actions
+// Entries are appended one JSON line each to storage/audit-log.jsonl by the main process:
+//   { sequence, timestamp, actor: { id, name, role }, action, target, before, after, previousHash, hash }
+// Each hash covers the entry and the previous entry's hash, so editing or removing any
+// line breaks the chain from that point on. Pure functions - the hash function is passed in.
+
+const ACTIONS = {
+    'menu.item-edited': 'Menu item edited',
+    'menu.item-enabled': 'Menu item enabled',
+    'menu.item-disabled': 'Menu item disabled',
+    'menu.item-deleted': 'Menu item deleted',
+    'order.item-removed': 'Item removed from order',
+    'order.item-cancelled': 'Sent item cancelled (KOT)',
+    'order.cleared': 'Table / counter cleared',
+    'bill.reprinted': 'Bill reprinted (duplicate)',
+    'bill.voided': 'Bill voided',
+    'bill.refunded': 'Bill refunded',
+    'credit-note.reprinted': 'Credit note reprinted',
+    'report.z-reprinted': 'Z-report reprinted',
+    'shift.opened': 'Cash shift opened',
+    'shift.pay-in': 'Cash pay-in',
+    'shift.pay-out': 'Cash pay-out',
+    'shift.closed': 'Cash shift closed',
+    'shift.reprinted': 'Shift summary reprinted',
+    'settings.changed': 'Settings changed',
+    'settings.bill-numbering': 'Bill numbering changed',
+    'settings.table-layout': 'Table layout changed',
+    'settings.staff': 'Staff and permissions changed',
+    'staff.login': 'Logged in',
+    'staff.logout': 'Logged out',
+    'staff.login-failed': 'Wrong PIN entered'
+};
+
+// Written by the main process as it makes the change, so the renderer can't add or fake them
+const RECORDED_BY_MAIN = [
+    'bill.voided',
+    'bill.refunded',
+    'shift.opened',
+    'shift.pay-in',
+    'shift.pay-out',
+    'shift.closed',
+    'settings.staff',
+    'staff.login',
+    'staff.logout',
+    'staff.login-failed'
+];
+
+// The chain starts from a fixed value so the first entry is checked like any other
+const GENESIS_HASH = '0'.repeat(64);
+
+// Longest value shown in the viewer before it is cut short
+const MAX_VALUE_LENGTH = 80;
+
+// Fields in a fixed order, so the hash doesn't depend on how the JSON was written
+const getHashInput = (entry) => JSON.stringify([
+    entry.sequence,
+    entry.timestamp,
+    entry.actor,
+    entry.action,
+    entry.target,
+    entry.before,
+    entry.after,
+    entry.previousHash
+]);
+
+const toText = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return '-';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.substring(0, MAX_VALUE_LENGTH - 3)}...` : text;
+};
+
+const csvCell = (value) => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+
+const auditLog = {
+    ACTIONS,
+    RECORDED_BY_MAIN,
+    GENESIS_HASH,
+
+    getActionLabel(action) {
+        return ACTIONS[action] || action;
+    },
+
+    // "Priya (cashier)" - entries from before staff logins only have a role
+    getActorLabel(actor) {
+        if (!actor) {
+            return '';
+        }
+        return actor.name ? `${actor.name} (${actor.role})` : actor.role;
+    },
+
+    /**
+     * The next entry in the chain after `previous` (null for the first entry).
+     * hash(text) returns a hex digest - main.js passes SHA-256 from crypto.
+     */
+    createEntry(previous, details, hash, now = new Date()) {
+        if (!ACTIONS[details.action]) {
+            throw new Error(`Unknown audit action: ${details.action}`);
+        }
+
+        const entry = {
+            sequence: previous ? previous.sequence + 1 : 1,
+            timestamp: now.toISOString(),
+            actor: details.actor || null,
+            action: details.action,
+            target: details.target || '',
+            before: details.before === undefined ? null : details.before,
+            after: details.after === undefined ? null : details.after,
+            previousHash: previous ? previous.hash : GENESIS_HASH
+        };
+        entry.hash = hash(getHashInput(entry));
+        return entry;
+    },
+
+    /**
+     * Check every entry's hash and link. Returns { valid, count, brokenAt, error },
+     * where brokenAt is the sequence of the first entry that doesn't match.
+     */
+    verify(entries, hash) {
+        let previous = null;
+
+        for (let index = 0; index < entries.length; index++) {
+            const entry = entries[index];
+            const expectedSequence = previous ? previous.sequence + 1 : 1;
+            const expectedPrevious = previous ? previous.hash : GENESIS_HASH;
+
+            let error = null;
+            if (entry.sequence !== expectedSequence) {
+                error = `Entry ${expectedSequence} is missing`;
+            } else if (entry.previousHash !== expectedPrevious) {
+                error = `Entry ${entry.sequence} doesn't follow entry ${expectedSequence - 1}`;
+            } else if (entry.hash !== hash(getHashInput(entry))) {
+                error = `Entry ${entry.sequence} has been changed`;
+            }
+
+            if (error) {
+                return { valid: false, count: entries.length, brokenAt: expectedSequence, error };
+            }
+            previous = entry;
+        }
+
+        return { valid: true, count: entries.length, brokenAt: null, error: null };
+    },
+
+    // Top-level keys whose values differ, as { before, after } holding only those keys
+    diff(before, after) {
+        const changes = { before: {}, after: {} };
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        keys.forEach(key => {
+            const oldValue = before ? before[key] : undefined;
+            const newValue = after ? after[key] : undefined;
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes.before[key] = oldValue === undefined ? null : oldValue;
+                changes.after[key] = newValue === undefined ? null : newValue;
+            }
+        });
+
+        return Object.keys(changes.after).length > 0 ? changes : null;
+    },
+
+    // "price: 120 → 140" lines for the viewer; plain values show as one "before → after" line
+    describeChanges(entry) {
+        const { before, after } = entry;
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+        if (isObject(before) || isObject(after)) {
+            const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+            return Array.from(keys)
+                .filter(key => JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key]))
+                .map(key => `${key}: ${toText((before || {})[key])} → ${toText((after || {})[key])}`);
+        }
+        if (before === null && after === null) {
+            return [];
+        }
+        return [`${toText(before)} → ${toText(after)}`];
+    },
+
+    // filters: { from: '2024-06-01', to: '2024-06-30', action, text } - newest first
+    filterEntries(entries, filters = {}) {
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+        const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+        const text = String(filters.text || '').trim().toLowerCase();
+
+        return entries
+            .filter(entry => {
+                const time = new Date(entry.timestamp);
+                if ((from && time < from) || (to && time > to)) {
+                    return false;
+                }
+                if (filters.action && entry.action !== filters.action) {
+                    return false;
+                }
+                if (text && !JSON.stringify([entry.target, entry.actor, entry.before, entry.after]).toLowerCase().includes(text)) {
+                    return false;
+                }
+                return true;
+            })
+            .reverse();
+    },
+
+    // Every entry with its hashes, so the chain can be checked outside the app too
+    toCsv(entries) {
+        const header = ['Sequence', 'Time', 'Staff', 'Action', 'Target', 'Before', 'After', 'Previous Hash', 'Hash'];
+        const rows = entries.map(entry => [
+            entry.sequence,
+            entry.timestamp,
+            this.getActorLabel(entry.actor),
+            this.getActionLabel(entry.action),
+            entry.target,
+            entry.before === null ? '' : JSON.stringify(entry.before),
+            entry.after === null ? '' : JSON.stringify(entry.after),
+            entry.previousHash,
+            entry.hash
+        ]);
+        return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+    }
+};
+
+module.exports = auditLog;
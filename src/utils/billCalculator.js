@@ -0,0 +1,169 @@
+// Bill calculator - single source of truth for bill totals and GST
+// Used by the billing screen, CleanPrintingSystem, NewPrintHandler and the ESC/POS/PDF generators
+
+const discounts = require('./discounts');
+const chargeOptions = require('./chargeOptions');
+
+const TAX_SLABS = [0, 5, 12, 18];
+
+const DEFAULT_TAX_SETTINGS = {
+    pricesIncludeTax: false, // true when menu prices already include GST
+    defaultRate: 0,          // slab used for items without their own taxRate
+    defaultHsn: '996331'     // SAC for restaurant services
+};
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const billCalculator = {
+    TAX_SLABS,
+    DEFAULT_TAX_SETTINGS,
+    roundMoney,
+
+    getTaxSettings(taxSettings) {
+        return { ...DEFAULT_TAX_SETTINGS, ...taxSettings };
+    },
+
+    getTaxRate(item, taxSettings) {
+        const rate = item.taxRate !== undefined && item.taxRate !== null && item.taxRate !== ''
+            ? parseFloat(item.taxRate)
+            : parseFloat(this.getTaxSettings(taxSettings).defaultRate);
+        return TAX_SLABS.includes(rate) ? rate : 0;
+    },
+
+    getHsnCode(item, taxSettings) {
+        return item.hsnCode || this.getTaxSettings(taxSettings).defaultHsn || '';
+    },
+
+    /**
+     * Calculate bill totals with GST split into CGST/SGST per slab
+     * options: { serviceFee, serviceFeePercentage, packingCharge, taxSettings, billDiscount }
+     * serviceFee is { type, value, minBill } (see chargeOptions); a plain serviceFeePercentage
+     * is still accepted. packingCharge is added once when a line is parcelType 'bill'.
+     *
+     * Line discounts (item.discount) come off their line and the bill discount is shared
+     * out over the lines by value, so GST and the service fee are worked out on the
+     * discounted amounts. Parcel charges and the service fee are taxed at the rate of
+     * the item they belong to - a flat fee or packing charge is shared over the lines it
+     * covers by value. Tax is rounded once per slab, and CGST always equals SGST.
+     */
+    calculate(items, options = {}) {
+        const taxSettings = this.getTaxSettings(options.taxSettings);
+        const legacyPercentage = parseFloat(options.serviceFeePercentage) || 0;
+        const serviceFeeOption = options.serviceFee ||
+            (legacyPercentage > 0 ? { type: 'percent', value: legacyPercentage, minBill: 0 } : null);
+
+        const slabs = new Map();
+        let subtotal = 0;
+        let parcelCharges = 0;
+        let itemDiscount = 0;
+
+        const lines = items.map(item => {
+            const quantity = parseInt(item.quantity) || 0;
+            const amount = (parseFloat(item.price) || 0) * quantity;
+            const parcelAmount = (parseFloat(item.parcelCharge) || 0) * quantity;
+            const discount = discounts.getAmount(item.discount, roundMoney(amount));
+
+            subtotal += amount;
+            parcelCharges += parcelAmount;
+            itemDiscount += discount;
+
+            return {
+                ...item,
+                taxRate: this.getTaxRate(item, taxSettings),
+                hsnCode: this.getHsnCode(item, taxSettings),
+                amount: roundMoney(amount),
+                discountAmount: discount,
+                parcelAmount
+            };
+        });
+
+        itemDiscount = roundMoney(itemDiscount);
+        const afterItemDiscounts = roundMoney(subtotal - itemDiscount);
+        const billDiscount = discounts.getAmount(options.billDiscount, afterItemDiscounts);
+        const discountedValue = roundMoney(afterItemDiscounts - billDiscount);
+        // Share of each line's value left once the bill discount is taken off
+        const billDiscountFactor = afterItemDiscounts > 0 ? discountedValue / afterItemDiscounts : 0;
+
+        const serviceFee = chargeOptions.getServiceFeeAmount(serviceFeeOption, discountedValue);
+        const serviceFeePercentage = serviceFee > 0 && serviceFeeOption.type === 'percent' ? serviceFeeOption.value : 0;
+
+        const packingLines = lines.filter(line => line.parcelType === 'bill');
+        const packingCharge = packingLines.length > 0 ? roundMoney(parseFloat(options.packingCharge) || 0) : 0;
+        parcelCharges += packingCharge;
+
+        const netAmounts = lines.map(line => (line.amount - line.discountAmount) * billDiscountFactor);
+        const packingValue = packingLines.reduce((sum, line) => sum + netAmounts[lines.indexOf(line)], 0);
+
+        lines.forEach((line, index) => {
+            const netAmount = netAmounts[index];
+            const feeShare = discountedValue > 0 ? (serviceFee * netAmount) / discountedValue : 0;
+            let packingShare = 0;
+            if (packingCharge > 0 && line.parcelType === 'bill') {
+                packingShare = packingValue > 0
+                    ? (packingCharge * netAmount) / packingValue
+                    : packingCharge / packingLines.length;
+            }
+
+            const slab = slabs.get(line.taxRate) || { rate: line.taxRate, gross: 0 };
+            slab.gross += netAmount + line.parcelAmount + feeShare + packingShare;
+            slabs.set(line.taxRate, slab);
+            delete line.parcelAmount;
+        });
+
+        const taxBreakup = Array.from(slabs.values())
+            .filter(slab => slab.rate > 0)
+            .sort((a, b) => a.rate - b.rate)
+            .map(slab => {
+                const gross = roundMoney(slab.gross);
+                const halfRate = slab.rate / 2;
+                let taxableValue;
+                let cgst;
+
+                if (taxSettings.pricesIncludeTax) {
+                    // Back the tax out of the inclusive amount
+                    cgst = roundMoney((gross * halfRate) / (100 + slab.rate));
+                    taxableValue = roundMoney(gross - cgst * 2);
+                } else {
+                    taxableValue = gross;
+                    cgst = roundMoney((taxableValue * halfRate) / 100);
+                }
+
+                return { rate: slab.rate, taxableValue, cgst, sgst: cgst, tax: roundMoney(cgst * 2) };
+            });
+
+        const cgst = roundMoney(taxBreakup.reduce((sum, slab) => sum + slab.cgst, 0));
+        const sgst = roundMoney(taxBreakup.reduce((sum, slab) => sum + slab.sgst, 0));
+        const tax = roundMoney(cgst + sgst);
+        const beforeTax = discountedValue + parcelCharges + serviceFee;
+
+        return {
+            lines,
+            subtotal: roundMoney(subtotal),
+            itemDiscount,
+            billDiscount,
+            discount: roundMoney(itemDiscount + billDiscount),
+            parcelCharges: roundMoney(parcelCharges),
+            packingCharge,
+            serviceFeePercentage,
+            serviceFee,
+            pricesIncludeTax: taxSettings.pricesIncludeTax,
+            taxBreakup,
+            cgst,
+            sgst,
+            tax,
+            total: roundMoney(taxSettings.pricesIncludeTax ? beforeTax : beforeTax + tax)
+        };
+    },
+
+    // Printable tax lines shared by the HTML, ESC/POS, PDF and text bills
+    getTaxLines(totals) {
+        const lines = [];
+        (totals.taxBreakup || []).forEach(slab => {
+            lines.push({ label: `CGST @${slab.rate / 2}%`, amount: slab.cgst });
+            lines.push({ label: `SGST @${slab.rate / 2}%`, amount: slab.sgst });
+        });
+        return lines;
+    }
+};
+
+module.exports = billCalculator;
@@ -0,0 +1,102 @@
+// Bill history - find old bills in the sales ledger and rebuild them for a DUPLICATE print
+// Filters: { from: '2024-06-01', to: '2024-06-30', billNumber, location, minAmount, maxAmount, item }
+// Every filter is optional; text filters match any part of the value, ignoring case
+
+const discounts = require('./discounts');
+const salesReports = require('./salesReports');
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const contains = (value, query) => String(value || '').toLowerCase().includes(String(query).trim().toLowerCase());
+
+const billHistory = {
+    /**
+     * Bills in the ledger that match the filters, newest first.
+     * Dates are whole local days, so from and to can be the same day.
+     */
+    filterBills(records, filters = {}) {
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+        const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+        const minAmount = parseFloat(filters.minAmount);
+        const maxAmount = parseFloat(filters.maxAmount);
+
+        return (records || [])
+            .filter(record => !record.type || record.type === 'bill')
+            .filter(bill => {
+                const billTime = new Date(bill.timestamp);
+                if (from && billTime < from) {
+                    return false;
+                }
+                if (to && billTime > to) {
+                    return false;
+                }
+                if (filters.billNumber && !contains(bill.billNumber, filters.billNumber)) {
+                    return false;
+                }
+                if (filters.location && !contains(salesReports.getLocationLabel(bill.location), filters.location)) {
+                    return false;
+                }
+                if (Number.isFinite(minAmount) && (bill.total || 0) < minAmount) {
+                    return false;
+                }
+                if (Number.isFinite(maxAmount) && (bill.total || 0) > maxAmount) {
+                    return false;
+                }
+                if (filters.item && !(bill.items || []).some(item =>
+                    contains(item.name, filters.item) ||
+                    (item.components || []).some(component => contains(component.name, filters.item)))) {
+                    return false;
+                }
+                return true;
+            })
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    },
+
+    /**
+     * Order data for CleanPrintingSystem.generateCustomerBillHTML, rebuilt from a ledger
+     * record. The stored totals are used as they are - nothing is recalculated, so the
+     * duplicate matches the original even if prices, tax or charges have changed since.
+     */
+    toOrderData(bill, restaurant) {
+        const items = bill.items || [];
+        // Equal and amount shares printed as one line - their items have fractional quantities
+        const isShare = bill.split && bill.split.mode !== 'items';
+
+        const lines = isShare
+            ? [{ name: `Share ${bill.split.index} of ${bill.split.count}`, quantity: 1, price: bill.subtotal, amount: bill.subtotal }]
+            : items.map(item => {
+                const amount = roundMoney((item.price || 0) * (item.quantity || 0));
+                return { ...item, amount, discountAmount: discounts.getAmount(item.discount, amount) };
+            });
+
+        return {
+            items: isShare ? lines : items,
+            location: bill.location,
+            billNumber: bill.billNumber,
+            timestamp: bill.timestamp,
+            restaurant,
+            split: bill.split || null,
+            billDiscount: bill.billDiscountDetails || null,
+            payment: bill.payment || null,
+            duplicate: true,
+            totals: {
+                lines,
+                subtotal: bill.subtotal || 0,
+                itemDiscount: bill.itemDiscount || 0,
+                billDiscount: bill.billDiscount || 0,
+                discount: bill.discount || 0,
+                parcelCharges: bill.parcelCharges || 0,
+                serviceFeePercentage: bill.serviceFeePercentage || 0,
+                serviceFee: bill.serviceFee || 0,
+                pricesIncludeTax: Boolean(bill.pricesIncludeTax),
+                taxBreakup: bill.taxBreakup || [],
+                cgst: bill.cgst || 0,
+                sgst: bill.sgst || 0,
+                tax: bill.tax || 0,
+                total: bill.total || 0
+            }
+        };
+    }
+};
+
+module.exports = billHistory;
@@ -0,0 +1,220 @@
+// Bill splitter - divides one table order into several numbered bills
+// Every share is a full billCalculator result, so it prints and records like a normal bill
+
+const billCalculator = require('./billCalculator');
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const billSplitter = {
+    SPLIT_MODES: ['equal', 'items', 'amounts'],
+
+    /**
+     * Share an amount by weights using the largest remainder method,
+     * so the parts always add back up to the exact amount (to the paisa)
+     */
+    apportion(amount, weights) {
+        const totalPaise = toPaise(amount);
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+        if (weightSum <= 0) {
+            return weights.map(() => 0);
+        }
+
+        const exact = weights.map(weight => (totalPaise * weight) / weightSum);
+        const parts = exact.map(value => Math.floor(value));
+        let remainder = totalPaise - parts.reduce((sum, value) => sum + value, 0);
+
+        exact
+            .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+            .sort((a, b) => b.fraction - a.fraction)
+            .forEach(({ index }) => {
+                if (remainder > 0) {
+                    parts[index] += 1;
+                    remainder -= 1;
+                }
+            });
+
+        return parts.map(paise => paise / 100);
+    },
+
+    // Equal split: N shares of the same bill
+    splitEqually(items, count, options = {}) {
+        if (!Number.isInteger(count) || count < 2) {
+            throw new Error('Split into at least 2 bills');
+        }
+        return this.splitByWeights(items, new Array(count).fill(1), 'equal', options);
+    },
+
+    // Custom split: each payer pays a fixed amount, amounts must add up to the bill total
+    splitByAmounts(items, amounts, options = {}) {
+        const totals = billCalculator.calculate(items, options);
+        const entered = amounts.map(amount => toPaise(parseFloat(amount) || 0));
+
+        if (entered.length < 2 || entered.some(paise => paise <= 0)) {
+            throw new Error('Enter an amount greater than zero for each payer');
+        }
+        const enteredSum = entered.reduce((sum, paise) => sum + paise, 0);
+        if (enteredSum !== toPaise(totals.total)) {
+            throw new Error(`Amounts add up to ₹${(enteredSum / 100).toFixed(2)} but the bill is ₹${totals.total.toFixed(2)}`);
+        }
+
+        return this.splitByWeights(items, entered, 'amounts', options);
+    },
+
+    /**
+     * Item split: assignments[g] lists { index, quantity } of order lines taken by guest g.
+     * Each guest's bill is calculated on its own items, so a percentage service fee and
+     * parcel charges follow the items they belong to. Flat discounts, a flat service fee
+     * and the packing charge are shared out by what each guest takes, so each is given
+     * or charged exactly once.
+     */
+    splitByItems(items, assignments, options = {}) {
+        const assigned = items.map(() => 0);
+        assignments.forEach(guestLines => {
+            guestLines.forEach(({ index, quantity }) => {
+                assigned[index] += quantity;
+            });
+        });
+
+        const mismatch = items.findIndex((item, index) => assigned[index] !== item.quantity);
+        if (mismatch !== -1) {
+            throw new Error(`Assign all ${items[mismatch].quantity} × ${items[mismatch].name} (assigned ${assigned[mismatch]})`);
+        }
+
+        const guests = assignments.filter(guestLines => guestLines.some(line => line.quantity > 0));
+        if (guests.length < 2) {
+            throw new Error('Assign items to at least 2 guests');
+        }
+
+        const guestItemsList = guests.map(guestLines => guestLines
+            .filter(line => line.quantity > 0)
+            .map(line => {
+                const item = items[line.index];
+                const discount = item.discount && item.discount.type === 'amount'
+                    ? { ...item.discount, value: (item.discount.value * line.quantity) / item.quantity }
+                    : item.discount;
+                return { ...item, quantity: line.quantity, discount };
+            }));
+
+        // Charges decided on the whole bill are shared out by what each guest takes, so a
+        // flat discount, flat service fee or packing charge is still given or charged once
+        const whole = billCalculator.calculate(items, options);
+        const guestValues = guestItemsList.map(guestItems => {
+            const totals = billCalculator.calculate(guestItems, { ...options, billDiscount: null, serviceFee: null, serviceFeePercentage: 0 });
+            return Math.max(0, toPaise(totals.subtotal - totals.itemDiscount));
+        });
+        const share = (amount, weights) => (weights.some(weight => weight > 0)
+            ? this.apportion(amount, weights)
+            : this.apportion(amount, weights.map(() => 1)));
+
+        const discountParts = options.billDiscount && options.billDiscount.type === 'amount'
+            ? share(whole.billDiscount, guestValues)
+            : null;
+
+        const feeOption = options.serviceFee || (parseFloat(options.serviceFeePercentage) > 0
+            ? { type: 'percent', value: parseFloat(options.serviceFeePercentage), minBill: 0 }
+            : null);
+        const feeParts = whole.serviceFee > 0 && feeOption.type === 'amount' ? share(whole.serviceFee, guestValues) : null;
+
+        const packingWeights = guestItemsList.map(guestItems => guestItems
+            .filter(item => item.parcelType === 'bill')
+            .reduce((sum, item) => sum + Math.max(1, toPaise((item.price || 0) * item.quantity)), 0));
+        const packingParts = whole.packingCharge > 0 ? this.apportion(whole.packingCharge, packingWeights) : null;
+
+        const guestOptions = guestItemsList.map((guestItems, shareIndex) => {
+            let serviceFee = null;
+            if (feeParts) {
+                serviceFee = { type: 'amount', value: feeParts[shareIndex], minBill: 0 };
+            } else if (whole.serviceFee > 0) {
+                // The whole bill met the minimum, so every guest pays the percentage
+                serviceFee = { ...feeOption, minBill: 0 };
+            }
+
+            return {
+                ...options,
+                serviceFee,
+                serviceFeePercentage: 0,
+                packingCharge: packingParts ? packingParts[shareIndex] : 0,
+                billDiscount: discountParts ? { ...options.billDiscount, value: discountParts[shareIndex] } : options.billDiscount
+            };
+        });
+
+        return guests.map((guestLines, shareIndex) => {
+            const guestItems = guestItemsList[shareIndex];
+            const totals = billCalculator.calculate(guestItems, guestOptions[shareIndex]);
+
+            return {
+                ...totals,
+                items: guestItems,
+                split: { mode: 'items', index: shareIndex + 1, count: guests.length }
+            };
+        });
+    },
+
+    /**
+     * Proportional split (equal or custom amounts). The whole bill is calculated once and
+     * every component - parcel, service fee, each GST slab and the total - is shared out
+     * with apportion(), so the shares add up to the unsplit bill exactly.
+     */
+    splitByWeights(items, weights, mode, options = {}) {
+        const totals = billCalculator.calculate(items, options);
+        const count = weights.length;
+
+        const totalParts = this.apportion(totals.total, weights);
+        const parcelParts = this.apportion(totals.parcelCharges, weights);
+        const serviceParts = this.apportion(totals.serviceFee, weights);
+        const discountParts = this.apportion(totals.discount, weights);
+        const slabParts = totals.taxBreakup.map(slab => ({
+            rate: slab.rate,
+            taxableValue: this.apportion(slab.taxableValue, weights),
+            cgst: this.apportion(slab.cgst, weights)
+        }));
+
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+        return weights.map((weight, shareIndex) => {
+            const taxBreakup = slabParts.map(slab => ({
+                rate: slab.rate,
+                taxableValue: slab.taxableValue[shareIndex],
+                cgst: slab.cgst[shareIndex],
+                sgst: slab.cgst[shareIndex],
+                tax: billCalculator.roundMoney(slab.cgst[shareIndex] * 2)
+            }));
+            const cgst = billCalculator.roundMoney(taxBreakup.reduce((sum, slab) => sum + slab.cgst, 0));
+            const tax = billCalculator.roundMoney(cgst * 2);
+            const total = totalParts[shareIndex];
+
+            // Item value is whatever is left of the share once the other components are taken out
+            const extras = parcelParts[shareIndex] + serviceParts[shareIndex] + (totals.pricesIncludeTax ? 0 : tax);
+            const discount = discountParts[shareIndex];
+            const subtotal = billCalculator.roundMoney(total - extras + discount);
+            const fraction = weight / weightSum;
+            const label = `Share ${shareIndex + 1} of ${count}`;
+
+            return {
+                // Printed as one line - quantities can't be divided on paper
+                lines: [{ name: label, quantity: 1, price: subtotal, amount: subtotal }],
+                // Recorded in the ledger with fractional quantities so reports still add up
+                items: items.map(item => ({
+                    ...item,
+                    quantity: Math.round(item.quantity * fraction * 1000) / 1000
+                })),
+                subtotal,
+                itemDiscount: 0,
+                billDiscount: discount,
+                discount,
+                parcelCharges: parcelParts[shareIndex],
+                serviceFeePercentage: totals.serviceFeePercentage,
+                serviceFee: serviceParts[shareIndex],
+                pricesIncludeTax: totals.pricesIncludeTax,
+                taxBreakup,
+                cgst,
+                sgst: cgst,
+                tax,
+                total,
+                split: { mode, index: shareIndex + 1, count }
+            };
+        });
+    }
+};
+
+module.exports = billSplitter;
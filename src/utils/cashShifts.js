@@ -0,0 +1,161 @@
+// Cash shifts - one drawer session, from the opening float to the counted close
+// The open shift is kept with the sales ledger in orders.json:
+//   { shiftNumber, openedAt, openedBy, openingFloat, movements: [{ type, amount, reason, note, at, by }] }
+// Closing adds { closedAt, closedBy, cash, count: { counts, total }, difference } and the main
+// process archives it in shifts.json. Expected cash comes from the payments stored on bills.
+
+const DENOMINATIONS = [2000, 500, 200, 100, 50, 20, 10, 5, 2, 1];
+
+const MOVEMENT_TYPES = ['pay-in', 'pay-out'];
+
+const MOVEMENT_LABELS = {
+    'pay-in': 'Pay-in',
+    'pay-out': 'Pay-out'
+};
+
+const MOVEMENT_REASONS = {
+    'pay-in': ['Float top-up', 'Change from bank', 'Other'],
+    'pay-out': ['Petty cash', 'Vendor payment', 'Cash drop', 'Other']
+};
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const parseAmount = (value, label) => {
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+        throw new Error(`${label} must be zero or more`);
+    }
+    return roundMoney(amount);
+};
+
+// Recorded after the shift opened and no later than `until`
+const isWithin = (time, shift, until) => {
+    const at = new Date(time).getTime();
+    return at > new Date(shift.openedAt).getTime() && at <= until.getTime();
+};
+
+const cashShifts = {
+    DENOMINATIONS,
+    MOVEMENT_TYPES,
+    MOVEMENT_LABELS,
+    MOVEMENT_REASONS,
+
+    open(shiftNumber, openingFloat, staff, now = new Date()) {
+        return {
+            shiftNumber,
+            openedAt: now.toISOString(),
+            openedBy: staff,
+            openingFloat: parseAmount(openingFloat, 'The opening float'),
+            movements: []
+        };
+    },
+
+    // request: { type: 'pay-in' | 'pay-out', amount, reason, note }
+    buildMovement(request, staff, now = new Date()) {
+        const type = request.type;
+        const reason = String(request.reason || '');
+        const note = String(request.note || '').trim();
+
+        if (!MOVEMENT_TYPES.includes(type)) {
+            throw new Error(`Unknown cash entry: ${type}`);
+        }
+        const amount = parseAmount(request.amount, 'The amount');
+        if (amount === 0) {
+            throw new Error(`Enter the ${MOVEMENT_LABELS[type].toLowerCase()} amount`);
+        }
+        if (!MOVEMENT_REASONS[type].includes(reason)) {
+            throw new Error(`Choose a reason for the ${MOVEMENT_LABELS[type].toLowerCase()}`);
+        }
+        if (reason === 'Other' && !note) {
+            throw new Error(`Describe the ${MOVEMENT_LABELS[type].toLowerCase()}`);
+        }
+
+        return { type, amount, reason, note, at: now.toISOString(), by: staff };
+    },
+
+    // counts: { '500': 4, '100': 12, ... } - whole numbers of each note or coin
+    countCash(counts) {
+        const normalized = {};
+        let total = 0;
+
+        DENOMINATIONS.forEach(denomination => {
+            const value = (counts || {})[denomination];
+            const count = value === undefined || value === '' ? 0 : Number(value);
+            if (!Number.isInteger(count) || count < 0) {
+                throw new Error(`Count of ₹${denomination} must be a whole number`);
+            }
+            if (count > 0) {
+                normalized[denomination] = count;
+                total += denomination * count;
+            }
+        });
+
+        return { counts: normalized, total: roundMoney(total) };
+    },
+
+    /**
+     * Cash that should be in the drawer: the float, cash taken for bills settled during the
+     * shift (less change), less cash refunds, plus pay-ins and less pay-outs.
+     */
+    getExpectedCash(shift, records, until = new Date()) {
+        let cashSales = 0;
+        let cashBills = 0;
+        let cashRefunds = 0;
+
+        (records || []).forEach(record => {
+            if ((!record.type || record.type === 'bill') && record.payment && isWithin(record.payment.settledAt, shift, until)) {
+                const cash = record.payment.tenders
+                    .filter(tender => tender.method === 'cash')
+                    .reduce((sum, tender) => sum + tender.amount, 0);
+                if (cash > 0) {
+                    cashSales += cash - (record.payment.change || 0);
+                    cashBills += 1;
+                }
+            } else if (record.refundMethod === 'cash' && isWithin(record.recordedAt || record.timestamp, shift, until)) {
+                cashRefunds += Math.abs(record.total || 0);
+            }
+        });
+
+        const sumOf = type => shift.movements
+            .filter(movement => movement.type === type)
+            .reduce((sum, movement) => sum + movement.amount, 0);
+        const payIns = sumOf('pay-in');
+        const payOuts = sumOf('pay-out');
+
+        return {
+            openingFloat: shift.openingFloat,
+            cashSales: roundMoney(cashSales),
+            cashBills,
+            cashRefunds: roundMoney(cashRefunds),
+            payIns: roundMoney(payIns),
+            payOuts: roundMoney(payOuts),
+            expected: roundMoney(shift.openingFloat + cashSales - cashRefunds + payIns - payOuts)
+        };
+    },
+
+    // The count is taken blind - the expected amount is only worked out here, after counting
+    close(shift, records, counts, staff, now = new Date()) {
+        const count = this.countCash(counts);
+        const cash = this.getExpectedCash(shift, records, now);
+
+        return {
+            ...shift,
+            closedAt: now.toISOString(),
+            closedBy: staff,
+            cash,
+            count,
+            // Positive is over, negative is short
+            difference: roundMoney(count.total - cash.expected)
+        };
+    },
+
+    // "Short ₹20.00", "Over ₹5.00", "Balanced"
+    describeDifference(difference) {
+        if (difference === 0) {
+            return 'Balanced';
+        }
+        return `${difference < 0 ? 'Short' : 'Over'} ₹${Math.abs(difference).toFixed(2)}`;
+    }
+};
+
+module.exports = cashShifts;
@@ -0,0 +1,121 @@
+// Charge options - the service fees and parcel charges offered on the billing screen
+// Saved with the menu settings:
+//   serviceFees: [{ id, type: 'percent' | 'amount', value: 10, minBill: 500 }]
+//   parcelCharges: { mode: 'item' | 'category' | 'bill', itemOptions: [5, 10], categoryCharges: { Beverages: 5 }, billCharge: 20 }
+// An order keeps a copy of its service fee, so editing the options doesn't change open orders
+
+const PARCEL_MODES = [
+    { id: 'item', label: 'Per item (staff pick the charge)' },
+    { id: 'category', label: 'Per item, set by category' },
+    { id: 'bill', label: 'One packing charge per bill' }
+];
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+// The choices that used to be hard-coded in index.html and the parcel popup
+const getDefaultServiceFees = () => [5, 8, 10].map(value => ({ id: `percent-${value}-0`, type: 'percent', value, minBill: 0 }));
+
+const getDefaultParcelCharges = () => ({ mode: 'item', itemOptions: [5, 10], categoryCharges: {}, billCharge: 0 });
+
+const toAmount = (value, message) => {
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount) || amount < 0 || amount > 9999) {
+        throw new Error(message);
+    }
+    return roundMoney(amount);
+};
+
+const chargeOptions = {
+    PARCEL_MODES,
+    getDefaultServiceFees,
+    getDefaultParcelCharges,
+
+    /**
+     * Check service fee choices before they are saved. Throws with a message for staff.
+     * Ids come from the fee itself, so the same fee is never offered twice.
+     */
+    normalizeServiceFees(fees) {
+        const ids = new Set();
+
+        return (fees || []).map(fee => {
+            const type = fee.type === 'amount' ? 'amount' : 'percent';
+            const value = parseFloat(fee.value);
+            const minBill = toAmount(fee.minBill || 0, 'Minimum bill must be between ₹0 and ₹9999');
+
+            if (!Number.isFinite(value) || value <= 0) {
+                throw new Error('Enter a service fee greater than zero');
+            }
+            if (type === 'percent' && value > 100) {
+                throw new Error('A service fee can\'t be more than 100%');
+            }
+            if (type === 'amount' && value > 9999) {
+                throw new Error('A service fee can\'t be more than ₹9999');
+            }
+
+            const id = `${type}-${value}-${minBill}`;
+            if (ids.has(id)) {
+                throw new Error(`${this.describeServiceFee({ type, value, minBill })} is listed twice`);
+            }
+            ids.add(id);
+
+            return { id, type, value, minBill };
+        });
+    },
+
+    normalizeParcelCharges(parcelCharges) {
+        const settings = { ...getDefaultParcelCharges(), ...parcelCharges };
+
+        if (!PARCEL_MODES.some(mode => mode.id === settings.mode)) {
+            throw new Error('Choose how parcel charges are added');
+        }
+
+        const itemOptions = [...new Set((settings.itemOptions || [])
+            .map(option => toAmount(option, 'Parcel charges must be between ₹0 and ₹9999')))]
+            .filter(option => option > 0)
+            .sort((a, b) => a - b);
+        if (settings.mode === 'item' && itemOptions.length === 0) {
+            throw new Error('Enter at least one parcel charge, e.g. 5, 10');
+        }
+
+        const categoryCharges = {};
+        Object.entries(settings.categoryCharges || {}).forEach(([category, charge]) => {
+            categoryCharges[category] = toAmount(charge, `${category}: parcel charge must be between ₹0 and ₹9999`);
+        });
+
+        const billCharge = toAmount(settings.billCharge || 0, 'The packing charge must be between ₹0 and ₹9999');
+        if (settings.mode === 'bill' && billCharge === 0) {
+            throw new Error('Enter the packing charge per bill');
+        }
+
+        return { mode: settings.mode, itemOptions, categoryCharges, billCharge };
+    },
+
+    // "10%", "₹50", "10% on bills from ₹500"
+    describeServiceFee(fee) {
+        const size = fee.type === 'amount' ? `₹${fee.value}` : `${fee.value}%`;
+        return fee.minBill > 0 ? `${size} on bills from ₹${fee.minBill}` : size;
+    },
+
+    // Fee on the discounted item value - nothing when the bill is under the fee's minimum
+    getServiceFeeAmount(fee, itemValue) {
+        if (!fee || !(itemValue > 0) || itemValue < (fee.minBill || 0)) {
+            return 0;
+        }
+        return fee.type === 'amount'
+            ? roundMoney(fee.value)
+            : roundMoney((itemValue * fee.value) / 100);
+    },
+
+    // Per-unit charge for a parcel line in 'category' mode (0 when the category has none)
+    getCategoryCharge(parcelCharges, category) {
+        const charge = parcelCharges && parcelCharges.categoryCharges ? parcelCharges.categoryCharges[category] : 0;
+        return charge || 0;
+    },
+
+    // Charged once when any line is a parcel, in 'bill' mode
+    getPackingCharge(parcelCharges) {
+        return parcelCharges && parcelCharges.mode === 'bill' ? parcelCharges.billCharge : 0;
+    }
+};
+
+module.exports = chargeOptions;
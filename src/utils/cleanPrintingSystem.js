@@ -4,13 +4,30 @@
  * 
  * Features:
  * - Customer Bills with all required information
- * - Kitchen KOTs (food items)
- * - Drinks KOTs (tea/coffee)
- * - Mixed order handling (both KOTs printed together)
+ * - One KOT per kitchen station (kitchen, drinks, tandoor...), each on its own printer
+ * - Mixed order handling (all station KOTs printed together)
+ * - Incremental KOT rounds (only what the kitchen hasn't seen yet)
+ * - CANCELLED KOTs with a reason when sent items are reduced or removed
+ * - Modifiers and cooking notes under each KOT item, priced modifiers on the bill
  * - Service charge support
+ * - UPI payment QR on the customer bill
+ * - X/Z sales reports
+ * - DUPLICATE reprints of any bill in the sales ledger
+ * - CREDIT NOTEs for voided or refunded bills
+ * - Cash shift summaries (float, pay-ins/outs, counted vs expected cash)
  * - Thermal printer optimized
  */
 
+const billCalculator = require('./billCalculator');
+const upiPayment = require('./upiPayment');
+const kitchenStations = require('./kitchenStations');
+const orderModifiers = require('./orderModifiers');
+const itemVariants = require('./itemVariants');
+const comboItems = require('./comboItems');
+const priceLists = require('./priceLists');
+const paymentTender = require('./paymentTender');
+const cashShifts = require('./cashShifts');
+
 class CleanPrintingSystem {
     constructor() {
         this.debugMode = true; // Simple debug logging
@@ -41,132 +58,235 @@ class CleanPrintingSystem {
 
     /**
      * Main method: Print complete order (KOTs + Customer Bill)
+     * orderData.kotItems limits the KOTs to items not sent yet (defaults to all items),
+     * orderData.kitchenStations decides which station and printer each KOT goes to;
+     * sentKotItems is returned even when the bill fails, so those items aren't sent twice
      */
     async printCompleteOrder(orderData) {
         this.log('🚀 Starting complete order print...');
+        let kotRound = { results: [], sentItems: [] };
         
         try {
             const { items, menuItems, location, serviceCharge, restaurant } = orderData;
+            const kotItems = orderData.kotItems || items;
             
             if (!items || items.length === 0) {
                 throw new Error('No items to print');
             }
 
             // Step 1: Print KOTs first (kitchen workflow)
-            await this.printKOTs(items, menuItems, location);
+            kotRound = await this.printKOTRound(kotItems, menuItems, location, orderData.kitchenStations);
             
             // Step 2: Print Customer Bill
-            await this.printCustomerBill(orderData);
+            const billResult = await this.printCustomerBill(orderData);
             
             this.log('✅ Complete order printed successfully');
-            return { success: true };
+            return {
+                success: true,
+                billNumber: billResult.billNumber,
+                printResult: { kots: kotRound.results, bill: billResult.printResult },
+                sentKotItems: kotRound.sentItems
+            };
             
         } catch (error) {
             this.log(`❌ Print error: ${error.message}`, 'error');
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, sentKotItems: kotRound.sentItems };
         }
     }
 
     /**
      * Print KOTs based on item categories
      */
-    async printKOTs(items, menuItems, location) {
+    async printKOTs(items, menuItems, location, stations) {
+        const kotRound = await this.printKOTRound(items, menuItems, location, stations);
+        return kotRound.results;
+    }
+
+    /**
+     * Print one KOT round (a KOT per station that has items) and report which items
+     * reached a printer, so the caller can mark exactly those as sent.
+     * With cancellation ({ reason }) the KOTs are printed as CANCELLED slips instead.
+     * Stations in skipStations already have their KOT (a retry after some printers failed);
+     * printedStations lists every station that has it once the round is done.
+     */
+    async printKOTRound(items, menuItems, location, stations = kitchenStations.getDefaultStations(), cancellation = null, skipStations = []) {
         this.log('🍳 Starting KOT printing...');
         
-        // Classify items into kitchen and drinks
-        const { kitchenItems, drinksItems } = this.classifyItems(items, menuItems);
+        if (!items || items.length === 0) {
+            this.log('ℹ️ No KOTs needed');
+            return { results: [], sentItems: [], printedStations: [...skipStations] };
+        }
         
-        const promises = [];
+        const groups = this.classifyItems(items, menuItems, stations)
+            .filter(group => !skipStations.includes(group.station.id));
         
-        // Print Kitchen KOT if needed
-        if (kitchenItems.length > 0) {
-            this.log(`🍳 Printing Kitchen KOT for ${kitchenItems.length} items`);
-            promises.push(this.printSingleKOT(kitchenItems, 'KITCHEN ORDER', location));
-        }
+        groups.forEach(group => {
+            this.log(`🍳 Printing ${kitchenStations.getKotTitle(group.station)} for ${group.items.length} items on ${group.station.printer || 'default printer'}`);
+        });
         
-        // Print Drinks KOT if needed
-        if (drinksItems.length > 0) {
-            this.log(`☕ Printing Drinks KOT for ${drinksItems.length} items`);
-            promises.push(this.printSingleKOT(drinksItems, 'DRINKS ORDER', location));
-        }
+        const results = await Promise.all(groups.map(group => this.printSingleKOT(
+            group.items,
+            kitchenStations.getKotTitle(group.station),
+            location,
+            group.station.printer,
+            cancellation
+        )));
+        // A combo split across stations is only sent once every one of its KOTs printed
+        const failedLines = new Set();
+        groups.forEach((group, index) => {
+            if (!results[index].success) {
+                group.items.forEach(item => failedLines.add(item.lineId || item));
+            }
+        });
+        const sentItems = items.filter(item => !failedLines.has(item.lineId || item));
+        const printedStations = [
+            ...skipStations,
+            ...groups.filter((group, index) => results[index].success).map(group => group.station.id)
+        ];
         
-        if (promises.length > 0) {
-            await Promise.all(promises);
-            this.log('✅ All KOTs printed');
-        } else {
-            this.log('ℹ️ No KOTs needed');
-        }
+        this.log(`✅ KOT round done: ${sentItems.length}/${items.length} items sent`);
+        return { results, sentItems, printedStations };
     }
 
     /**
      * Print customer bill with all details
+     * The bill number must already be allocated by the main process (allocate-bill-number)
      */
     async printCustomerBill(orderData) {
         this.log('🧾 Printing customer bill...');
         
+        const billNumber = orderData.billNumber;
+        if (!billNumber) {
+            throw new Error('Bill number not allocated');
+        }
         const billHTML = this.generateCustomerBillHTML(orderData);
-        await this.printBillHTML(billHTML, 'Customer Bill');  // Use bill-specific method
+        const printResult = await this.printBillHTML(billHTML, 'Customer Bill');  // Use bill-specific method
+        
+        if (!printResult.success) {
+            throw new Error(`Bill ${billNumber} did not print: ${printResult.error}`);
+        }
         
         this.log('✅ Customer bill printed');
+        return { billNumber, printResult };
     }
 
-    // ============================================
-    // ITEM CLASSIFICATION
-    // ============================================
+    /**
+     * Reprint a bill from the sales ledger marked DUPLICATE (order data from billHistory.toOrderData)
+     */
+    async printDuplicateBill(orderData) {
+        this.log(`🧾 Printing duplicate of bill ${orderData.billNumber}...`);
+
+        const billHTML = this.generateCustomerBillHTML(orderData);
+        const printResult = await this.printBillHTML(billHTML, `Duplicate Bill ${orderData.billNumber}`);
+        if (!printResult.success) {
+            throw new Error(`Duplicate of bill ${orderData.billNumber} did not print: ${printResult.error}`);
+        }
+
+        this.log('✅ Duplicate bill printed');
+        return printResult;
+    }
+
+    /**
+     * Print a void or refund credit note (from the record-credit-note handler) on the bill printer
+     */
+    async printCreditNote(creditNote, restaurant) {
+        this.log(`↩️ Printing credit note ${creditNote.creditNoteNumber}...`);
+
+        const noteHTML = this.generateCreditNoteHTML(creditNote, restaurant);
+        const printResult = await this.printBillHTML(noteHTML, `Credit Note ${creditNote.creditNoteNumber}`);
+        if (!printResult.success) {
+            throw new Error(`Credit note ${creditNote.creditNoteNumber} did not print: ${printResult.error}`);
+        }
+
+        this.log('✅ Credit note printed');
+        return printResult;
+    }
 
     /**
-     * Classify items into kitchen and drinks based on kotGroup
-     * FIXED: Added robust error handling and debugging for data structure issues
+     * Print an X-report or Z-report (built by salesReports) on the bill printer
      */
-    classifyItems(orderItems, menuItems) {
-        const kitchenItems = [];
-        const drinksItems = [];
+    async printSalesReport(report, restaurant) {
+        this.log(`📊 Printing ${report.reportType}-report...`);
+        
+        const reportHTML = this.generateSalesReportHTML(report, restaurant);
+        const printResult = await this.printBillHTML(reportHTML, `${report.reportType}-Report`);
         
-        this.log(`📋 Classifying ${orderItems.length} items...`);
+        if (!printResult.success) {
+            throw new Error(`${report.reportType}-report did not print: ${printResult.error}`);
+        }
         
-        // CRITICAL FIX: Add debugging and fallback logic
-        if (!menuItems || !Array.isArray(menuItems)) {
-            this.log(`⚠️ WARNING: menuItems is invalid, defaulting all items to kitchen`);
-            return { kitchenItems: [...orderItems], drinksItems: [] };
+        this.log(`✅ ${report.reportType}-report printed`);
+        return printResult;
+    }
+
+    /**
+     * Print a closed cash shift (from the close-cash-shift handler) on the bill printer
+     */
+    async printShiftSummary(shift, restaurant) {
+        this.log(`💵 Printing shift #${shift.shiftNumber} summary...`);
+
+        const summaryHTML = this.generateShiftSummaryHTML(shift, restaurant);
+        const printResult = await this.printBillHTML(summaryHTML, `Shift ${shift.shiftNumber} Summary`);
+        if (!printResult.success) {
+            throw new Error(`Shift #${shift.shiftNumber} summary did not print: ${printResult.error}`);
         }
+
+        this.log('✅ Shift summary printed');
+        return printResult;
+    }
+
+    // ============================================
+    // ITEM CLASSIFICATION
+    // ============================================
+
+    /**
+     * Group items by kitchen station using the menu item's kotGroup (a station id)
+     * Returns [{ station, items }] in station order, leaving out stations with no items
+     */
+    classifyItems(orderItems, menuItems, stations = kitchenStations.getDefaultStations()) {
+        const stationItems = new Map(stations.map(station => [station.id, []]));
         
-        this.log(`📋 Available menu items: ${menuItems.length}`);
+        this.log(`📋 Classifying ${orderItems.length} items into ${stations.length} stations...`);
         
-        orderItems.forEach((orderItem, index) => {
-            // DEBUGGING: Log the orderItem structure
-            this.log(`🔍 Processing item ${index + 1}: ${JSON.stringify(orderItem)}`);
+        orderItems.forEach(orderItem => {
+            // Match by id, falling back to name for items saved before ids were stable
+            let menuItem = Array.isArray(menuItems) ? menuItems.find(mi => mi.id === orderItem.id) : null;
             
-            // Try different ID matching strategies
-            let menuItem = menuItems.find(mi => mi.id === orderItem.id);
-            
-            if (!menuItem && orderItem.name) {
-                // Fallback: try matching by name
+            if (!menuItem && orderItem.name && Array.isArray(menuItems)) {
                 menuItem = menuItems.find(mi => mi.name === orderItem.name);
-                if (menuItem) {
-                    this.log(`🔄 Found menu item by name fallback: "${orderItem.name}"`);
-                }
             }
             
             if (!menuItem) {
-                this.log(`⚠️ Menu item not found for ID:"${orderItem.id}" Name:"${orderItem.name}" - defaulting to kitchen`);
-                kitchenItems.push(orderItem);
-                return;
+                this.log(`⚠️ Menu item not found for ID:"${orderItem.id}" Name:"${orderItem.name}" - sending to ${stations[0].name}`);
             }
             
-            const kotGroup = menuItem.kotGroup || 'kitchen'; // Default to kitchen
-            
-            if (kotGroup === 'drinks') {
-                drinksItems.push(orderItem);
-                this.log(`☕ "${orderItem.name}" → Drinks KOT`);
-            } else {
-                kitchenItems.push(orderItem);
-                this.log(`🍳 "${orderItem.name}" → Kitchen KOT`);
+            // A combo is cooked as its components, each at its own station
+            if (comboItems.isCombo(menuItem)) {
+                const components = comboItems.getComponents(menuItem, menuItems);
+                if (components) {
+                    const componentItems = comboItems.expand(orderItem, components);
+                    components.forEach((component, index) => {
+                        const kotGroup = (component.variant && component.variant.kotGroup) || component.menuItem.kotGroup || 'kitchen';
+                        const station = kitchenStations.getStation(stations, kotGroup);
+                        stationItems.get(station.id).push(componentItems[index]);
+                        this.log(`🍳 "${component.name}" (${orderItem.name}) → ${station.name} KOT`);
+                    });
+                    return;
+                }
+                this.log(`⚠️ A component of combo "${orderItem.name}" is no longer on the menu - printing the combo as one item`);
             }
+            
+            // A variant can cook at a different station (e.g. Full tandoori platter at the tandoor)
+            const variant = itemVariants.findVariant(menuItem, orderItem.variant);
+            const kotGroup = menuItem ? (variant && variant.kotGroup) || menuItem.kotGroup || 'kitchen' : null;
+            const station = kitchenStations.getStation(stations, kotGroup);
+            stationItems.get(station.id).push(orderItem);
+            this.log(`🍳 "${orderItem.name}" → ${station.name} KOT`);
         });
         
-        this.log(`📊 Classification: ${kitchenItems.length} kitchen, ${drinksItems.length} drinks`);
-        
-        return { kitchenItems, drinksItems };
+        return stations
+            .map(station => ({ station, items: stationItems.get(station.id) }))
+            .filter(group => group.items.length > 0);
     }
 
     // ============================================
@@ -184,7 +304,7 @@ class CleanPrintingSystem {
                 throw new Error('Order data is required');
             }
             
-            const { items, location, serviceCharge, restaurant } = orderData;
+            const { items, location, serviceCharge, restaurant, taxSettings, split } = orderData;
             
             // CRITICAL: Validate required fields
             if (!items || !Array.isArray(items) || items.length === 0) {
@@ -195,28 +315,39 @@ class CleanPrintingSystem {
                 throw new Error('Restaurant information is required');
             }
             
-            const now = new Date();
-            
-            // FIXED: Safe calculation with error handling
-            let subtotal = 0;
-            let parcelCharges = 0;
+            // A duplicate keeps the original bill's date and time
+            const now = orderData.duplicate ? new Date(orderData.timestamp) : new Date();
             
             items.forEach((item, index) => {
                 if (!item.price || !item.quantity) {
                     this.log(`⚠️ Warning: Item ${index + 1} missing price or quantity:`, item);
-                    return;
                 }
-                subtotal += (parseFloat(item.price) || 0) * (parseInt(item.quantity) || 0);
-                parcelCharges += parseFloat(item.parcelCharge) || 0;
             });
             
-            const serviceChargeAmount = serviceCharge ? (subtotal * parseFloat(serviceCharge)) / 100 : 0;
-            const total = subtotal + serviceChargeAmount + parcelCharges;
+            // Same calculator as the billing screen, so the printed total always matches.
+            // Split bills pass their share (from billSplitter) as precomputed totals.
+            const totals = orderData.totals || billCalculator.calculate(items, {
+                serviceFee: orderData.serviceFee,
+                serviceFeePercentage: serviceCharge,
+                packingCharge: orderData.packingCharge,
+                taxSettings,
+                billDiscount: orderData.billDiscount
+            });
+            const { subtotal, parcelCharges, total } = totals;
+            const serviceChargeAmount = totals.serviceFee;
+            const taxLines = billCalculator.getTaxLines(totals);
             
-            const billNumber = this.generateBillNumber();
-            const locationText = location && location.type === 'table' 
-                ? `Table ${location.number || 'Unknown'}` 
-                : `Counter ${location?.number || 'Unknown'}`;
+            const billNumber = orderData.billNumber || 'PREVIEW';
+            const locationText = this.escapeHtml(location && location.type === 'table' 
+                ? (location.name || `Table ${location.number || 'Unknown'}`) 
+                : `Counter ${location?.number || 'Unknown'}`);
+            // A paid bill's duplicate doesn't ask for payment again
+            const upiUri = orderData.payment ? null : upiPayment.buildUpiUri({
+                vpa: restaurant.upiVpa,
+                payeeName: restaurant.name,
+                amount: total,
+                billNumber
+            });
 
             this.log(`💰 Bill totals: Subtotal=${subtotal}, ServiceCharge=${serviceChargeAmount}, Total=${total}`);
 
@@ -256,6 +387,15 @@ class CleanPrintingSystem {
             white-space: nowrap;
         }
         
+        .duplicate-mark {
+            text-align: center;
+            font-size: ${this.settings.fontSize.title};
+            font-weight: bold;
+            border: 2px dashed #000;
+            margin: 6px 0;
+            padding: 2px 0;
+        }
+        
         .bill-info {
             margin: 10px 0;
             font-size: ${this.settings.fontSize.base};
@@ -370,6 +510,29 @@ class CleanPrintingSystem {
             margin: 8px 0;
         }
         
+        .item-hsn {
+            display: block;
+            font-size: 9px;
+            font-weight: normal;
+        }
+        
+        .tax-note {
+            text-align: center;
+            font-size: 10px;
+            margin: 4px 0;
+        }
+        
+        .upi-section {
+            text-align: center;
+            margin: 10px 0;
+            font-size: ${this.settings.fontSize.base};
+        }
+        
+        .upi-section svg {
+            display: block;
+            margin: 4px auto;
+        }
+        
         .footer {
             border-top: 2px solid #000;
             margin-top: 15px;
@@ -388,12 +551,17 @@ class CleanPrintingSystem {
         ${restaurant.fssai ? `<div class="restaurant-details">FSSAI: ${restaurant.fssai}</div>` : ''}
     </div>
 
+    ${orderData.duplicate ? '<div class="duplicate-mark">*** DUPLICATE ***</div>' : ''}
+
     <div class="bill-info">
         <div>Bill No: ${billNumber}</div>
         <div>${locationText}</div>
+        ${split ? `<div>Split Bill ${split.index} of ${split.count}</div>` : ''}
         <div>Date: ${this.formatDate(now)}</div>
         <div>Time: ${this.formatTime(now)}</div>
-        <div>Order Type: Dine-in</div>
+        <div>Order Type: ${priceLists.getServiceModeLabel(location && location.serviceMode)}</div>
+        ${location && location.priceList ? `<div>Price List: ${location.priceList}</div>` : ''}
+        ${location && location.staff ? `<div>Cashier: ${this.escapeHtml(location.staff.name)}</div>` : ''}
     </div>
 
     <div class="items-section">
@@ -404,13 +572,25 @@ class CleanPrintingSystem {
             <span>Amount</span>
         </div>
         
-        ${items.map((item, index) => {
+        ${totals.lines.map((item, index) => {
             const itemTotal = item.price * item.quantity;
             // SAFETY: Truncate item names for 70mm width optimization
             const safeName = item.name.length > 18 ? item.name.substring(0, 15) + '...' : item.name;
+            const hsnText = item.taxRate > 0 ? `<span class="item-hsn">HSN ${item.hsnCode} · GST ${item.taxRate}%</span>` : '';
+            // Priced modifiers are already in the rate - listed so the customer sees what they paid for
+            const modifierText = orderModifiers.getBillLines(item)
+                .map(modifier => `<span class="item-hsn">+ ${modifier.name} ₹${modifier.price.toFixed(2)}</span>`)
+                .join('');
+            // Promotion prices are already in the rate - named so the customer sees the offer
+            const promotionText = item.promotion
+                ? `<span class="item-hsn">${item.promotion.name} -₹${(item.promotion.saving * item.quantity).toFixed(2)}</span>`
+                : '';
+            const discountText = item.discountAmount > 0
+                ? `<span class="item-hsn">Discount${item.discount.type === 'percent' ? ` ${item.discount.value}%` : ''} -₹${item.discountAmount.toFixed(2)}</span>`
+                : '';
             return `
             <div class="item-row">
-                <span class="item-name">${safeName}</span>
+                <span class="item-name">${safeName}${modifierText}${promotionText}${discountText}${hsnText}</span>
                 <span class="item-qty">${item.quantity}</span>
                 <span class="item-rate">₹${item.price.toFixed(2)}</span>
                 <span class="item-total">₹${itemTotal.toFixed(2)}</span>
@@ -425,6 +605,20 @@ class CleanPrintingSystem {
             <span>₹${subtotal.toFixed(2)}</span>
         </div>
         
+        ${totals.itemDiscount > 0 ? `
+        <div class="total-row">
+            <span>Item Discounts:</span>
+            <span>-₹${totals.itemDiscount.toFixed(2)}</span>
+        </div>
+        ` : ''}
+        
+        ${totals.billDiscount > 0 ? `
+        <div class="total-row">
+            <span>Discount${orderData.billDiscount && orderData.billDiscount.type === 'percent' ? ` (${orderData.billDiscount.value}%)` : ''}:</span>
+            <span>-₹${totals.billDiscount.toFixed(2)}</span>
+        </div>
+        ` : ''}
+        
         ${parcelCharges > 0 ? `
         <div class="total-row">
             <span>Parcel Charges:</span>
@@ -434,16 +628,34 @@ class CleanPrintingSystem {
         
         ${serviceChargeAmount > 0 ? `
         <div class="total-row">
-            <span>Service Charge (${serviceCharge}%):</span>
+            <span>Service Charge${totals.serviceFeePercentage > 0 ? ` (${totals.serviceFeePercentage}%)` : ''}:</span>
             <span>₹${serviceChargeAmount.toFixed(2)}</span>
         </div>
         ` : ''}
         
+        ${taxLines.map(line => `
+        <div class="total-row">
+            <span>${line.label}:</span>
+            <span>₹${line.amount.toFixed(2)}</span>
+        </div>
+        `).join('')}
+        
         <div class="total-row grand-total">
             <span>GRAND TOTAL:</span>
             <span>₹${total.toFixed(2)}</span>
         </div>
+        ${totals.pricesIncludeTax && totals.tax > 0 ? '<div class="tax-note">Prices are inclusive of GST</div>' : ''}
+        ${orderData.payment ? `<div class="tax-note">Paid: ${paymentTender.describe(orderData.payment)}</div>` : ''}
+        ${orderData.duplicate ? `<div class="tax-note">Reprinted ${this.formatDate(new Date())} ${this.formatTime(new Date())}</div>` : ''}
+    </div>
+
+    ${upiUri ? `
+    <div class="upi-section">
+        <div>Scan to pay ₹${total.toFixed(2)} via UPI</div>
+        ${upiPayment.toSvg(upiUri)}
+        <div>${restaurant.upiVpa}</div>
     </div>
+    ` : ''}
 
     <div class="footer">
         <div>*** Thank you, Visit again ***</div>
@@ -461,14 +673,15 @@ class CleanPrintingSystem {
     /**
      * Generate KOT HTML (no prices, items only)
      */
-    generateKOTHTML(items, kotTitle, location) {
+    generateKOTHTML(items, kotTitle, location, cancellation = null) {
         const now = new Date();
-        const locationText = location.type === 'table' 
-            ? `Table ${location.number}` 
-            : `Counter ${location.number}`;
+        const escape = text => this.escapeHtml(text);
+        const locationText = escape(location.type === 'table' 
+            ? (location.name || `Table ${location.number}`) 
+            : `Counter ${location.number}`);
 
         // Check if any items have parcel charges
-        const hasParcelItems = items.some(item => item.parcelCharge && item.parcelCharge > 0);
+        const hasParcelItems = items.some(item => item.parcelType || (item.parcelCharge && item.parcelCharge > 0));
 
         return `
 <!DOCTYPE html>
@@ -542,35 +755,497 @@ class CleanPrintingSystem {
             font-weight: bold;
             width: 100%;
         }
+        
+        .item-modifiers {
+            font-size: ${this.settings.fontSize.header};
+            font-weight: bold;
+            padding-left: 3mm;
+            margin-top: -4px;
+            margin-bottom: 6px;
+        }
+        
+        .kot-cancelled {
+            font-size: ${this.settings.fontSize.title};
+            font-weight: bold;
+            border: 2px solid #000;
+            padding: 4px 0;
+            margin: 4px 0;
+        }
     </style>
 </head>
 <body>
     <div class="header">
+        ${cancellation ? '<div class="kot-cancelled">*** CANCELLED ***</div>' : ''}
         <div class="kot-title">${kotTitle}</div>
+        ${cancellation ? `<div class="kot-info" style="font-weight: bold;">Reason: ${escape(cancellation.reason)}</div>` : ''}
         <div class="kot-info">${locationText}</div>
         ${hasParcelItems ? '<div class="kot-info" style="font-weight: bold;">PARCEL</div>' : ''}
         <div class="kot-info">Time: ${this.formatTime(now)}</div>
         <div class="kot-info">Date: ${this.formatDate(now)}</div>
+        ${location.staff ? `<div class="kot-info">Cashier: ${escape(location.staff.name)}</div>` : ''}
     </div>
 
     <div class="items-section">
         ${items.map(item => {
             // SAFETY: Truncate KOT item names for 70mm width
             const safeKotName = item.name.length > 22 ? item.name.substring(0, 19) + '...' : item.name;
-            // Add [PARCEL] marking for items with parcel charges
-            const parcelMark = (item.parcelCharge && item.parcelCharge > 0) ? ' [PARCEL]' : '';
+            // Add [PARCEL] marking for parcel items (some parcel modes charge per bill, not per item)
+            const parcelMark = (item.parcelType || (item.parcelCharge && item.parcelCharge > 0)) ? ' [PARCEL]' : '';
             const displayName = safeKotName + parcelMark;
+            const modifierLines = orderModifiers.getKotLines(item);
             return `
         <div class="item-row">
             <span class="item-name">${displayName}</span>
-            <span class="item-quantity">${item.quantity}x</span>
+            <span class="item-quantity">${cancellation ? '-' : ''}${item.quantity}x</span>
         </div>
+        ${modifierLines.length > 0 ? `<div class="item-modifiers">${modifierLines.map(line => `<div>${escape(line)}</div>`).join('')}</div>` : ''}
         `;
         }).join('')}
     </div>
 
     <div class="footer">
-        Total Items: ${items.reduce((sum, item) => sum + item.quantity, 0)}
+        ${cancellation ? 'DO NOT PREPARE - ' : ''}Total Items: ${items.reduce((sum, item) => sum + item.quantity, 0)}
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Generate credit note HTML for a void or refund (same 70mm layout as the customer bill).
+     * Amounts print positive - the heading says they are credited back against the bill.
+     */
+    generateCreditNoteHTML(creditNote, restaurant) {
+        const issuedAt = new Date(creditNote.timestamp);
+        const billedAt = new Date(creditNote.billTimestamp);
+        const title = creditNote.type === 'void' ? 'CREDIT NOTE - VOID' : 'CREDIT NOTE - REFUND';
+        const money = amount => `₹${amount.toFixed(2)}`;
+        const row = (label, value) => `
+        <div class="total-row">
+            <span>${label}</span>
+            <span>${value}</span>
+        </div>`;
+        const safeName = name => name.length > 18 ? name.substring(0, 15) + '...' : name;
+        const location = creditNote.location;
+        const locationText = this.escapeHtml(location && location.type === 'table'
+            ? (location.name || `Table ${location.number || 'Unknown'}`)
+            : `Counter ${location?.number || 'Unknown'}`);
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Credit Note ${creditNote.creditNoteNumber}</title>
+    <meta charset="UTF-8">
+    <style>
+        ${this.getBaseCSS()}
+        
+        .header {
+            text-align: center;
+            border-bottom: 2px solid #000;
+            padding-bottom: 8px;
+            margin-bottom: 10px;
+            width: 100%;
+        }
+        
+        .restaurant-name {
+            font-size: ${this.settings.fontSize.title};
+            font-weight: bold;
+            margin-bottom: 4px;
+        }
+        
+        .note-title {
+            text-align: center;
+            font-size: ${this.settings.fontSize.title};
+            font-weight: bold;
+            border: 2px dashed #000;
+            margin: 6px 0;
+            padding: 2px 0;
+        }
+        
+        .bill-info {
+            margin: 10px 0;
+            font-size: ${this.settings.fontSize.base};
+            font-weight: bold;
+            width: 100%;
+        }
+        
+        .section-title {
+            border-bottom: 2px solid #000;
+            margin-top: 12px;
+            padding: 2px 0;
+            font-size: ${this.settings.fontSize.header};
+            font-weight: bold;
+        }
+        
+        .total-row {
+            display: flex;
+            justify-content: space-between;
+            margin: 3px 0;
+            font-size: ${this.settings.fontSize.base};
+            width: 100%;
+            overflow: hidden;
+        }
+        
+        .total-row span:first-child {
+            flex: 1;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            padding-right: 5px;
+        }
+        
+        .total-row span:last-child {
+            flex-shrink: 0;
+            text-align: right;
+        }
+        
+        .grand-total {
+            font-size: ${this.settings.fontSize.total};
+            font-weight: bold;
+            border: 2px solid #000;
+            padding: 6px;
+            margin: 8px 0;
+        }
+        
+        .footer {
+            border-top: 2px solid #000;
+            margin-top: 15px;
+            padding-top: 8px;
+            text-align: center;
+            font-size: 12px;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="restaurant-name">${restaurant.name}</div>
+        <div>${restaurant.address}</div>
+        ${restaurant.gstin ? `<div>GSTIN: ${restaurant.gstin}</div>` : ''}
+    </div>
+
+    <div class="note-title">${title}</div>
+
+    <div class="bill-info">
+        <div>Credit Note: ${creditNote.creditNoteNumber}</div>
+        <div>Date: ${this.formatDate(issuedAt)} ${this.formatTime(issuedAt)}</div>
+        <div>Against Bill: ${creditNote.billNumber}</div>
+        <div>Bill Date: ${this.formatDate(billedAt)} ${this.formatTime(billedAt)}</div>
+        <div>${locationText}</div>
+        <div>Reason: ${creditNote.reason}</div>
+        ${creditNote.note ? `<div>${creditNote.note}</div>` : ''}
+        ${creditNote.requestedBy ? `<div>Requested by: ${this.escapeHtml(creditNote.requestedBy.name)}</div>` : ''}
+        <div>Approved by: ${this.escapeHtml(creditNote.approvedBy.name)}</div>
+    </div>
+
+    <div class="section-title">ITEMS</div>
+    ${creditNote.split && creditNote.split.mode !== 'items'
+        ? row(`Share ${creditNote.split.index} of ${creditNote.split.count}`, money(creditNote.subtotal))
+        : creditNote.items.map(item => row(`${safeName(item.name)} x${item.quantity}`, money((item.price || 0) * item.quantity))).join('')}
+
+    <div class="section-title">CREDITED</div>
+    ${row('Item Value:', money(creditNote.subtotal))}
+    ${creditNote.discount > 0 ? row('Discounts:', `-${money(creditNote.discount)}`) : ''}
+    ${creditNote.parcelCharges > 0 ? row('Parcel Charges:', money(creditNote.parcelCharges)) : ''}
+    ${creditNote.serviceFee > 0 ? row('Service Charge:', money(creditNote.serviceFee)) : ''}
+    ${billCalculator.getTaxLines(creditNote).map(line => row(`${line.label}:`, money(line.amount))).join('')}
+    <div class="total-row grand-total">
+        <span>TOTAL CREDITED:</span>
+        <span>${money(creditNote.total)}</span>
+    </div>
+    ${creditNote.refundMethod ? row('Refunded via:', paymentTender.TENDER_LABELS[creditNote.refundMethod]) : row('Refunded via:', 'Not paid - nothing due')}
+
+    <div class="footer">
+        <div>*** Keep with bill ${creditNote.billNumber} ***</div>
+        <div>Printed: ${this.formatDate(new Date())} ${this.formatTime(new Date())}</div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Generate X/Z sales report HTML (same 70mm layout as the customer bill)
+     */
+    generateSalesReportHTML(report, restaurant) {
+        const now = new Date(report.generatedAt);
+        const title = report.reportType === 'Z' ? `Z-REPORT #${report.zNumber}` : 'X-REPORT';
+        const money = amount => `₹${amount.toFixed(2)}`;
+        const row = (label, value) => `
+        <div class="total-row">
+            <span>${label}</span>
+            <span>${value}</span>
+        </div>`;
+        const safeName = name => name.length > 18 ? name.substring(0, 15) + '...' : name;
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>${title}</title>
+    <meta charset="UTF-8">
+    <style>
+        ${this.getBaseCSS()}
+        
+        .header {
+            text-align: center;
+            border-bottom: 2px solid #000;
+            padding-bottom: 8px;
+            margin-bottom: 10px;
+            width: 100%;
+        }
+        
+        .report-title {
+            font-size: ${this.settings.fontSize.title};
+            font-weight: bold;
+            margin: 4px 0;
+        }
+        
+        .section-title {
+            border-bottom: 2px solid #000;
+            margin-top: 12px;
+            padding: 2px 0;
+            font-size: ${this.settings.fontSize.header};
+            font-weight: bold;
+        }
+        
+        .total-row {
+            display: flex;
+            justify-content: space-between;
+            margin: 3px 0;
+            font-size: ${this.settings.fontSize.base};
+            width: 100%;
+            overflow: hidden;
+        }
+        
+        .total-row span:first-child {
+            flex: 1;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            padding-right: 5px;
+        }
+        
+        .total-row span:last-child {
+            flex-shrink: 0;
+            text-align: right;
+        }
+        
+        .grand-total {
+            font-size: ${this.settings.fontSize.total};
+            border: 2px solid #000;
+            padding: 6px;
+            margin: 8px 0;
+        }
+        
+        .footer {
+            border-top: 2px solid #000;
+            margin-top: 15px;
+            padding-top: 8px;
+            text-align: center;
+            font-size: 12px;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="report-title">${restaurant.name}</div>
+        <div class="report-title">${title}</div>
+        <div>${report.reportType === 'Z' ? 'Business day closed' : 'Running totals - day still open'}</div>
+    </div>
+
+    <div class="bill-info">
+        ${report.openedAt ? `<div>From: ${this.formatDate(new Date(report.openedAt))} ${this.formatTime(new Date(report.openedAt))}</div>` : ''}
+        <div>To: ${this.formatDate(now)} ${this.formatTime(now)}</div>
+        ${report.firstBill ? `<div>Bills: ${report.firstBill} - ${report.lastBill}</div>` : ''}
+    </div>
+
+    <div class="section-title">SUMMARY</div>
+    ${row('Bill Count:', report.billCount)}
+    ${row('Item Sales:', money(report.subtotal))}
+    ${report.discounts && report.discounts.amount > 0 ? row(`Discounts (${report.discounts.count}):`, `-${money(report.discounts.amount)}`) : ''}
+    ${row('Parcel Charges:', money(report.parcelCharges))}
+    ${row('Service Fee:', money(report.serviceFee))}
+    ${report.tax > 0 ? row('Tax:', money(report.tax)) : ''}
+    ${row('Gross Sales:', money(report.gross))}
+    ${row(`Voids (${report.voids.count}):`, `-${money(report.voids.amount)}`)}
+    ${report.refunds && report.refunds.count > 0 ? row(`Refunds (${report.refunds.count}):`, `-${money(report.refunds.amount)}`) : ''}
+    ${report.kotCancellations && report.kotCancellations.count > 0 ? row(`KOT Cancels (${report.kotCancellations.quantity}):`, money(report.kotCancellations.amount)) : ''}
+    <div class="total-row grand-total">
+        <span>NET SALES:</span>
+        <span>${money(report.net)}</span>
+    </div>
+
+    ${report.taxBreakup && report.taxBreakup.length > 0 ? `
+    <div class="section-title">GST${report.refunds ? ' (NET OF CREDIT NOTES)' : ''}</div>
+    ${report.taxBreakup.map(slab => `
+    ${row(`Taxable @${slab.rate}%:`, money(slab.taxableValue))}
+    ${row(`CGST @${slab.rate / 2}%:`, money(slab.cgst))}
+    ${row(`SGST @${slab.rate / 2}%:`, money(slab.sgst))}`).join('')}
+    ` : ''}
+
+    ${report.payments ? `
+    <div class="section-title">PAYMENTS</div>
+    ${row('Cash Received:', money(report.payments.cash))}
+    ${row('Change Given:', `-${money(report.payments.change)}`)}
+    ${report.payments.refunded && report.payments.refunded.cash > 0 ? row('Cash Refunded:', `-${money(report.payments.refunded.cash)}`) : ''}
+    ${row('Cash in Drawer:', money(report.payments.cashInDrawer))}
+    ${row('UPI:', money(report.payments.upi))}
+    ${row('Card:', money(report.payments.card))}
+    ${report.payments.refunded && report.payments.refunded.upi > 0 ? row('UPI Refunded:', `-${money(report.payments.refunded.upi)}`) : ''}
+    ${report.payments.refunded && report.payments.refunded.card > 0 ? row('Card Refunded:', `-${money(report.payments.refunded.card)}`) : ''}
+    ${report.payments.unsettledCount > 0 ? row(`Unsettled (${report.payments.unsettledCount}):`, money(report.payments.unsettledAmount)) : ''}
+    ${report.payments.earlierSettledCount > 0 ? row(`Earlier Bills Settled (${report.payments.earlierSettledCount}):`, money(report.payments.earlierSettledAmount)) : ''}
+    ` : ''}
+
+    <div class="section-title">CATEGORIES</div>
+    ${report.categories.map(category => row(`${safeName(category.name)} x${category.quantity}`, money(category.amount))).join('')}
+
+    <div class="section-title">ITEMS</div>
+    ${report.items.map(item => row(`${safeName(item.name)} x${item.quantity}`, money(item.amount))).join('')}
+
+    ${report.comboComponents && report.comboComponents.length > 0 ? `
+    <div class="section-title">ITEMS IN COMBOS</div>
+    ${report.comboComponents.map(component => row(`${safeName(component.name)}`, `x${component.quantity}`)).join('')}
+    ` : ''}
+
+    ${report.promotions && report.promotions.length > 0 ? `
+    <div class="section-title">PROMOTIONS</div>
+    ${report.promotions.map(promotion => row(`${safeName(promotion.name)} x${promotion.quantity}`, `-${money(promotion.amount)}`)).join('')}
+    ` : ''}
+
+    <div class="section-title">TABLES / COUNTERS</div>
+    ${report.locations.map(location => row(`${this.escapeHtml(location.label)} (${location.billCount})`, money(location.amount))).join('')}
+
+    <div class="footer">
+        <div>Printed: ${this.formatDate(new Date())} ${this.formatTime(new Date())}</div>
+        <div>*** End of ${report.reportType}-Report ***</div>
+    </div>
+</body>
+</html>`;
+    }
+
+    generateShiftSummaryHTML(shift, restaurant) {
+        const openedAt = new Date(shift.openedAt);
+        const closedAt = new Date(shift.closedAt);
+        const money = amount => `₹${amount.toFixed(2)}`;
+        const row = (label, value) => `
+        <div class="total-row">
+            <span>${label}</span>
+            <span>${value}</span>
+        </div>`;
+        const escape = text => this.escapeHtml(text);
+        const { cash, count } = shift;
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Shift ${shift.shiftNumber} Summary</title>
+    <meta charset="UTF-8">
+    <style>
+        ${this.getBaseCSS()}
+        
+        .header {
+            text-align: center;
+            border-bottom: 2px solid #000;
+            padding-bottom: 8px;
+            margin-bottom: 10px;
+            width: 100%;
+        }
+        
+        .report-title {
+            font-size: ${this.settings.fontSize.title};
+            font-weight: bold;
+            margin: 4px 0;
+        }
+        
+        .section-title {
+            border-bottom: 2px solid #000;
+            margin-top: 12px;
+            padding: 2px 0;
+            font-size: ${this.settings.fontSize.header};
+            font-weight: bold;
+        }
+        
+        .total-row {
+            display: flex;
+            justify-content: space-between;
+            margin: 3px 0;
+            font-size: ${this.settings.fontSize.base};
+            width: 100%;
+            overflow: hidden;
+        }
+        
+        .total-row span:first-child {
+            flex: 1;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            padding-right: 5px;
+        }
+        
+        .total-row span:last-child {
+            flex-shrink: 0;
+            text-align: right;
+        }
+        
+        .grand-total {
+            font-size: ${this.settings.fontSize.total};
+            border: 2px solid #000;
+            padding: 6px;
+            margin: 8px 0;
+        }
+        
+        .footer {
+            border-top: 2px solid #000;
+            margin-top: 15px;
+            padding-top: 8px;
+            text-align: center;
+            font-size: 12px;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="report-title">${restaurant.name}</div>
+        <div class="report-title">SHIFT #${shift.shiftNumber} SUMMARY</div>
+    </div>
+
+    <div class="bill-info">
+        <div>Opened: ${this.formatDate(openedAt)} ${this.formatTime(openedAt)}</div>
+        <div>By: ${escape(shift.openedBy ? shift.openedBy.name : '-')}</div>
+        <div>Closed: ${this.formatDate(closedAt)} ${this.formatTime(closedAt)}</div>
+        <div>By: ${escape(shift.closedBy ? shift.closedBy.name : '-')}</div>
+    </div>
+
+    <div class="section-title">EXPECTED CASH</div>
+    ${row('Opening Float:', money(cash.openingFloat))}
+    ${row(`Cash Sales (${cash.cashBills}):`, money(cash.cashSales))}
+    ${cash.cashRefunds > 0 ? row('Cash Refunds:', `-${money(cash.cashRefunds)}`) : ''}
+    ${row('Pay-ins:', money(cash.payIns))}
+    ${row('Pay-outs:', `-${money(cash.payOuts)}`)}
+    ${row('Expected:', money(cash.expected))}
+
+    ${shift.movements.length > 0 ? `
+    <div class="section-title">PAY-INS / PAY-OUTS</div>
+    ${shift.movements.map(movement => row(
+        `${this.formatTime(new Date(movement.at))} ${escape(movement.note || movement.reason)}`,
+        `${movement.type === 'pay-out' ? '-' : ''}${money(movement.amount)}`
+    )).join('')}
+    ` : ''}
+
+    <div class="section-title">COUNTED</div>
+    ${cashShifts.DENOMINATIONS.filter(denomination => count.counts[denomination]).map(denomination =>
+        row(`₹${denomination} x ${count.counts[denomination]}`, money(denomination * count.counts[denomination]))).join('')}
+    ${row('Counted:', money(count.total))}
+
+    <div class="total-row grand-total">
+        <span>${shift.difference < 0 ? 'SHORT:' : shift.difference > 0 ? 'OVER:' : 'BALANCED'}</span>
+        <span>${shift.difference === 0 ? '' : money(Math.abs(shift.difference))}</span>
+    </div>
+
+    <div class="footer">
+        <div>Printed: ${this.formatDate(new Date())} ${this.formatTime(new Date())}</div>
+        <div>*** End of Shift Summary ***</div>
     </div>
 </body>
 </html>`;
@@ -699,15 +1374,17 @@ class CleanPrintingSystem {
     /**
      * Print a single KOT
      */
-    async printSingleKOT(items, kotTitle, location) {
-        const kotHTML = this.generateKOTHTML(items, kotTitle, location);
-        await this.printKOTHTML(kotHTML, kotTitle);  // Use KOT-specific method
+    async printSingleKOT(items, kotTitle, location, printerName = '', cancellation = null) {
+        const kotHTML = this.generateKOTHTML(items, kotTitle, location, cancellation);
+        const result = await this.printKOTHTML(kotHTML, kotTitle, printerName);  // Use KOT-specific method
+        return { title: kotTitle, ...result };
     }
 
     /**
      * Print KOT HTML using KOT-specific handler with enhanced silent printing
+     * printerName sends it to a station's printer; empty means the default printer
      */
-    async printKOTHTML(htmlContent, documentTitle) {
+    async printKOTHTML(htmlContent, documentTitle, printerName = '') {
         const maxRetries = 3;
         let lastError = null;
 
@@ -717,7 +1394,7 @@ class CleanPrintingSystem {
                 
                 const { ipcRenderer } = require('electron');
                 const result = await Promise.race([
-                    ipcRenderer.invoke('silent-print-kot', htmlContent),
+                    ipcRenderer.invoke('silent-print-kot', htmlContent, printerName),
                     new Promise((_, reject) => 
                         setTimeout(() => reject(new Error('Silent print timeout')), 8000)
                     )
@@ -725,7 +1402,7 @@ class CleanPrintingSystem {
 
                 if (result && result.success) {
                     this.log(`✅ ${documentTitle} printed silently on attempt ${attempt}`);
-                    return;
+                    return { success: true, attempts: attempt };
                 } else {
                     throw new Error(result?.error || 'Print failed without specific error');
                 }
@@ -771,7 +1448,7 @@ class CleanPrintingSystem {
 
                 if (result && result.success) {
                     this.log(`✅ ${documentTitle} printed silently on attempt ${attempt}`);
-                    return;
+                    return { success: true, attempts: attempt };
                 } else {
                     throw new Error(result?.error || 'Print failed without specific error');
                 }
@@ -817,14 +1494,12 @@ class CleanPrintingSystem {
         });
     }
 
-    generateBillNumber() {
-        const now = new Date();
-        const dateStr = now.getFullYear().toString().slice(-2) + 
-                       (now.getMonth() + 1).toString().padStart(2, '0') + 
-                       now.getDate().toString().padStart(2, '0');
-        const timeStr = now.getHours().toString().padStart(2, '0') + 
-                       now.getMinutes().toString().padStart(2, '0');
-        return `${dateStr}${timeStr}`;
+    // Names typed in by staff (tables, sections, reasons) go into the print HTML as text
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
     }
 
     log(message, level = 'info') {
@@ -854,6 +1529,7 @@ class CleanPrintingSystem {
                 { id: 2, name: 'Filter Coffee', kotGroup: 'drinks' }
             ],
             location: { type: 'table', number: 5 },
+            billNumber: 'TEST',
             serviceCharge: 10,
             restaurant: {
                 name: "UDUPI KRISHNAM VEG",
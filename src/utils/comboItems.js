@@ -0,0 +1,111 @@
+// Combo items - "Dosa + Coffee", "Mini Meals"... sold as one bill line at a bundle price
+// A combo is a menu item with components: [{ id: 112, quantity: 1 }, { id: 168, quantity: 1, variant: 'Small' }]
+// The bill shows the combo; KOTs and the item sales report show the components
+
+const itemVariants = require('./itemVariants');
+
+const comboItems = {
+    isCombo(menuItem) {
+        return Boolean(menuItem && Array.isArray(menuItem.components) && menuItem.components.length > 0);
+    },
+
+    /**
+     * Check combo components from the menu editor before they are saved.
+     * Components must be ordinary menu items (not combos), each listed once.
+     */
+    normalize(components, menuItems, comboId = null) {
+        const seen = new Set();
+
+        return (components || []).map(component => {
+            const id = parseInt(component.id);
+            const variant = component.variant || null;
+            const quantity = parseInt(component.quantity);
+            const menuItem = menuItems.find(item => item.id === id);
+
+            if (!menuItem) {
+                throw new Error('Pick a menu item for every combo component');
+            }
+            if (id === comboId || this.isCombo(menuItem)) {
+                throw new Error(`"${menuItem.name}" is a combo and can't be part of another combo`);
+            }
+            if (variant && !itemVariants.findVariant(menuItem, variant)) {
+                throw new Error(`"${menuItem.name}" has no variant "${variant}"`);
+            }
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > 20) {
+                throw new Error(`Quantity of ${menuItem.name} must be between 1 and 20`);
+            }
+
+            const key = `${id}|${variant || ''}`;
+            if (seen.has(key)) {
+                throw new Error(`"${itemVariants.getLineName(menuItem, variant && { name: variant })}" is listed twice`);
+            }
+            seen.add(key);
+
+            return variant ? { id, variant, quantity } : { id, quantity };
+        });
+    },
+
+    // Combo component menu items, for one combo. Null if any component is no longer on the menu.
+    getComponents(comboItem, menuItems) {
+        if (!this.isCombo(comboItem) || !Array.isArray(menuItems)) {
+            return null;
+        }
+
+        const components = comboItem.components.map(component => {
+            const menuItem = menuItems.find(item => item.id === component.id);
+            if (!menuItem) {
+                return null;
+            }
+            const variant = itemVariants.findVariant(menuItem, component.variant);
+            return {
+                menuItem,
+                variant,
+                id: menuItem.id,
+                name: itemVariants.getLineName(menuItem, variant),
+                category: menuItem.category,
+                quantity: component.quantity
+            };
+        });
+
+        return components.includes(null) ? null : components;
+    },
+
+    /**
+     * KOT lines for a combo order line: one per component, with the line's quantity
+     * multiplied in. They keep the combo line's lineId so a KOT round can mark the
+     * combo as sent; modifiers and notes go on the first component.
+     */
+    expand(orderItem, components) {
+        return components.map((component, index) => ({
+            id: component.id,
+            lineId: orderItem.lineId,
+            name: component.name,
+            category: component.category,
+            variant: component.variant ? component.variant.name : null,
+            quantity: orderItem.quantity * component.quantity,
+            comboName: orderItem.name,
+            parcelType: orderItem.parcelType || null,
+            modifiers: index === 0 ? orderItem.modifiers || [] : [],
+            notes: index === 0 ? orderItem.notes || '' : ''
+        }));
+    },
+
+    // Per-combo component list stored on the bill record for the sales report
+    getBillComponents(comboItem, menuItems) {
+        const components = this.getComponents(comboItem, menuItems);
+        return components
+            ? components.map(({ id, name, category, quantity }) => ({ id, name, category, quantity }))
+            : undefined;
+    },
+
+    // Editor summary: "Masala Dosa + Filter Coffee"
+    describe(comboItem, menuItems) {
+        return (comboItem.components || []).map(component => {
+            const menuItem = menuItems.find(item => item.id === component.id);
+            const name = menuItem ? itemVariants.getLineName(menuItem, component.variant && { name: component.variant }) : `#${component.id}`;
+            return component.quantity > 1 ? `${component.quantity} × ${name}` : name;
+        }).join(' + ');
+    }
+};
+
+module.exports = comboItems;
@@ -0,0 +1,227 @@
+// Credit notes - void a whole printed bill or refund some of its lines
+// The original bill is never edited: each credit note is its own ledger record
+//   { type: 'void' | 'refund', creditNoteNumber, billNumber, billTimestamp, reason, note,
+//     requestedBy: { id, name, role }, approvedBy: { id, name, role },
+//     refundMethod, items: [{ lineIndex, name, quantity, ... }], subtotal, ..., taxBreakup, tax, total }
+// Amounts are positive and are taken off the day's sales by salesReports
+
+const discounts = require('./discounts');
+const paymentTender = require('./paymentTender');
+
+const CREDIT_TYPES = ['void', 'refund'];
+
+const REASONS = ['Wrong order', 'Customer complaint', 'Billing mistake', 'Payment failed', 'Other'];
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+// Equal/amount split shares hold fractional quantities
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+/**
+ * Share of a bill component credited once quantities[i] of each line are taken back.
+ * Lines carry the component by weight; with no weight at all every line carries it equally.
+ */
+const getFraction = (items, quantities, weights) => {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    const lineWeights = weightSum > 0 ? weights : weights.map(() => 1);
+    const total = lineWeights.reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+        return 0;
+    }
+    const credited = items.reduce((sum, item, index) =>
+        sum + (item.quantity > 0 ? (lineWeights[index] * quantities[index]) / item.quantity : 0), 0);
+    return Math.min(1, credited / total);
+};
+
+const creditNotes = {
+    CREDIT_TYPES,
+    REASONS,
+
+    isCreditNote(record) {
+        return CREDIT_TYPES.includes(record.type);
+    },
+
+    // Bill numbers can restart (daily or fiscal numbering), so the bill's timestamp is part of the key
+    getCredits(records, bill) {
+        return (records || []).filter(record => this.isCreditNote(record) &&
+            record.billNumber === bill.billNumber && record.billTimestamp === bill.timestamp);
+    },
+
+    // Quantity of each bill line already voided or refunded
+    getCreditedQuantities(bill, credits) {
+        const quantities = (bill.items || []).map(() => 0);
+        (credits || []).forEach(credit => {
+            credit.items.forEach(item => {
+                quantities[item.lineIndex] += item.quantity;
+            });
+        });
+        return quantities;
+    },
+
+    getRemainingQuantities(bill, credits) {
+        const credited = this.getCreditedQuantities(bill, credits);
+        return (bill.items || []).map((item, index) => Math.max(0, roundQuantity(item.quantity - credited[index])));
+    },
+
+    /**
+     * Build a credit note against a ledger bill. Throws with a message for staff.
+     * request: { type, lines: [{ lineIndex, quantity }] (refunds only), reason, note,
+     *            requestedBy: { id, name, role }, approvedBy: { id, name, role }, refundMethod }
+     *
+     * Every amount on the bill (item value, discounts, charges, each GST slab) is credited by
+     * the share of the lines taken back. Each note credits what the running share has reached
+     * less what earlier notes already credited, so refunding every line - over any number
+     * of notes - gives back exactly the bill total.
+     */
+    build(bill, request, credits = []) {
+        const items = bill.items || [];
+        const type = request.type;
+        const reason = String(request.reason || '');
+        const note = String(request.note || '').trim();
+
+        if (!CREDIT_TYPES.includes(type)) {
+            throw new Error(`Unknown credit note type: ${type}`);
+        }
+        if (!REASONS.includes(reason)) {
+            throw new Error(`Choose a reason for the ${type}`);
+        }
+        if (reason === 'Other' && !note) {
+            throw new Error(`Describe the reason for the ${type}`);
+        }
+        // The approver's PIN and permission are checked against the staff file by main.js
+        if (!request.requestedBy) {
+            throw new Error('Log in to void or refund a bill');
+        }
+        if (!request.approvedBy) {
+            throw new Error(`A manager must approve the ${type} with their PIN`);
+        }
+        if (credits.some(credit => credit.type === 'void')) {
+            throw new Error(`Bill ${bill.billNumber} is already voided`);
+        }
+
+        const before = this.getCreditedQuantities(bill, credits);
+        const remaining = this.getRemainingQuantities(bill, credits);
+        let lines;
+
+        if (type === 'void') {
+            if (credits.length > 0) {
+                throw new Error(`Bill ${bill.billNumber} already has a refund - refund the remaining lines instead`);
+            }
+            lines = items.map((item, lineIndex) => ({ lineIndex, quantity: item.quantity }));
+        } else {
+            if (bill.split && bill.split.mode !== 'items') {
+                throw new Error('A shared split bill can only be voided as a whole');
+            }
+            lines = (request.lines || [])
+                .map(line => ({ lineIndex: parseInt(line.lineIndex), quantity: parseFloat(line.quantity) || 0 }))
+                .filter(line => line.quantity > 0);
+
+            lines.forEach(line => {
+                const item = items[line.lineIndex];
+                if (!item) {
+                    throw new Error(`Bill ${bill.billNumber} has no line ${line.lineIndex + 1}`);
+                }
+                if (!Number.isInteger(line.quantity) || line.quantity > remaining[line.lineIndex]) {
+                    throw new Error(`Only ${remaining[line.lineIndex]} × ${item.name} can be refunded`);
+                }
+            });
+            if (lines.length === 0) {
+                throw new Error('Choose the items to refund');
+            }
+        }
+
+        let refundMethod = null;
+        if (bill.payment) {
+            refundMethod = request.refundMethod || bill.payment.tenders[0].method;
+            if (!paymentTender.TENDER_METHODS.includes(refundMethod)) {
+                throw new Error(`Unknown refund method: ${refundMethod}`);
+            }
+        }
+
+        const after = [...before];
+        lines.forEach(line => {
+            after[line.lineIndex] += line.quantity;
+        });
+
+        const values = items.map(item => {
+            const amount = roundMoney((item.price || 0) * (item.quantity || 0));
+            const discount = discounts.getAmount(item.discount, amount);
+            const parcel = (item.parcelCharge || 0) * (item.quantity || 0);
+            return { amount, discount, net: amount - discount, parcel };
+        });
+        const credit = (amount, weights) => {
+            const from = roundMoney((amount || 0) * getFraction(items, before, weights));
+            const to = roundMoney((amount || 0) * getFraction(items, after, weights));
+            return roundMoney(to - from);
+        };
+
+        const itemParcel = values.reduce((sum, value) => sum + value.parcel, 0);
+        // Per-line parcel charges, or the per-bill packing charge shared over the parcel lines
+        const parcelWeights = itemParcel > 0
+            ? values.map(value => value.parcel)
+            : items.map((item, index) => (item.parcelType === 'bill' ? Math.max(values[index].net, 0.01) : 0));
+        const billDiscount = bill.billDiscount !== undefined
+            ? bill.billDiscount
+            : roundMoney((bill.discount || 0) - (bill.itemDiscount || 0));
+
+        const subtotal = credit(bill.subtotal, values.map(value => value.amount));
+        const itemDiscount = credit(bill.itemDiscount, values.map(value => value.discount));
+        const billDiscountCredit = credit(billDiscount, values.map(value => value.net));
+        const parcelCharges = credit(bill.parcelCharges, parcelWeights);
+        const serviceFee = credit(bill.serviceFee, values.map(value => value.net));
+
+        // Each GST slab is carried by the lines taxed at its rate
+        const taxBreakup = (bill.taxBreakup || []).map(slab => {
+            const weights = items.map((item, index) =>
+                (item.taxRate === slab.rate ? values[index].net + values[index].parcel : 0));
+            const cgst = credit(slab.cgst, weights);
+            return {
+                rate: slab.rate,
+                taxableValue: credit(slab.taxableValue, weights),
+                cgst,
+                sgst: cgst,
+                tax: roundMoney(cgst * 2)
+            };
+        }).filter(slab => slab.taxableValue > 0 || slab.cgst > 0);
+
+        const cgst = roundMoney(taxBreakup.reduce((sum, slab) => sum + slab.cgst, 0));
+        const tax = roundMoney(cgst * 2);
+        const discount = roundMoney(itemDiscount + billDiscountCredit);
+        const beforeTax = subtotal - discount + parcelCharges + serviceFee;
+
+        return {
+            type,
+            billNumber: bill.billNumber,
+            billTimestamp: bill.timestamp,
+            location: bill.location || null,
+            split: bill.split || null,
+            timestamp: new Date().toISOString(),
+            reason,
+            note,
+            requestedBy: request.requestedBy,
+            approvedBy: request.approvedBy,
+            refundMethod,
+            items: lines.map(line => ({ ...items[line.lineIndex], lineIndex: line.lineIndex, quantity: line.quantity })),
+            subtotal,
+            itemDiscount,
+            billDiscount: billDiscountCredit,
+            discount,
+            parcelCharges,
+            serviceFee,
+            pricesIncludeTax: Boolean(bill.pricesIncludeTax),
+            taxBreakup,
+            cgst,
+            sgst: cgst,
+            tax,
+            total: roundMoney(bill.pricesIncludeTax ? beforeTax : beforeTax + tax)
+        };
+    },
+
+    // "Void (Wrong order)", "Refund (Other: cold food)"
+    describe(creditNote) {
+        const label = creditNote.type === 'void' ? 'Void' : 'Refund';
+        return `${label} (${creditNote.reason}${creditNote.note ? `: ${creditNote.note}` : ''})`;
+    }
+};
+
+module.exports = creditNotes;
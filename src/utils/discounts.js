@@ -0,0 +1,114 @@
+// Discounts - percentage or flat, on one order line or on the whole bill
+// A discount is { type: 'percent' | 'amount', value, reason, note, role }. Every discount needs a
+// reason, and each role can give up to its configured percentage of what it is applied to.
+// role is who gave it, so the limit still applies when the order changes afterwards.
+
+const REASONS = ['Staff', 'Regular customer', 'Complaint', 'Other'];
+
+const ROLES = ['captain', 'cashier', 'manager', 'owner'];
+
+// Largest discount each role may give, as a percentage of the line or bill
+const getDefaultLimits = () => ({ captain: 0, cashier: 10, manager: 25, owner: 100 });
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const discounts = {
+    REASONS,
+    ROLES,
+    getDefaultLimits,
+
+    // Money off a base amount; a flat discount never takes more than the base
+    getAmount(discount, base) {
+        if (!discount || !(base > 0)) {
+            return 0;
+        }
+        const value = parseFloat(discount.value) || 0;
+        const amount = discount.type === 'percent' ? (base * value) / 100 : value;
+        return roundMoney(Math.min(Math.max(0, amount), base));
+    },
+
+    // The discount as a percentage of its base, so flat discounts are held to the same limits
+    getPercentage(discount, base) {
+        if (discount.type === 'percent') {
+            return parseFloat(discount.value) || 0;
+        }
+        return base > 0 ? ((parseFloat(discount.value) || 0) / base) * 100 : 100;
+    },
+
+    /**
+     * Check a discount before it is applied to a base amount (line or bill value).
+     * Throws with a message for staff when it is incomplete or over the role's limit.
+     */
+    validate(discount, base, role, limits = getDefaultLimits()) {
+        const type = discount.type === 'amount' ? 'amount' : 'percent';
+        const value = parseFloat(discount.value);
+        const reason = String(discount.reason || '');
+        const note = String(discount.note || '').trim();
+
+        if (!(value > 0)) {
+            throw new Error('Enter a discount greater than zero');
+        }
+        if (type === 'percent' && value > 100) {
+            throw new Error('A discount can\'t be more than 100%');
+        }
+        if (type === 'amount' && value > base) {
+            throw new Error(`A discount can't be more than ₹${base.toFixed(2)}`);
+        }
+        if (!REASONS.includes(reason)) {
+            throw new Error('Choose a reason for the discount');
+        }
+        if (reason === 'Other' && !note) {
+            throw new Error('Describe the reason for the discount');
+        }
+
+        const limit = limits[role] !== undefined ? limits[role] : 0;
+        if (this.getPercentage({ type, value }, base) > limit + 0.001) {
+            throw new Error(`A ${role} can give up to ${limit}% off - ask a manager`);
+        }
+
+        return { type, value, reason, note, role };
+    },
+
+    /**
+     * A flat discount can go over its limit once items are removed from what it comes off.
+     * Returns the discount cut back to the limit of the role that gave it (or the current
+     * role for discounts saved before roles were kept), or null when that limit is 0.
+     */
+    capToLimit(discount, base, role, limits = getDefaultLimits()) {
+        const giver = discount && (discount.role || role);
+        if (!giver || discount.type !== 'amount') {
+            return discount;
+        }
+        const limit = limits[giver] !== undefined ? limits[giver] : 0;
+        if (this.getPercentage(discount, base) <= limit + 0.001) {
+            return discount;
+        }
+        const value = Math.floor(base * limit) / 100;
+        return value > 0 ? { ...discount, value } : null;
+    },
+
+    // Role limits from Settings, each 0-100
+    normalizeLimits(limits) {
+        const normalized = {};
+        ROLES.forEach(role => {
+            const limit = parseFloat(limits && limits[role]);
+            if (!Number.isFinite(limit) || limit < 0 || limit > 100) {
+                throw new Error(`The ${role} discount limit must be between 0 and 100%`);
+            }
+            normalized[role] = limit;
+        });
+        return normalized;
+    },
+
+    // "10% off - Regular customer", "₹20 off - Complaint: cold food"
+    describe(discount) {
+        const size = discount.type === 'percent' ? `${discount.value}%` : `₹${discount.value}`;
+        let reason = discount.reason;
+        if (discount.note) {
+            reason = discount.reason === 'Other' ? discount.note : `${discount.reason}: ${discount.note}`;
+        }
+        return `${size} off - ${reason}`;
+    }
+};
+
+module.exports = discounts;
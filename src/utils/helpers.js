@@ -1,4 +1,5 @@
 // Helper utilities for the POS system
+const billCalculator = require('./billCalculator');
 
 const helpers = {
     // Date and time formatting
@@ -30,17 +31,6 @@ const helpers = {
         return `₹${parseFloat(amount).toFixed(2)}`;
     },
 
-    // Generate bill number
-    generateBillNumber() {
-        const today = new Date();
-        const dateStr = today.getFullYear().toString().slice(-2) + 
-                       (today.getMonth() + 1).toString().padStart(2, '0') + 
-                       today.getDate().toString().padStart(2, '0');
-        const timeStr = today.getHours().toString().padStart(2, '0') + 
-                       today.getMinutes().toString().padStart(2, '0');
-        return `${dateStr}${timeStr}`;
-    },
-
     // Local storage helpers
     saveToStorage(key, data) {
         try {
@@ -82,8 +72,9 @@ const helpers = {
         }, 0);
     },
 
-    calculateTax(subtotal, taxRate = 0.05) {
-        return subtotal * taxRate;
+    // GST uses per-item slabs - see billCalculator
+    calculateTax(orderItems, taxSettings) {
+        return billCalculator.calculate(orderItems, { taxSettings }).tax;
     },
 
     calculateTotal(subtotal, tax) {
@@ -0,0 +1,54 @@
+// Item variants - Half/Full, Small/Regular/Large... on a single menu item
+// A menu item with variants: { ..., variants: [{ name: 'Half', price: 90 }, { name: 'Full', price: 160, kotGroup: 'tandoor' }] }
+// kotGroup is optional and overrides the item's station for that variant
+
+const itemVariants = {
+    hasVariants(menuItem) {
+        return Boolean(menuItem && Array.isArray(menuItem.variants) && menuItem.variants.length > 0);
+    },
+
+    // Check variants from the menu editor before they are saved
+    normalize(variants) {
+        const names = new Set();
+
+        return (variants || []).map(variant => {
+            const name = String(variant.name || '').trim();
+            const price = parseFloat(variant.price);
+
+            if (!name || name.length > 20) {
+                throw new Error('Variant names must be 1-20 characters');
+            }
+            if (names.has(name.toLowerCase())) {
+                throw new Error(`Two variants are named "${name}"`);
+            }
+            if (!price || price <= 0 || price > 9999) {
+                throw new Error(`Price for ${name} must be between ₹1 and ₹9999`);
+            }
+
+            names.add(name.toLowerCase());
+            return variant.kotGroup ? { name, price, kotGroup: variant.kotGroup } : { name, price };
+        });
+    },
+
+    findVariant(menuItem, variantName) {
+        if (!this.hasVariants(menuItem) || !variantName) {
+            return null;
+        }
+        return menuItem.variants.find(variant => variant.name === variantName) || null;
+    },
+
+    // Order lines carry the variant in their name, so KOTs, bills and reports show it as-is
+    getLineName(menuItem, variant) {
+        return variant ? `${menuItem.name} (${variant.name})` : menuItem.name;
+    },
+
+    // Tile and search price: "₹90 / ₹160". priceOf(menuItem, variant) gives the price to show.
+    getPriceLabel(menuItem, priceOf = (item, variant) => (variant ? variant.price : item.price)) {
+        if (!this.hasVariants(menuItem)) {
+            return `₹${priceOf(menuItem, null)}`;
+        }
+        return menuItem.variants.map(variant => `₹${priceOf(menuItem, variant)}`).join(' / ');
+    }
+};
+
+module.exports = itemVariants;
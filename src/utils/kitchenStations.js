@@ -0,0 +1,76 @@
+// Kitchen stations - which station cooks each menu item and which printer its KOT goes to
+// Saved with the menu settings; a menu item's kotGroup is the id of its station
+
+// The two stations the app always had, both on the default printer
+const getDefaultStations = () => ([
+    { id: 'kitchen', name: 'Kitchen', printer: '' },
+    { id: 'drinks', name: 'Drinks', printer: '' }
+]);
+
+const kitchenStations = {
+    getDefaultStations,
+
+    // "Juice Bar" -> "juice-bar"
+    toStationId(name) {
+        return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    },
+
+    // Printed at the top of the KOT, e.g. KITCHEN ORDER, TANDOOR ORDER
+    getKotTitle(station) {
+        return `${station.name.toUpperCase()} ORDER`;
+    },
+
+    /**
+     * Check stations before they are saved. Ids are stored on menu items (kotGroup),
+     * so an existing station keeps its id when renamed; new ones get one from their name.
+     */
+    normalize(stations) {
+        if (!Array.isArray(stations) || stations.length === 0) {
+            throw new Error('Add at least one kitchen station');
+        }
+        if (stations.length > 20) {
+            throw new Error('No more than 20 kitchen stations');
+        }
+
+        const ids = new Set();
+        const names = new Set();
+        const existingIds = new Set(stations.filter(station => station.id).map(station => station.id));
+
+        return stations.map(station => {
+            const name = String(station.name || '').trim();
+            if (!name || name.length > 20) {
+                throw new Error('Station names must be 1-20 characters');
+            }
+            if (names.has(name.toLowerCase())) {
+                throw new Error(`Two stations are named "${name}"`);
+            }
+
+            let id = station.id;
+            if (!id) {
+                const baseId = this.toStationId(name);
+                if (!baseId) {
+                    throw new Error(`"${name}" needs at least one letter or digit`);
+                }
+                // A new station never takes an id that is already on menu items
+                id = baseId;
+                for (let suffix = 2; ids.has(id) || existingIds.has(id); suffix++) {
+                    id = `${baseId}-${suffix}`;
+                }
+            } else if (ids.has(id)) {
+                throw new Error(`Duplicate station id: ${id}`);
+            }
+
+            ids.add(id);
+            names.add(name.toLowerCase());
+
+            return { id, name, printer: String(station.printer || '').trim() };
+        });
+    },
+
+    // Items pointing at a station that no longer exists go to the first station
+    getStation(stations, id) {
+        return stations.find(station => station.id === id) || stations[0];
+    }
+};
+
+module.exports = kitchenStations;
@@ -0,0 +1,108 @@
+// Order modifiers - "less spicy", "no onion/garlic", "extra cheese (+₹20)" and cooking notes
+// Groups are defined in menu.json (modifierGroups) and apply to categories or to single items:
+//   { id, name, multiple, categories: ['Chinese'], options: [{ name, price }] }
+// and a menu item can add groups of its own with modifierGroups: ['extras']
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const orderModifiers = {
+    // Drop malformed groups/options from menu.json rather than failing the whole menu
+    normalizeGroups(groups) {
+        if (!Array.isArray(groups)) {
+            return [];
+        }
+
+        return groups
+            .filter(group => group && group.id && group.name && Array.isArray(group.options))
+            .map(group => ({
+                id: String(group.id),
+                name: String(group.name),
+                multiple: group.multiple !== false,
+                categories: Array.isArray(group.categories) ? group.categories : [],
+                options: group.options
+                    .filter(option => option && option.name)
+                    .map(option => ({
+                        name: String(option.name),
+                        price: Math.max(0, parseFloat(option.price) || 0)
+                    }))
+            }))
+            .filter(group => group.options.length > 0);
+    },
+
+    // Groups offered for a menu item: its category's groups plus any listed on the item
+    getGroupsForItem(menuItem, groups) {
+        if (!menuItem) {
+            return [];
+        }
+        const itemGroupIds = menuItem.modifierGroups || [];
+        return groups.filter(group =>
+            group.categories.includes(menuItem.category) || itemGroupIds.includes(group.id));
+    },
+
+    getModifierTotal(modifiers) {
+        return roundMoney((modifiers || []).reduce((sum, modifier) => sum + (modifier.price || 0), 0));
+    },
+
+    /**
+     * Set the chosen modifiers and notes on an order line. The line price becomes
+     * basePrice + priced modifiers, so every bill, total and report picks them up.
+     */
+    applyToLine(line, modifiers, notes) {
+        const basePrice = line.basePrice !== undefined ? line.basePrice : line.price;
+        return {
+            ...line,
+            basePrice,
+            modifiers: modifiers.map(modifier => ({ group: modifier.group, name: modifier.name, price: modifier.price || 0 })),
+            notes: String(notes || '').trim(),
+            price: roundMoney(basePrice + this.getModifierTotal(modifiers))
+        };
+    },
+
+    // Plain lines (nothing chosen) are the ones a repeat tap on the menu adds to
+    isPlain(line) {
+        return (!line.modifiers || line.modifiers.length === 0) && !line.notes;
+    },
+
+    // Two lines of the same item with the same choices (promotion and discount) can be combined, e.g. when merging tables
+    isSameChoice(a, b) {
+        const key = line => JSON.stringify({
+            variant: line.variant || null,
+            modifiers: (line.modifiers || []).map(modifier => modifier.name).sort(),
+            notes: line.notes || '',
+            promotion: line.promotion ? line.promotion.id : null,
+            discount: line.discount || null
+        });
+        return a.id === b.id && a.price === b.price && key(a) === key(b);
+    },
+
+    // Lines printed under the item on a KOT - the combo it came from, every modifier, then the note
+    getKotLines(item) {
+        const lines = (item.modifiers || []).map(modifier => `+ ${modifier.name}`);
+        if (item.comboName) {
+            lines.unshift(`[${item.comboName}]`);
+        }
+        if (item.notes) {
+            lines.push(`* ${item.notes}`);
+        }
+        return lines;
+    },
+
+    // Priced modifiers shown under the item on the customer bill (their price is in the rate)
+    getBillLines(item) {
+        return (item.modifiers || [])
+            .filter(modifier => modifier.price > 0)
+            .map(modifier => ({ name: modifier.name, price: modifier.price }));
+    },
+
+    // One-line summary for the order panel
+    describe(item) {
+        const parts = (item.modifiers || []).map(modifier =>
+            modifier.price > 0 ? `${modifier.name} (+₹${modifier.price})` : modifier.name);
+        if (item.notes) {
+            parts.push(`"${item.notes}"`);
+        }
+        return parts.join(', ');
+    }
+};
+
+module.exports = orderModifiers;
@@ -0,0 +1,76 @@
+// Payment tender - how a printed bill was paid (cash, UPI, card or a mix)
+// Used by the settle dialog and again by the main process before the payment is stored
+
+const TENDER_METHODS = ['cash', 'upi', 'card'];
+
+const TENDER_LABELS = {
+    cash: 'Cash',
+    upi: 'UPI',
+    card: 'Card'
+};
+
+const toPaise = (amount) => Math.round((parseFloat(amount) || 0) * 100);
+
+const paymentTender = {
+    TENDER_METHODS,
+    TENDER_LABELS,
+
+    /**
+     * Validate tenders against the bill total and work out the change due.
+     * tenders: [{ method, amount }] - zero amounts are dropped.
+     * Change can only be given back from cash, so UPI and card can never be overpaid.
+     */
+    buildPayment(total, tenders) {
+        const totalPaise = toPaise(total);
+        const amounts = new Map();
+
+        (tenders || []).forEach(tender => {
+            if (!TENDER_METHODS.includes(tender.method)) {
+                throw new Error(`Unknown tender type: ${tender.method}`);
+            }
+            const paise = toPaise(tender.amount);
+            if (paise < 0) {
+                throw new Error('Tender amounts cannot be negative');
+            }
+            amounts.set(tender.method, (amounts.get(tender.method) || 0) + paise);
+        });
+
+        const used = TENDER_METHODS
+            .filter(method => amounts.get(method) > 0)
+            .map(method => ({ method, paise: amounts.get(method) }));
+
+        if (used.length === 0) {
+            throw new Error('Enter the amount received');
+        }
+
+        const tenderedPaise = used.reduce((sum, tender) => sum + tender.paise, 0);
+        if (tenderedPaise < totalPaise) {
+            throw new Error(`₹${((totalPaise - tenderedPaise) / 100).toFixed(2)} still due`);
+        }
+
+        const changePaise = tenderedPaise - totalPaise;
+        const cashPaise = amounts.get('cash') || 0;
+        if (changePaise > cashPaise) {
+            throw new Error('UPI and card amounts cannot be more than the bill - change is only given from cash');
+        }
+
+        return {
+            tenders: used.map(tender => ({ method: tender.method, amount: tender.paise / 100 })),
+            tendered: tenderedPaise / 100,
+            change: changePaise / 100,
+            settledAt: new Date().toISOString()
+        };
+    },
+
+    // Short text for screens and bill history, e.g. "Cash ₹200.00 + UPI ₹150.00"
+    describe(payment) {
+        if (!payment) {
+            return 'Unsettled';
+        }
+        return payment.tenders
+            .map(tender => `${TENDER_LABELS[tender.method]} ₹${tender.amount.toFixed(2)}`)
+            .join(' + ');
+    }
+};
+
+module.exports = paymentTender;
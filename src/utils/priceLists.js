@@ -0,0 +1,145 @@
+// Price lists - dine-in, counter, takeaway and delivery prices from the one menu
+// Saved with the menu settings. Each service mode has its own list:
+//   { id: 'counter', name: 'Counter', rules: [{ category: '*', type: 'amount', value: -5 }], overrides: { '112': 50 } }
+// An item's override wins; otherwise the first rule for its category, then the first '*' rule
+
+const ALL_CATEGORIES = '*';
+
+const SERVICE_MODES = [
+    { id: 'dine-in', label: 'Dine-in' },
+    { id: 'counter', label: 'Counter' },
+    { id: 'takeaway', label: 'Takeaway' },
+    { id: 'delivery', label: 'Delivery' }
+];
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+// Counter billing keeps the ₹5 off it always had
+const getDefaultPriceLists = () => SERVICE_MODES.map(mode => ({
+    id: mode.id,
+    name: mode.label,
+    rules: mode.id === 'counter' ? [{ category: ALL_CATEGORIES, type: 'amount', value: -5 }] : [],
+    overrides: {}
+}));
+
+const priceLists = {
+    ALL_CATEGORIES,
+    SERVICE_MODES,
+    getDefaultPriceLists,
+
+    getServiceModeLabel(modeId) {
+        const mode = SERVICE_MODES.find(serviceMode => serviceMode.id === modeId);
+        return mode ? mode.label : SERVICE_MODES[0].label;
+    },
+
+    // "-5", "-₹5", "+10%" -> { type, value }; null if it can't be read
+    parseRule(text) {
+        const match = String(text || '').replace(/\s+/g, '').match(/^([+-])₹?(\d+(?:\.\d+)?)(%?)$/);
+        if (!match) {
+            return null;
+        }
+        const value = parseFloat(match[2]) * (match[1] === '-' ? -1 : 1);
+        return { type: match[3] ? 'percent' : 'amount', value };
+    },
+
+    // { type: 'amount', value: -5 } -> "-₹5", { type: 'percent', value: 10 } -> "+10%"
+    formatRule(rule) {
+        const sign = rule.value < 0 ? '-' : '+';
+        const size = Math.abs(rule.value);
+        return rule.type === 'percent' ? `${sign}${size}%` : `${sign}₹${size}`;
+    },
+
+    // Overrides are keyed by item id, or "id|Variant" for one variant of an item
+    getOverrideKey(itemId, variantName = null) {
+        return variantName ? `${itemId}|${variantName}` : String(itemId);
+    },
+
+    /**
+     * Check price lists before they are saved. Every service mode keeps exactly one
+     * list (its id is the mode), so only names, rules and overrides can change.
+     */
+    normalize(lists) {
+        const names = new Set();
+
+        return SERVICE_MODES.map(mode => {
+            const list = (lists || []).find(candidate => candidate.id === mode.id) || { name: mode.label };
+            const name = String(list.name || '').trim();
+
+            if (!name || name.length > 20) {
+                throw new Error('Price list names must be 1-20 characters');
+            }
+            if (names.has(name.toLowerCase())) {
+                throw new Error(`Two price lists are named "${name}"`);
+            }
+            names.add(name.toLowerCase());
+
+            const categories = new Set();
+            const rules = (list.rules || []).map(rule => {
+                const category = String(rule.category || ALL_CATEGORIES).trim() || ALL_CATEGORIES;
+                const value = parseFloat(rule.value);
+
+                if (!['amount', 'percent'].includes(rule.type) || !Number.isFinite(value)) {
+                    throw new Error(`${name}: write rules like -5, +₹10 or +10%`);
+                }
+                if (rule.type === 'percent' && (value <= -100 || value > 100)) {
+                    throw new Error(`${name}: percentage rules must be between -99% and +100%`);
+                }
+                if (rule.type === 'amount' && Math.abs(value) > 9999) {
+                    throw new Error(`${name}: amount rules can't exceed ₹9999`);
+                }
+                if (categories.has(category)) {
+                    throw new Error(`${name}: ${category === ALL_CATEGORIES ? 'All categories' : category} has two rules`);
+                }
+                categories.add(category);
+
+                return { category, type: rule.type, value };
+            });
+
+            const overrides = {};
+            Object.entries(list.overrides || {}).forEach(([key, price]) => {
+                const amount = parseFloat(price);
+                if (!Number.isFinite(amount) || amount < 0 || amount > 9999) {
+                    throw new Error(`${name}: override prices must be between ₹0 and ₹9999`);
+                }
+                overrides[key] = amount;
+            });
+
+            return { id: mode.id, name, rules, overrides };
+        });
+    },
+
+    getListForMode(lists, modeId) {
+        return (lists || []).find(list => list.id === modeId) || null;
+    },
+
+    /**
+     * Price of a menu item (or one of its variants) on a price list.
+     * Without a list, or with nothing that applies, the menu price is used.
+     */
+    getPrice(list, menuItem, variant = null) {
+        const menuPrice = variant ? variant.price : menuItem.price;
+        if (!list) {
+            return menuPrice;
+        }
+
+        const overrides = list.overrides || {};
+        const overrideKey = this.getOverrideKey(menuItem.id, variant && variant.name);
+        if (overrides[overrideKey] !== undefined) {
+            return overrides[overrideKey];
+        }
+
+        const rules = list.rules || [];
+        const rule = rules.find(candidate => candidate.category === menuItem.category) ||
+            rules.find(candidate => candidate.category === ALL_CATEGORIES);
+        if (!rule) {
+            return menuPrice;
+        }
+
+        const adjusted = rule.type === 'percent'
+            ? menuPrice * (1 + rule.value / 100)
+            : menuPrice + rule.value;
+        return Math.max(0, roundMoney(adjusted));
+    }
+};
+
+module.exports = priceLists;
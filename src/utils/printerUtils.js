@@ -4,9 +4,9 @@ const helpers = require('./helpers');
 const printerUtils = {
     // Generate KOT (Kitchen Order Ticket) content
     generateKOTContent(orderData) {
-        const { tableNumber, locationNumber, locationType, items, timestamp } = orderData;
+        const { tableNumber, locationNumber, locationType, locationName, items, timestamp } = orderData;
         const date = new Date(timestamp);
-        const locationText = locationType === 'table' ? `Table: ${locationNumber || tableNumber}` : `Counter: ${locationNumber}`;
+        const locationText = locationType === 'table' ? (locationName || `Table: ${locationNumber || tableNumber}`) : `Counter: ${locationNumber}`;
         
         let kotContent = '';
         kotContent += '================================\n';
@@ -30,10 +30,10 @@ const printerUtils = {
 
     // Generate customer bill content
     generateBillContent(billData) {
-        const { tableNumber, locationNumber, locationType, items, subtotal, tax, total, timestamp } = billData;
+        const { tableNumber, locationNumber, locationType, locationName, items, subtotal, tax, total, timestamp } = billData;
         const date = new Date(timestamp);
-        const billNumber = helpers.generateBillNumber();
-        const locationText = locationType === 'table' ? `Table: ${locationNumber || tableNumber}` : `Counter: ${locationNumber}`;
+        const billNumber = billData.billNumber || 'PREVIEW';
+        const locationText = locationType === 'table' ? (locationName || `Table: ${locationNumber || tableNumber}`) : `Counter: ${locationNumber}`;
         
         let billContent = '';
         
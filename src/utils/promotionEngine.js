@@ -0,0 +1,143 @@
+// Promotion engine - happy hours, weekend pricing and other time-based offers
+// Rules are stored with the menu (menu.json promotions):
+//   { id, name: 'Evening Snacks', days: [1, 2, 3, 4, 5], start: '15:00', end: '18:00',
+//     categories: ['Starters'], itemIds: [], type: 'percent', value: 20, enabled: true }
+// days use Date.getDay() (0 = Sunday); no start/end means all day; an end before the
+// start runs past midnight. type is 'percent' or 'amount' off, or 'price' for a special price.
+// Every check takes the time to test against, so a simulated clock can be passed in.
+
+const PROMOTION_TYPES = ['percent', 'amount', 'price'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+// "15:00" -> 900 (minutes after midnight), null if not a time
+const toMinutes = (time) => {
+    const match = String(time || '').match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+const promotionEngine = {
+    PROMOTION_TYPES,
+    DAY_NAMES,
+
+    /**
+     * Check promotions before they are saved with the menu.
+     * Throws with a message for staff on the first rule that can't be used.
+     */
+    normalize(promotions) {
+        const ids = new Set();
+
+        return (promotions || []).map((promotion, index) => {
+            const name = String(promotion.name || '').trim();
+            const days = [...new Set((promotion.days || []).map(day => parseInt(day)))]
+                .filter(day => day >= 0 && day <= 6)
+                .sort();
+            const start = promotion.start || '';
+            const end = promotion.end || '';
+            const value = parseFloat(promotion.value);
+            const categories = (promotion.categories || []).map(String).filter(Boolean);
+            const itemIds = (promotion.itemIds || []).map(id => parseInt(id)).filter(Number.isInteger);
+
+            if (!name || name.length > 30) {
+                throw new Error('Promotion names must be 1-30 characters');
+            }
+            if (days.length === 0) {
+                throw new Error(`${name}: pick at least one day`);
+            }
+            if ((start || end) && (toMinutes(start) === null || toMinutes(end) === null || start === end)) {
+                throw new Error(`${name}: enter both a start and an end time, or neither for all day`);
+            }
+            if (categories.length === 0 && itemIds.length === 0) {
+                throw new Error(`${name}: pick a category or an item`);
+            }
+            if (!PROMOTION_TYPES.includes(promotion.type)) {
+                throw new Error(`${name}: unknown offer type`);
+            }
+            if (!Number.isFinite(value) || value < 0 || (promotion.type !== 'price' && value === 0)) {
+                throw new Error(`${name}: enter the offer amount`);
+            }
+            if (promotion.type === 'percent' && value > 100) {
+                throw new Error(`${name}: can't take more than 100% off`);
+            }
+
+            let id = promotion.id || `promo-${index + 1}`;
+            while (ids.has(id)) {
+                id = `${id}-2`;
+            }
+            ids.add(id);
+
+            return { id, name, days, start, end, categories, itemIds, type: promotion.type, value, enabled: promotion.enabled !== false };
+        });
+    },
+
+    // Is the promotion running at this moment?
+    isActive(promotion, now = new Date()) {
+        if (!promotion || promotion.enabled === false) {
+            return false;
+        }
+
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const start = toMinutes(promotion.start);
+        const end = toMinutes(promotion.end);
+
+        if (start === null || end === null) {
+            return promotion.days.includes(now.getDay());
+        }
+        if (start < end) {
+            return promotion.days.includes(now.getDay()) && minutes >= start && minutes < end;
+        }
+        // Overnight window, e.g. Fri 22:00-02:00 - the early hours belong to the day before
+        if (minutes >= start) {
+            return promotion.days.includes(now.getDay());
+        }
+        return minutes < end && promotion.days.includes((now.getDay() + 6) % 7);
+    },
+
+    appliesTo(promotion, menuItem) {
+        return promotion.itemIds.includes(menuItem.id) || promotion.categories.includes(menuItem.category);
+    },
+
+    // First running promotion for the item - a rule for the item itself beats a category rule
+    findPromotion(promotions, menuItem, now = new Date()) {
+        const running = (promotions || []).filter(promotion =>
+            this.isActive(promotion, now) && this.appliesTo(promotion, menuItem));
+        return running.find(promotion => promotion.itemIds.includes(menuItem.id)) || running[0] || null;
+    },
+
+    applyToPrice(promotion, price) {
+        if (promotion.type === 'price') {
+            return roundMoney(Math.min(price, promotion.value));
+        }
+        const off = promotion.type === 'percent' ? (price * promotion.value) / 100 : promotion.value;
+        return Math.max(0, roundMoney(price - off));
+    },
+
+    /**
+     * Price for an item added to the order now: { price, promotion } where promotion is
+     * { id, name, saving } (saving per unit) or null when no offer is running.
+     */
+    getPrice(promotions, menuItem, price, now = new Date()) {
+        const promotion = this.findPromotion(promotions, menuItem, now);
+        if (!promotion) {
+            return { price, promotion: null };
+        }
+
+        const promotionPrice = this.applyToPrice(promotion, price);
+        if (promotionPrice >= price) {
+            return { price, promotion: null };
+        }
+        return {
+            price: promotionPrice,
+            promotion: { id: promotion.id, name: promotion.name, saving: roundMoney(price - promotionPrice) }
+        };
+    },
+
+    // "Mon-Fri 15:00-18:00" style summary for the settings list
+    describeSchedule(promotion) {
+        const days = promotion.days.length === 7 ? 'Every day' : promotion.days.map(day => DAY_NAMES[day]).join(', ');
+        return promotion.start ? `${days} ${promotion.start}-${promotion.end}` : `${days}, all day`;
+    }
+};
+
+module.exports = promotionEngine;
@@ -0,0 +1,236 @@
+// Sales report calculations (X and Z reports) built from the bill ledger
+// Pure functions only - used by the main process, so no DOM or Electron access here
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+const salesReports = {
+    // Ledger records written after the last Z-report make up the open business day
+    getOpenDayRecords(orders, lastZReport) {
+        if (!lastZReport || !lastZReport.closedAt) {
+            return orders;
+        }
+        const closedAt = new Date(lastZReport.closedAt).getTime();
+        return orders.filter(order => new Date(order.recordedAt || order.timestamp).getTime() > closedAt);
+    },
+
+    // Bills settled since the last Z-report, whichever day they were billed on - a bill left
+    // unsettled at closing is counted as unsettled in that Z and its payment in the day it is paid
+    getOpenDaySettlements(orders, lastZReport) {
+        const closedAt = lastZReport && lastZReport.closedAt ? new Date(lastZReport.closedAt).getTime() : null;
+        return orders.filter(order => (!order.type || order.type === 'bill') && order.payment &&
+            (closedAt === null || new Date(order.payment.settledAt || order.recordedAt || order.timestamp).getTime() > closedAt));
+    },
+
+    getLocationLabel(location) {
+        if (!location) {
+            return 'Unknown';
+        }
+        if (location.type === 'table') {
+            return location.name || `Table ${location.number}`;
+        }
+        return `Counter ${location.number}`;
+    },
+
+    // Build report totals from ledger records
+    // options: { reportType: 'X' | 'Z', zNumber, openedAt, generatedAt, settlements }
+    // settlements: the bills whose payments belong to this report (see getOpenDaySettlements),
+    // by default the settled bills among the records
+    buildReport(records, options = {}) {
+        const bills = records.filter(record => !record.type || record.type === 'bill');
+        const settlements = options.settlements || bills.filter(bill => bill.payment);
+        // Credit notes (see creditNotes) - voided bills and refunded lines
+        const voids = records.filter(record => record.type === 'void');
+        const refunds = records.filter(record => record.type === 'refund');
+        const kotCancels = records.filter(record => record.type === 'kot-cancel');
+
+        const categories = new Map();
+        const items = new Map();
+        const comboComponents = new Map();
+        const promotions = new Map();
+        const locations = new Map();
+        const taxSlabs = new Map();
+
+        const payments = { cash: 0, upi: 0, card: 0, change: 0, unsettledCount: 0, unsettledAmount: 0 };
+        const refunded = { cash: 0, upi: 0, card: 0 };
+
+        const totals = {
+            subtotal: 0,
+            discount: 0,
+            discountedBills: 0,
+            parcelCharges: 0,
+            serviceFee: 0,
+            tax: 0,
+            gross: 0
+        };
+
+        // Item, tax slab and location rows - a credit note (sign -1) takes its lines back out
+        const addRecord = (record, sign) => {
+            (record.items || []).forEach(item => {
+                const category = item.category || 'Uncategorised';
+                const quantity = sign * (item.quantity || 0);
+                const amount = (item.price || 0) * quantity;
+
+                const categoryRow = categories.get(category) || { name: category, quantity: 0, amount: 0 };
+                categoryRow.quantity += quantity;
+                categoryRow.amount += amount;
+                categories.set(category, categoryRow);
+
+                const itemRow = items.get(item.name) || { name: item.name, category, quantity: 0, amount: 0 };
+                itemRow.quantity += quantity;
+                itemRow.amount += amount;
+                items.set(item.name, itemRow);
+
+                if (item.promotion) {
+                    const promotionRow = promotions.get(item.promotion.name) || { name: item.promotion.name, quantity: 0, amount: 0 };
+                    promotionRow.quantity += quantity;
+                    promotionRow.amount += (item.promotion.saving || 0) * quantity;
+                    promotions.set(item.promotion.name, promotionRow);
+                }
+
+                // Combos sell at a bundle price, so their components are counted but carry no amount
+                (item.components || []).forEach(component => {
+                    const componentRow = comboComponents.get(component.name) ||
+                        { name: component.name, category: component.category || 'Uncategorised', quantity: 0 };
+                    componentRow.quantity += (component.quantity || 0) * quantity;
+                    comboComponents.set(component.name, componentRow);
+                });
+            });
+
+            (record.taxBreakup || []).forEach(slab => {
+                const slabRow = taxSlabs.get(slab.rate) || { rate: slab.rate, taxableValue: 0, cgst: 0, sgst: 0 };
+                slabRow.taxableValue += sign * slab.taxableValue;
+                slabRow.cgst += sign * slab.cgst;
+                slabRow.sgst += sign * slab.sgst;
+                taxSlabs.set(slab.rate, slabRow);
+            });
+
+            const label = this.getLocationLabel(record.location);
+            const locationRow = locations.get(label) || { label, billCount: 0, amount: 0 };
+            locationRow.billCount += sign > 0 ? 1 : 0;
+            locationRow.amount += sign * Math.abs(record.total || 0);
+            locations.set(label, locationRow);
+        };
+
+        bills.forEach(bill => {
+            totals.subtotal += bill.subtotal || 0;
+            totals.discount += bill.discount || 0;
+            totals.discountedBills += bill.discount > 0 ? 1 : 0;
+            totals.parcelCharges += bill.parcelCharges || 0;
+            totals.serviceFee += bill.serviceFee || 0;
+            totals.tax += bill.tax || 0;
+            totals.gross += bill.total || 0;
+
+            addRecord(bill, 1);
+
+            if (!bill.payment) {
+                payments.unsettledCount += 1;
+                payments.unsettledAmount += bill.total || 0;
+            }
+        });
+
+        const billNumbers = new Set(bills.map(bill => bill.billNumber));
+        const earlierSettled = { count: 0, amount: 0 };
+        settlements.forEach(bill => {
+            bill.payment.tenders.forEach(tender => {
+                payments[tender.method] += tender.amount;
+            });
+            payments.change += bill.payment.change || 0;
+            if (!billNumbers.has(bill.billNumber)) {
+                earlierSettled.count += 1;
+                earlierSettled.amount += bill.total || 0;
+            }
+        });
+
+        [...voids, ...refunds].forEach(creditNote => {
+            addRecord(creditNote, -1);
+            if (creditNote.refundMethod) {
+                refunded[creditNote.refundMethod] += Math.abs(creditNote.total || 0);
+            }
+        });
+
+        const voidAmount = voids.reduce((sum, record) => sum + Math.abs(record.total || 0), 0);
+        const refundAmount = refunds.reduce((sum, record) => sum + Math.abs(record.total || 0), 0);
+        // Sent to the kitchen then taken off the order - never billed, so not part of sales
+        const cancelled = kotCancels.reduce((sum, record) => ({
+            quantity: sum.quantity + (record.item.quantity || 0),
+            amount: sum.amount + (record.item.price || 0) * (record.item.quantity || 0)
+        }), { quantity: 0, amount: 0 });
+        const sortByAmount = (a, b) => b.amount - a.amount;
+        // Equal/amount split bills record fractional quantities that add back up to whole items
+        const roundRow = row => ({
+            ...row,
+            quantity: row.quantity !== undefined ? Math.round(row.quantity * 1000) / 1000 : row.quantity,
+            amount: roundMoney(row.amount)
+        });
+
+        return {
+            reportType: options.reportType || 'X',
+            zNumber: options.zNumber || null,
+            openedAt: options.openedAt || (bills[0] && bills[0].timestamp) || null,
+            generatedAt: options.generatedAt || new Date().toISOString(),
+            billCount: bills.length,
+            firstBill: bills.length > 0 ? bills[0].billNumber : null,
+            lastBill: bills.length > 0 ? bills[bills.length - 1].billNumber : null,
+            subtotal: roundMoney(totals.subtotal),
+            discounts: {
+                count: totals.discountedBills,
+                amount: roundMoney(totals.discount)
+            },
+            parcelCharges: roundMoney(totals.parcelCharges),
+            serviceFee: roundMoney(totals.serviceFee),
+            tax: roundMoney(totals.tax),
+            // Net of credit notes - the GST actually owed for the day
+            taxBreakup: Array.from(taxSlabs.values())
+                .sort((a, b) => a.rate - b.rate)
+                .map(slab => ({
+                    rate: slab.rate,
+                    taxableValue: roundMoney(slab.taxableValue),
+                    cgst: roundMoney(slab.cgst),
+                    sgst: roundMoney(slab.sgst)
+                })),
+            gross: roundMoney(totals.gross),
+            voids: {
+                count: voids.length,
+                amount: roundMoney(voidAmount)
+            },
+            refunds: {
+                count: refunds.length,
+                amount: roundMoney(refundAmount)
+            },
+            net: roundMoney(totals.gross - voidAmount - refundAmount),
+            kotCancellations: {
+                count: kotCancels.length,
+                quantity: cancelled.quantity,
+                amount: roundMoney(cancelled.amount)
+            },
+            // Tendered per method; the drawer keeps cash less the change and cash refunds handed back
+            payments: {
+                cash: roundMoney(payments.cash),
+                upi: roundMoney(payments.upi),
+                card: roundMoney(payments.card),
+                change: roundMoney(payments.change),
+                refunded: {
+                    cash: roundMoney(refunded.cash),
+                    upi: roundMoney(refunded.upi),
+                    card: roundMoney(refunded.card)
+                },
+                cashInDrawer: roundMoney(payments.cash - payments.change - refunded.cash),
+                unsettledCount: payments.unsettledCount,
+                unsettledAmount: roundMoney(payments.unsettledAmount),
+                // Billed on an earlier day and paid today - in the tenders above, not in today's sales
+                earlierSettledCount: earlierSettled.count,
+                earlierSettledAmount: roundMoney(earlierSettled.amount)
+            },
+            categories: Array.from(categories.values()).sort(sortByAmount).map(roundRow),
+            items: Array.from(items.values()).sort(sortByAmount).map(roundRow),
+            comboComponents: Array.from(comboComponents.values())
+                .sort((a, b) => b.quantity - a.quantity)
+                .map(row => ({ ...row, quantity: Math.round(row.quantity * 1000) / 1000 })),
+            // Given away by promotions - already out of the item amounts, so not taken off again
+            promotions: Array.from(promotions.values()).sort(sortByAmount).map(roundRow),
+            locations: Array.from(locations.values()).sort(sortByAmount).map(roundRow)
+        };
+    }
+};
+
+module.exports = salesReports;
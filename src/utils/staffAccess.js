@@ -0,0 +1,129 @@
+// Staff access - who is logged in at the till and what each role may do
+// Saved by the main process in storage/staff.json:
+//   { staff: [{ id, name, role, pinSalt, pinHash }], permissions: { manager: { menu: true, ... }, ... } }
+// PINs are only ever stored hashed; the renderer and the ledger see { id, name, role }
+
+const ROLES = [
+    { id: 'owner', label: 'Owner' },
+    { id: 'manager', label: 'Manager' },
+    { id: 'cashier', label: 'Cashier' },
+    { id: 'captain', label: 'Captain' }
+];
+
+const PERMISSIONS = [
+    { id: 'menu', label: 'Menu Manager (items and prices)' },
+    { id: 'settings', label: 'Settings' },
+    { id: 'discounts', label: 'Discounts (up to the role limit)' },
+    { id: 'cancel-items', label: 'Cancel items sent to the kitchen' },
+    { id: 'voids', label: 'Approve voids and refunds with their PIN' },
+    { id: 'reprints', label: 'Reprint bills, credit notes and Z-reports' },
+    { id: 'reports', label: 'Sales reports, bill history and audit log' },
+    { id: 'cash-drawer', label: 'Cash shifts, pay-ins and pay-outs' }
+];
+
+// The owner can always do everything, so only the other roles are configurable
+const CONFIGURABLE_ROLES = ROLES.filter(role => role.id !== 'owner').map(role => role.id);
+
+// First start: one owner with this PIN until staff are set up in Settings
+const DEFAULT_OWNER = { id: 'owner', name: 'Owner', role: 'owner' };
+const DEFAULT_PIN = '1234';
+
+const allowOnly = (allowed) => Object.fromEntries(PERMISSIONS.map(permission => [permission.id, allowed.includes(permission.id)]));
+
+const getDefaultPermissions = () => ({
+    manager: allowOnly(PERMISSIONS.map(permission => permission.id)),
+    cashier: allowOnly(['discounts', 'reprints', 'cash-drawer']),
+    captain: allowOnly([])
+});
+
+const staffAccess = {
+    ROLES,
+    PERMISSIONS,
+    CONFIGURABLE_ROLES,
+    DEFAULT_OWNER,
+    DEFAULT_PIN,
+    getDefaultPermissions,
+
+    getRoleLabel(role) {
+        const match = ROLES.find(candidate => candidate.id === role);
+        return match ? match.label : role;
+    },
+
+    getPermissionLabel(permission) {
+        const match = PERMISSIONS.find(candidate => candidate.id === permission);
+        return match ? match.label : permission;
+    },
+
+    can(permissions, staff, permission) {
+        if (!staff) {
+            return false;
+        }
+        if (staff.role === 'owner') {
+            return true;
+        }
+        const rolePermissions = (permissions || {})[staff.role] || getDefaultPermissions()[staff.role] || {};
+        return rolePermissions[permission] === true;
+    },
+
+    // What the renderer, the ledger and the audit log keep about a staff member
+    toPublic(member) {
+        return member ? { id: member.id, name: member.name, role: member.role } : null;
+    },
+
+    // Every configurable role with a true/false for every permission.
+    // Permissions added since the file was saved start at their default
+    normalizePermissions(permissions) {
+        const defaults = getDefaultPermissions();
+        const normalized = {};
+        CONFIGURABLE_ROLES.forEach(role => {
+            const saved = (permissions || {})[role] || {};
+            normalized[role] = Object.fromEntries(PERMISSIONS.map(permission => [
+                permission.id,
+                saved[permission.id] === undefined ? defaults[role][permission.id] : saved[permission.id] === true
+            ]));
+        });
+        return normalized;
+    },
+
+    /**
+     * Check staff before they are saved. Throws with a message for the owner.
+     * Each entry is { id, name, role, pin }; pin may be left empty to keep an existing
+     * member's PIN (hasPin tells whether they already have one).
+     */
+    normalizeStaff(staffList, hasPin = () => false) {
+        const names = new Set();
+
+        const staff = (staffList || []).map((member, index) => {
+            const name = String(member.name || '').trim();
+            const pin = String(member.pin || '').trim();
+            const id = member.id || `staff-${Date.now()}-${index}`;
+
+            if (!name || name.length > 30) {
+                throw new Error('Each staff member needs a name (up to 30 characters)');
+            }
+            if (names.has(name.toLowerCase())) {
+                throw new Error(`${name} is listed twice`);
+            }
+            names.add(name.toLowerCase());
+
+            if (!ROLES.some(role => role.id === member.role)) {
+                throw new Error(`Choose a role for ${name}`);
+            }
+            if (pin && !/^\d{4,6}$/.test(pin)) {
+                throw new Error(`${name}: the PIN must be 4 to 6 digits`);
+            }
+            if (!pin && !(member.id && hasPin(member.id))) {
+                throw new Error(`Set a PIN for ${name}`);
+            }
+
+            return { id, name, role: member.role, pin };
+        });
+
+        if (!staff.some(member => member.role === 'owner')) {
+            throw new Error('Keep at least one owner, or nobody can manage staff');
+        }
+        return staff;
+    }
+};
+
+module.exports = staffAccess;
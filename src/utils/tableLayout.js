@@ -0,0 +1,115 @@
+// Table layout - table names, seats, sections and floor plan positions (tables.json)
+// Shared by the main process (validation before saving) and the table selector
+
+const DEFAULT_SECTION = 'Main Hall';
+const LAYOUT_VIEWS = ['grid', 'floor'];
+
+// Same 14 tables and 6 counters the app always had
+const getDefaultLayout = () => ({
+    tables: Array.from({ length: 14 }, (_, index) => ({
+        id: index + 1,
+        name: `Table ${index + 1}`,
+        seats: 4,
+        section: DEFAULT_SECTION,
+        x: null,
+        y: null
+    })),
+    counters: 6,
+    view: 'grid',
+    idleMinutes: 30 // tile turns red when a table has had no KOT for this long
+});
+
+const isPosition = (value) => value === null || (typeof value === 'number' && value >= 0 && value <= 100);
+
+const tableLayout = {
+    DEFAULT_SECTION,
+    LAYOUT_VIEWS,
+    getDefaultLayout,
+
+    /**
+     * Check and tidy a layout before it is saved. Table ids are the keys of the
+     * saved orders (table_<id>_order), so they must stay unique and never change.
+     */
+    normalize(layout) {
+        if (!layout || !Array.isArray(layout.tables) || layout.tables.length === 0) {
+            throw new Error('Add at least one table');
+        }
+
+        const ids = new Set();
+        const names = new Set();
+
+        const tables = layout.tables.map(table => {
+            const id = parseInt(table.id);
+            const name = String(table.name || '').trim();
+            const seats = parseInt(table.seats);
+            const section = String(table.section || '').trim() || DEFAULT_SECTION;
+
+            if (!Number.isInteger(id) || id < 1) {
+                throw new Error(`Invalid table id: ${table.id}`);
+            }
+            if (ids.has(id)) {
+                throw new Error(`Duplicate table id: ${id}`);
+            }
+            if (!name || name.length > 20) {
+                throw new Error('Table names must be 1-20 characters');
+            }
+            if (names.has(name.toLowerCase())) {
+                throw new Error(`Two tables are named "${name}"`);
+            }
+            if (!Number.isInteger(seats) || seats < 1 || seats > 50) {
+                throw new Error(`Seats for ${name} must be between 1 and 50`);
+            }
+            if (section.length > 30) {
+                throw new Error(`Section name for ${name} is too long`);
+            }
+
+            ids.add(id);
+            names.add(name.toLowerCase());
+
+            return {
+                id,
+                name,
+                seats,
+                section,
+                x: isPosition(table.x) ? table.x : null,
+                y: isPosition(table.y) ? table.y : null
+            };
+        });
+
+        const counters = parseInt(layout.counters);
+        if (!Number.isInteger(counters) || counters < 0 || counters > 20) {
+            throw new Error('Counters must be between 0 and 20');
+        }
+
+        const idleMinutes = layout.idleMinutes === undefined ? 30 : parseInt(layout.idleMinutes);
+        if (!Number.isInteger(idleMinutes) || idleMinutes < 5 || idleMinutes > 240) {
+            throw new Error('Idle alert must be between 5 and 240 minutes');
+        }
+
+        return {
+            tables,
+            counters,
+            view: LAYOUT_VIEWS.includes(layout.view) ? layout.view : 'grid',
+            idleMinutes
+        };
+    },
+
+    // Sections in the order they first appear, each with its tables
+    groupBySection(tables) {
+        const sections = new Map();
+        tables.forEach(table => {
+            const section = table.section || DEFAULT_SECTION;
+            if (!sections.has(section)) {
+                sections.set(section, []);
+            }
+            sections.get(section).push(table);
+        });
+        return Array.from(sections, ([name, sectionTables]) => ({ name, tables: sectionTables }));
+    },
+
+    getNextTableId(tables) {
+        return Math.max(0, ...tables.map(table => table.id)) + 1;
+    }
+};
+
+module.exports = tableLayout;
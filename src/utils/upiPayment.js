@@ -0,0 +1,68 @@
+// UPI payment QR - builds the upi://pay intent for a bill and renders it as a QR code
+// Everything is generated locally with the qrcode package, no network access needed
+
+let QRCode = null;
+try {
+    QRCode = require('qrcode');
+} catch (error) {
+    console.warn('QR code library not available:', error.message);
+}
+
+// name@bank - letters, digits, dot, hyphen and underscore before the handle
+const VPA_PATTERN = /^[A-Za-z0-9._-]{2,256}@[A-Za-z][A-Za-z0-9.-]{1,63}$/;
+
+const upiPayment = {
+    isValidVpa(vpa) {
+        return VPA_PATTERN.test(vpa || '');
+    },
+
+    /**
+     * upi://pay?pa=<vpa>&pn=<payee>&am=<total>&cu=INR&tn=<bill no>
+     * Returns null when no valid VPA is configured, so callers can skip the QR
+     */
+    buildUpiUri({ vpa, payeeName, amount, billNumber }) {
+        if (!this.isValidVpa(vpa)) {
+            return null;
+        }
+
+        // The VPA is already limited to URI-safe characters; UPI apps expect the @ unescaped
+        const params = [
+            `pa=${vpa}`,
+            payeeName ? `pn=${encodeURIComponent(payeeName)}` : null,
+            `am=${(parseFloat(amount) || 0).toFixed(2)}`,
+            'cu=INR',
+            billNumber ? `tn=${encodeURIComponent(billNumber)}` : null
+        ].filter(Boolean);
+
+        return `upi://pay?${params.join('&')}`;
+    },
+
+    /**
+     * Render text as an inline SVG QR code (synchronous, for the HTML bill templates)
+     * Returns '' if the QR library is missing so the bill still prints
+     */
+    toSvg(text, size = 140) {
+        if (!QRCode || !text) {
+            return '';
+        }
+
+        const qr = QRCode.create(text, { errorCorrectionLevel: 'M' });
+        const modules = qr.modules;
+        const quietZone = 2;
+        const viewBox = modules.size + quietZone * 2;
+
+        let path = '';
+        for (let row = 0; row < modules.size; row++) {
+            for (let col = 0; col < modules.size; col++) {
+                if (modules.get(row, col)) {
+                    path += `M${col + quietZone} ${row + quietZone}h1v1h-1z`;
+                }
+            }
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${viewBox} ${viewBox}" shape-rendering="crispEdges">` +
+            `<rect width="${viewBox}" height="${viewBox}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+};
+
+module.exports = upiPayment;